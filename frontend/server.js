@@ -3,15 +3,41 @@
  * This avoids CORS issues when calling IBM Cloud APIs from the browser
  */
 
+const path = require('path');
+
+// Load .env before the server modules read their configuration
+require('dotenv').config({ path: path.join(__dirname, '.env') });
+
 const express = require('express');
 const cors = require('cors');
-const path = require('path');
+const logger = require('./server/logger');
+const audit = require('./server/audit');
+const auth = require('./server/auth');
+const apiKeys = require('./server/apiKeys');
+const { getIAMToken, invalidateIAMToken } = require('./server/iamTokens');
+const providers = require('./server/providers');
+const watsonx = require('./server/providers/watsonx');
+const quotas = require('./server/quotas');
+const tokenUsage = require('./server/tokenUsage');
+const agents = require('./server/agents');
+const rag = require('./server/rag');
+const conversations = require('./server/conversations');
+const conversationExports = require('./server/exports');
+const chat = require('./server/chat');
+const context = require('./server/context');
+const orchestrator = require('./server/orchestrator');
+const attachments = require('./server/attachments');
+const emails = require('./server/emails');
+const failures = require('./server/failures');
+const batches = require('./server/batches');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Middleware
-app.use(cors());
+// Every API request gets a correlation ID, returned in X-Request-Id and added to its log lines
+app.use('/api', logger.requestLogger);
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
 app.use(express.json());
 
 // Serve static files from React build in production
@@ -19,121 +45,1121 @@ if (process.env.NODE_ENV === 'production') {
   app.use(express.static(path.join(__dirname, 'build')));
 }
 
-// WatsonX Configuration
-const WATSONX_PROJECT_ID = process.env.WATSONX_PROJECT_ID;
-const WATSONX_URL = process.env.WATSONX_URL || 'https://us-south.ml.cloud.ibm.com';
+// Health check endpoint - "degraded" while a model provider's circuit breaker is open or testing it.
+// Always 200 while the server itself runs, so the platform does not restart it over an upstream outage.
+app.get('/api/health', (req, res) => {
+  const upstream = providers.getHealth();
+  res.json({
+    status: upstream.some(provider => provider.state !== 'closed') ? 'degraded' : 'ok',
+    timestamp: new Date().toISOString(),
+    providers: upstream
+  });
+});
+
+// Login endpoint - issues an HttpOnly session cookie
+app.post('/api/auth/login', (req, res) => {
+  const { username, password } = req.body;
+  
+  const user = auth.authenticate(username, password);
+  if (!user) {
+    audit.record('login_failed', typeof username === 'string' ? username : undefined, { ip: req.ip });
+    return res.status(401).json({ success: false, message: 'Invalid credentials' });
+  }
 
-// Get IAM Token
-async function getIAMToken(apiKey) {
-  const response = await fetch('https://iam.cloud.ibm.com/identity/token', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded',
-    },
-    body: `grant_type=urn:ibm:params:oauth:grant-type:apikey&apikey=${apiKey}`
+  const session = auth.createSession(res, user);
+  audit.record('login', session.username, { ip: req.ip });
+  res.json({
+    success: true,
+    message: 'Login successful',
+    user: { username: session.username, displayName: session.displayName, role: session.role },
+    expiresAt: new Date(session.expiresAt).toISOString()
   });
+});
 
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`IAM token error: ${error}`);
+// Logout endpoint
+app.post('/api/auth/logout', (req, res) => {
+  const session = auth.getSession(req);
+  if (session) {
+    audit.record('logout', session.username);
   }
+  auth.destroySession(req, res);
+  res.json({ success: true });
+});
 
-  const data = await response.json();
-  return data.access_token;
-}
+// Current session endpoint - lets the app restore a login after reload
+app.get('/api/auth/session', auth.requireAuth, (req, res) => {
+  res.json({
+    user: { username: req.session.username, displayName: req.session.displayName, role: req.session.role },
+    expiresAt: new Date(req.session.expiresAt).toISOString()
+  });
+});
 
-// Auth credentials from environment (runtime) - must be set via environment variables
-const DEMO_USER = process.env.DEMO_USER;
-const DEMO_PASSWORD = process.env.DEMO_PASSWORD;
+// All WatsonX routes require a logged-in user
+app.use('/api/watsonx', auth.requireAuth);
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+// Agents available in the dashboard, loaded from the agent definition files.
+// Hidden agents (the supervisor's specialists) are left out of the list.
+app.get('/api/agents', auth.requireAuth, (req, res) => {
+  res.json({ agents: agents.listAgents().filter(agent => !agent.hidden).map(agents.toPublicAgent) });
 });
 
-// Auth validation endpoint
-app.post('/api/auth/login', (req, res) => {
-  const { username, password } = req.body;
-  
-  if (username === DEMO_USER && password === DEMO_PASSWORD) {
-    res.json({ success: true, message: 'Login successful' });
-  } else {
-    res.status(401).json({ success: false, message: 'Invalid credentials' });
+// Search the local knowledge base index
+app.get('/api/rag/search', auth.requireAuth, (req, res) => {
+  const query = (req.query.q || '').trim();
+  if (!query) {
+    return res.status(400).json({ error: 'Query parameter q is required' });
+  }
+
+  const topK = req.query.k ? Math.min(Math.max(parseInt(req.query.k, 10) || 1, 1), 20) : undefined;
+  const categories = req.query.category ? String(req.query.category).split(',') : undefined;
+  res.json({ query, results: rag.search(query, { topK, categories }) });
+});
+
+// Today's call counts and limits for the logged-in user, with their token totals and budgets
+app.get('/api/usage', auth.requireAuth, (req, res) => {
+  res.json({
+    ...quotas.getUserUsage(req.session.username),
+    tokens: tokenUsage.getTokenUsage(req.session.username)
+  });
+});
+
+// Daily and monthly token usage for the charts, plus the token totals of recent conversations
+app.get('/api/usage/history', auth.requireAuth, (req, res) => {
+  const days = Math.min(parseInt(req.query.days, 10) || 30, 90);
+  const months = Math.min(parseInt(req.query.months, 10) || 12, 12);
+  res.json({
+    ...tokenUsage.getHistory(req.session.username, { days, months }),
+    conversations: conversations.listConversations(req.session.username)
+      .slice(0, 10)
+      .map(({ id, title, agentId, updatedAt, tokens }) => ({ id, title, agentId, updatedAt, ...tokens }))
+  });
+});
+
+// Attachment limits, so the chat can check files before uploading them
+app.get('/api/attachments/limits', auth.requireAuth, (req, res) => {
+  res.json(attachments.getLimits());
+});
+
+// Models the logged-in user can chat with, from every configured provider
+app.get('/api/models', auth.requireAuth, async (req, res) => {
+  const hasApiKey = Boolean(apiKeys.getApiKey(req.session.username));
+  res.json({ models: await providers.listAvailableModels({ hasApiKey }) });
+});
+
+// Saved conversations of the logged-in user; ?q= searches titles and messages
+app.get('/api/conversations', auth.requireAuth, (req, res) => {
+  res.json({
+    conversations: conversations.listConversations(req.session.username, {
+      agentId: req.query.agentId,
+      query: req.query.q
+    })
+  });
+});
+
+// Start a conversation; the chat routes append its turns
+app.post('/api/conversations', auth.requireAuth, (req, res) => {
+  const { agentId, title } = req.body;
+  if (!agents.getAgent(agentId)) {
+    return res.status(400).json({ error: `Unknown agent: ${agentId}` });
   }
+  res.status(201).json(conversations.createConversation(req.session.username, { agentId, title }));
 });
 
-// WatsonX Chat endpoint
-app.post('/api/watsonx/chat', async (req, res) => {
+// Full conversation including its messages, used to resume it; attachments are listed without their text
+app.get('/api/conversations/:id', auth.requireAuth, (req, res) => {
+  const conversation = conversations.getConversation(req.session.username, req.params.id);
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+  res.json({ ...conversation, attachments: (conversation.attachments || []).map(attachments.toAttachmentSummary) });
+});
+
+// Agent shown in a conversation's exports. Conversations outlive agent definitions -
+// fall back to what the messages recorded.
+const exportAgentFor = (conversation) => agents.getAgent(conversation.agentId) || {
+  id: conversation.agentId,
+  name: conversation.agentId,
+  model: [...conversation.messages].reverse().find(message => message.model)?.model || 'unknown'
+};
+
+// Download a conversation: ?format=markdown|json|csv|html (HTML opens in the browser for printing)
+app.get('/api/conversations/:id/export', auth.requireAuth, (req, res) => {
+  const conversation = conversations.getConversation(req.session.username, req.params.id);
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+
   try {
-    const { apiKey, messages, systemPrompt } = req.body;
+    const format = req.query.format || 'markdown';
+    const file = conversationExports.exportConversation(conversation, exportAgentFor(conversation), format);
+    res.type(file.contentType);
+    if (format === 'html') {
+      // Replies are rendered without raw HTML; the policy also blocks scripts and remote content
+      res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'");
+    } else {
+      res.attachment(file.fileName);
+    }
+    res.send(file.body);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
 
-    if (!apiKey) {
-      return res.status(400).json({ error: 'API key is required' });
+app.patch('/api/conversations/:id', auth.requireAuth, (req, res) => {
+  const title = (req.body.title || '').trim();
+  if (!title) {
+    return res.status(400).json({ error: 'Title is required' });
+  }
+  const conversation = conversations.renameConversation(req.session.username, req.params.id, title);
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+  res.json(conversation);
+});
+
+// Pin or unpin a message ({ pinned }) - pinned messages always stay in the model's context
+app.patch('/api/conversations/:id/messages/:index', auth.requireAuth, (req, res) => {
+  if (typeof req.body.pinned !== 'boolean') {
+    return res.status(400).json({ error: 'pinned must be true or false' });
+  }
+  const message = conversations.setPinned(req.session.username, req.params.id, Number(req.params.index), req.body.pinned);
+  if (!message) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
+  res.json({ index: Number(req.params.index), pinned: Boolean(message.pinned) });
+});
+
+app.delete('/api/conversations/:id', auth.requireAuth, (req, res) => {
+  if (!conversations.deleteConversation(req.session.username, req.params.id)) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+  res.json({ success: true });
+});
+
+// Middleware - validates the common chat request fields
+function validateChatRequest(req, res, next) {
+  if (!req.body.messages || !Array.isArray(req.body.messages)) {
+    return res.status(400).json({ error: 'Messages array is required' });
+  }
+  next();
+}
+
+// Middleware - resolves the registered agent the chat is for into req.agent
+function resolveChatAgent(req, res, next) {
+  const { agentId, systemPrompt } = req.body;
+
+  if (agentId) {
+    req.agent = agents.getAgent(agentId);
+    if (!req.agent) {
+      return res.status(404).json({ error: `Unknown agent: ${agentId}` });
     }
+  } else {
+    // Ad hoc calls (e.g. scripts) bring their own prompt and share the 'default' quota
+    req.agent = {
+      id: 'default',
+      systemPrompt: systemPrompt || 'You are a helpful assistant.',
+      model: agents.DEFAULT_MODEL,
+      parameters: agents.DEFAULT_PARAMETERS
+    };
+  }
+
+  // Choices from the agent's controls (tone, audience, ...) are filled into its instructions
+  try {
+    req.agent = agents.applyOptions(req.agent, req.body.options);
+  } catch (error) {
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+  next();
+}
+
+// Middleware - resolves the model for the chat into req.model ({ id, provider, modelId }).
+// An explicitly requested model must be one the user can currently use; otherwise the agent's model applies.
+async function resolveChatModel(req, res, next) {
+  const requested = req.body.model;
+
+  try {
+    if (requested) {
+      const hasApiKey = Boolean(apiKeys.getApiKey(req.session.username));
+      const available = await providers.listAvailableModels({ hasApiKey });
+      if (!available.some(model => model.id === requested)) {
+        return res.status(400).json({ error: `Model not available: ${requested}` });
+      }
+    }
+  } catch (error) {
+    return res.status(502).json({ error: error.message });
+  }
+
+  req.model = providers.resolveModel(requested || req.agent.model);
+  if (!req.model.provider) {
+    return res.status(400).json({ error: `No provider configured for model: ${req.model.id}` });
+  }
+  next();
+}
+
+// Middleware - checks the optional conversationId belongs to the user and the agent
+function resolveConversation(req, res, next) {
+  const { conversationId } = req.body;
+  if (!conversationId) {
+    return next();
+  }
+
+  const conversation = conversations.getConversation(req.session.username, conversationId);
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+  if (conversation.agentId !== req.agent.id) {
+    return res.status(400).json({ error: 'Conversation belongs to a different agent' });
+  }
+  req.conversationId = conversationId;
+  next();
+}
+
+// Middleware - reads the files uploaded with the request into req.uploads and fits them, with the
+// conversation's earlier attachments, into the prompt budget as req.attached
+async function resolveAttachments(req, res, next) {
+  try {
+    const uploads = await attachments.readAttachments(req.files);
+    const earlier = req.conversationId
+      ? conversations.getConversation(req.session.username, req.conversationId).attachments || []
+      : [];
+    const query = [...req.body.messages].reverse().find(message => message.role === 'user')?.content || '';
+
+    req.attached = attachments.fitAttachments([...earlier, ...uploads], query);
+    req.uploads = uploads.map(upload => ({
+      ...upload,
+      truncated: req.attached.find(attachment => attachment.id === upload.id).truncated
+    }));
+    next();
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+}
+
+// Record a finished turn in the request's conversation, if it has one; resolves with the conversation's summary
+function saveTurn(req, reply) {
+  if (!req.conversationId) {
+    return null;
+  }
+  const userMessage = req.body.messages[req.body.messages.length - 1];
+  return conversations.appendTurn(req.session.username, req.conversationId, userMessage?.content || '', {
+    ...reply,
+    model: req.model.id,
+    promptVersion: req.agent.promptVersion
+  }, req.uploads);
+}
+
+// Tokens an agent's prompt takes before any history: its instructions with the attachments and
+// knowledge-base excerpts, plus room for the reply
+const promptTokens = (req, agent, sources) => context.estimateTokens(
+  chat.buildChatPayload(agent, req.model, [], sources, req.attached).messages[0].content
+) + (agent.parameters?.max_tokens || 0);
+
+// Fit the history into the model's context window next to prompts of `reserved` tokens (see
+// server/context.js) and keep the outcome in req.context. A saved conversation's history comes
+// from the server and its older turns are folded into the running summary; without one the
+// request's messages are used and the oldest dropped.
+async function fitToContext(req, reserved, signal) {
+  const latest = req.body.messages[req.body.messages.length - 1];
+  const conversation = req.conversationId && conversations.getConversation(req.session.username, req.conversationId);
+  const history = conversation ? conversation.messages : req.body.messages.slice(0, -1);
+  const window = context.getContextWindow(req.model.id);
+
+  const fitted = await context.fitContext({
+    window,
+    reserved,
+    history,
+    latest: { role: 'user', content: latest?.content || '' },
+    stored: conversation?.context,
+    summarize: conversation && context.createSummarizer({ model: req.model, apiKey: req.apiKey, signal, window })
+  });
+  if (fitted.usage) {
+    tokenUsage.record(req.session.username, req.agent.id, req.model.id, fitted.usage);
+  }
+  if (conversation && fitted.summarizedThrough !== (conversation.context?.summarizedThrough || 0)) {
+    conversations.updateContext(req.session.username, req.conversationId, fitted);
+  }
+  req.context = { ...fitted, firstTurn: !history.some(message => message.role === 'user') };
+  return req.context;
+}
+
+// Reply fields about the turn: how the history was fitted, the saved reply's message index so the
+// browser can pin it, and the version of the agent's prompt that produced it
+const turnReply = (req, saved) => ({
+  context: { ...req.context.info, summary: req.context.summary },
+  messageIndex: saved ? saved.messageCount - 1 : undefined,
+  promptVersion: req.agent.promptVersion
+});
+
+// Record a reply's tokens against the user's budgets; adds its `cost` and the `budget` status after it
+function accountTokens(req, result) {
+  const { cost, budget } = tokenUsage.record(req.session.username, req.agent.id, req.model.id, result.usage);
+  return { ...result, cost, budget };
+}
+
+// Keep a failed model call for the admin console, with the provider's error message
+function recordFailure(req, route, error, specialist) {
+  // Requests too long for the model's context window never reach it
+  if (error.code === 'CONTEXT_OVERFLOW') {
+    return;
+  }
+  logger.error('Model call failed', { route, agentId: req.agent.id, specialist, model: req.model.id, error });
+  failures.recordFailure({
+    username: req.session.username,
+    agentId: req.agent.id,
+    specialist,
+    model: req.model.id,
+    route,
+    status: error.status,
+    error: error.message,
+    requestId: req.id
+  });
+}
+
+// Give back the call counted by enforceQuota - failed and cancelled calls do not use up the quota
+function refundCall(req) {
+  if (req.quota && !req.quota.refunded) {
+    quotas.refund(req.session.username, req.quota.agentId, req.quota.day);
+    req.quota.refunded = true;
+  }
+}
+
+// Error reply for a failed model call; `retryable` failures (timeouts, rate limits, outages) say when to retry
+const failureBody = (error) => ({
+  error: error.message,
+  code: error.code,
+  retryable: error.retryable,
+  retryAfter: error.retryAfter,
+  quotaRefunded: true
+});
+
+// Audit an agent call once it has completed, failed, or been stopped or cancelled by the user
+function auditInvocation(req, route, outcome, details = {}) {
+  audit.record('agent_invoked', req.session.username, {
+    agentId: req.agent.id,
+    model: req.model.id,
+    route,
+    outcome,
+    conversationId: req.conversationId,
+    ...details
+  });
+}
 
-    if (!messages || !Array.isArray(messages)) {
-      return res.status(400).json({ error: 'Messages array is required' });
+// The request's uploaded files as listed in replies: name, kind, size and whether only excerpts fit
+const uploadSummaries = (req) => req.uploads.map(attachments.toAttachmentSummary);
+
+// Middleware - loads the logged-in user's stored API key into req.apiKey for providers that need one
+function requireApiKey(req, res, next) {
+  if (!req.model.provider.requiresApiKey) {
+    return next();
+  }
+  const apiKey = apiKeys.getApiKey(req.session.username);
+  if (!apiKey) {
+    return res.status(400).json({ error: 'No WatsonX API key registered. Add one in WatsonX Configuration.' });
+  }
+  req.apiKey = apiKey;
+  next();
+}
+
+// Registered API key status - never returns the key itself
+app.get('/api/watsonx/key', (req, res) => {
+  res.json(apiKeys.getApiKeyStatus(req.session.username));
+});
+
+// Register or replace the user's API key after checking it with IAM
+app.put('/api/watsonx/key', async (req, res) => {
+  const apiKey = (req.body.apiKey || '').trim();
+
+  if (!apiKey) {
+    return res.status(400).json({ error: 'API key is required' });
+  }
+
+  try {
+    await getIAMToken(apiKey, { forceRefresh: true });
+  } catch (error) {
+    if (error.status !== 401) {
+      return res.status(502).json({ error: `Could not check the API key: ${error.message}` });
     }
+    return res.status(400).json({ error: 'Invalid API key' });
+  }
 
-    // Get IAM token
-    const token = await getIAMToken(apiKey);
+  const previous = apiKeys.getApiKey(req.session.username);
+  if (previous) {
+    invalidateIAMToken(previous);
+  }
+  apiKeys.saveApiKey(req.session.username, apiKey);
+  audit.record('api_key_set', req.session.username, { replaced: Boolean(previous) });
+  res.json(apiKeys.getApiKeyStatus(req.session.username));
+});
 
-    // Build messages with system prompt
-    const fullMessages = [
-      { role: 'system', content: systemPrompt || 'You are a helpful assistant.' },
-      ...messages
-    ];
+// Remove the user's API key
+app.delete('/api/watsonx/key', (req, res) => {
+  const previous = apiKeys.getApiKey(req.session.username);
+  if (previous) {
+    invalidateIAMToken(previous);
+  }
+  apiKeys.deleteApiKey(req.session.username);
+  if (previous) {
+    audit.record('api_key_removed', req.session.username);
+  }
+  res.json({ configured: false });
+});
+
+// Chat endpoint - served by the provider of the agent's model, or of `model` when the request picks one.
+// Files can be attached by sending multipart/form-data: the JSON body in a `request` field and the
+// files under `files` (see server/attachments.js). The reply lists them in `attachments`.
+app.post('/api/watsonx/chat', attachments.parseMultipart, validateChatRequest, resolveChatAgent, resolveChatModel, resolveConversation, resolveAttachments, requireApiKey, tokenUsage.enforceTokenBudget, quotas.enforceQuota(req => req.agent.id), async (req, res) => {
+  // A client that goes away (e.g. the user cancels) aborts the upstream call
+  const upstream = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      upstream.abort();
+    }
+  });
+
+  try {
+    const sources = chat.retrieveSources(req.agent, req.body.messages);
+    const fitted = await fitToContext(req, promptTokens(req, req.agent, sources), upstream.signal);
 
     // Call WatsonX
-    const response = await fetch(`${WATSONX_URL}/ml/v1/text/chat?version=2024-05-01`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model_id: 'ibm/granite-3-8b-instruct',
-        project_id: WATSONX_PROJECT_ID,
-        messages: fullMessages,
-        parameters: {
-          max_tokens: 2048,
-          temperature: 0.7,
-          top_p: 0.9
+    const result = accountTokens(req, await chat.completeForAgent(
+      req.agent,
+      chat.buildChatPayload(req.agent, req.model, fitted.messages, sources, req.attached, fitted.summary),
+      (payload) => req.model.provider.chat(payload, { apiKey: req.apiKey, agentId: req.agent.id, signal: upstream.signal }),
+      { firstTurn: fitted.firstTurn }
+    ));
+
+    const saved = saveTurn(req, { ...result, sources });
+    auditInvocation(req, 'chat', 'completed', { tokens: result.usage?.total_tokens });
+    res.json({ ...result, sources, attachments: uploadSummaries(req), ...turnReply(req, saved) });
+
+  } catch (error) {
+    refundCall(req);
+    if (upstream.signal.aborted) {
+      auditInvocation(req, 'chat', 'cancelled');
+      return;
+    }
+    recordFailure(req, 'chat', error);
+    auditInvocation(req, 'chat', 'failed', { status: error.status || 500 });
+    res.status(error.status || 500).json(failureBody(error));
+  }
+});
+
+// Streaming chat endpoint
+// Relays the provider's streamed deltas to the browser as Server-Sent Events:
+//   event: token  data: { content }          - one per upstream delta
+//   event: retry  data: { errors }           - reply was malformed, a corrected one follows
+//   event: done   data: { content, usage, cost, budget, sources, attachments, context, messageIndex, promptVersion, estimate?, email? }
+//                 - same shape as /api/watsonx/chat
+//   event: error  data: { error, code?, retryable?, retryAfter?, quotaRefunded }
+// Closing the connection aborts the upstream request. With a conversationId the turn is
+// saved to that conversation, including the partial reply of a stopped stream. A stream
+// cancelled before its first token, or one that fails, is not saved and not counted.
+app.post('/api/watsonx/chat/stream', attachments.parseMultipart, validateChatRequest, resolveChatAgent, resolveChatModel, resolveConversation, resolveAttachments, requireApiKey, tokenUsage.enforceTokenBudget, quotas.enforceQuota(req => req.agent.id), async (req, res) => {
+  const sources = chat.retrieveSources(req.agent, req.body.messages);
+
+  let partial = '';
+  const upstream = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      upstream.abort();
+    }
+  });
+
+  // Headers are sent with the first event so upstream failures can still return a JSON error
+  const send = (event, data) => {
+    if (!res.headersSent) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no',
+      });
+    }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const fitted = await fitToContext(req, promptTokens(req, req.agent, sources), upstream.signal);
+    const result = await chat.completeForAgent(
+      req.agent,
+      chat.buildChatPayload(req.agent, req.model, fitted.messages, sources, req.attached, fitted.summary),
+      (payload) => req.model.provider.chatStream(payload, {
+        apiKey: req.apiKey,
+        agentId: req.agent.id,
+        signal: upstream.signal,
+        onDelta: (delta) => {
+          partial += delta;
+          send('token', { content: delta });
         }
-      })
-    });
+      }),
+      {
+        firstTurn: fitted.firstTurn,
+        onRetry: (errors) => {
+          partial = '';
+          send('retry', { errors });
+        }
+      }
+    );
+
+    const reply = accountTokens(req, result);
+    const saved = saveTurn(req, { ...reply, sources });
+    auditInvocation(req, 'chat/stream', 'completed', { tokens: result.usage?.total_tokens });
+    send('done', { ...reply, sources, attachments: uploadSummaries(req), ...turnReply(req, saved) });
+    res.end();
+
+  } catch (error) {
+    if (upstream.signal.aborted) {
+      stopped(req, 'chat/stream', partial);
+      return;
+    }
+    refundCall(req);
+    recordFailure(req, 'chat/stream', error);
+    auditInvocation(req, 'chat/stream', 'failed', { status: error.status || 500 });
+    if (res.headersSent) {
+      send('error', failureBody(error));
+      res.end();
+    } else {
+      res.status(error.status || 500).json(failureBody(error));
+    }
+  }
+});
+
+// The user aborted a streamed reply. Stopped after text arrived, the partial reply is kept and the
+// call counts, as in the chat; cancelled before the first token, nothing is saved or counted.
+function stopped(req, route, partial) {
+  if (partial) {
+    saveTurn(req, { content: partial, stopped: true });
+    auditInvocation(req, route, 'stopped');
+  } else {
+    refundCall(req);
+    auditInvocation(req, route, 'cancelled');
+  }
+}
+
+// Middleware - only supervisor agents (with an orchestration section) can be orchestrated
+function requireSupervisor(req, res, next) {
+  if (!req.agent.orchestration) {
+    return res.status(400).json({ error: `Agent ${req.agent.id} is not a supervisor` });
+  }
+  next();
+}
 
-    if (!response.ok) {
-      const error = await response.json();
-      console.error('WatsonX error:', error);
-      return res.status(response.status).json({ 
-        error: error.error?.message || error.message || 'WatsonX API call failed' 
+// Supervisor endpoint - routes the request to the specialist agents and combines their answers.
+// Same request body as /api/watsonx/chat. With `Accept: text/event-stream` the reply streams as
+// Server-Sent Events like /api/watsonx/chat/stream, plus:
+//   event: route       data: { specialists: [{ id, label }], reason } - the routing decision
+//   event: specialist  data: { id, label, content, sources, estimate?, error? } - as each one finishes
+// `done` carries { content, usage, cost, budget, specialists, route, context, messageIndex, promptVersion, estimate?, sources? };
+// the JSON reply has the same shape. The history is fitted to the largest of the supervisor's and specialists' prompts.
+// The whole request counts as one call against the supervisor's quota.
+app.post('/api/orchestrate', auth.requireAuth, attachments.parseMultipart, validateChatRequest, resolveChatAgent, requireSupervisor, resolveChatModel, resolveConversation, resolveAttachments, requireApiKey, tokenUsage.enforceTokenBudget, quotas.enforceQuota(req => req.agent.id), async (req, res) => {
+  const streaming = (req.get('Accept') || '').includes('text/event-stream');
+
+  let partial = '';
+  const upstream = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      upstream.abort();
+    }
+  });
+
+  const send = (event, data) => {
+    if (!res.headersSent) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no',
       });
     }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const specialists = req.agent.orchestration.specialists.map(specialist => agents.getAgent(specialist.agentId));
+    const reserved = Math.max(...[req.agent, ...specialists]
+      .map(agent => promptTokens(req, agent, chat.retrieveSources(agent, req.body.messages))));
+    const fitted = await fitToContext(req, reserved, upstream.signal);
 
-    const data = await response.json();
-    res.json({
-      content: data.choices[0].message.content,
-      usage: data.usage
+    const result = await orchestrator.orchestrate({
+      supervisor: req.agent,
+      model: req.model,
+      messages: fitted.messages,
+      attached: req.attached,
+      summary: fitted.summary,
+      firstTurn: fitted.firstTurn,
+      apiKey: req.apiKey,
+      signal: upstream.signal,
+      onEvent: (event, data) => {
+        if (event === 'token') partial += data.content;
+        if (event === 'retry') partial = '';
+        if (streaming) send(event, data);
+      }
     });
 
+    // Failed specialists are reported in the answer; keep their errors for the admin console too
+    result.specialists.filter(answer => answer.error)
+      .forEach(answer => recordFailure(req, 'orchestrate', { message: answer.error }, answer.id));
+
+    const accounted = accountTokens(req, result);
+    const saved = saveTurn(req, accounted);
+    auditInvocation(req, 'orchestrate', 'completed', {
+      tokens: result.usage?.total_tokens,
+      specialists: result.specialists.map(answer => answer.id)
+    });
+    const reply = { ...accounted, attachments: uploadSummaries(req), ...turnReply(req, saved) };
+    if (streaming) {
+      send('done', reply);
+      res.end();
+    } else {
+      res.json(reply);
+    }
+
+  } catch (error) {
+    if (upstream.signal.aborted) {
+      stopped(req, 'orchestrate', partial);
+      return;
+    }
+    refundCall(req);
+    recordFailure(req, 'orchestrate', error);
+    auditInvocation(req, 'orchestrate', 'failed', { status: error.status || 500 });
+    if (res.headersSent) {
+      send('error', failureBody(error));
+      res.end();
+    } else {
+      res.status(error.status || 500).json(failureBody(error));
+    }
+  }
+});
+
+// Read an .eml draft (sent as the raw message) into { subject, from, to, cc, text }
+app.post('/api/email/import', auth.requireAuth, express.raw({ type: 'message/rfc822', limit: '5mb' }), async (req, res) => {
+  if (!Buffer.isBuffer(req.body) || !req.body.length) {
+    return res.status(400).json({ error: 'Send the .eml file as message/rfc822' });
+  }
+  try {
+    res.json(await emails.parseEml(req.body));
+  } catch (error) {
+    res.status(422).json({ error: `Could not read the .eml file: ${error.message}` });
+  }
+});
+
+// Build an .eml file from { to?, cc?, subject, body } that opens as a draft in a mail client
+app.post('/api/email/export', auth.requireAuth, async (req, res) => {
+  const { to, cc, subject = '', body } = req.body;
+  if (!body) {
+    return res.status(400).json({ error: 'Email body is required' });
+  }
+  try {
+    const eml = await emails.buildEml({ to, cc, subject, text: body });
+    const name = subject.replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-').slice(0, 60) || 'email';
+    res.type('message/rfc822').attachment(`${name}.eml`).send(eml);
   } catch (error) {
-    console.error('API error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(400).json({ error: error.message });
   }
 });
 
-// Validate API key endpoint
+// Whether emails can be sent from this server, and from which address
+app.get('/api/email/config', auth.requireAuth, (req, res) => {
+  res.json(emails.getSendConfig());
+});
+
+// Send a saved reply by email and record it on the conversation: { conversationId, messageIndex, to, cc?,
+// subject?, note?, attachments?: [export format] }. The message is built here from the reply (see
+// composeReplyEmail), so the browser only picks recipients, one of the reply's subjects and a note.
+app.post('/api/email/send', auth.requireAuth, async (req, res) => {
+  const { conversationId, messageIndex, to, cc, subject, note, attachments: formats = [] } = req.body;
+  const conversation = conversationId && conversations.getConversation(req.session.username, conversationId);
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+  if (!Array.isArray(formats)) {
+    return res.status(400).json({ error: 'attachments must be a list of export formats' });
+  }
+
+  try {
+    const agent = exportAgentFor(conversation);
+    const files = [...new Set(formats)].map(format => conversationExports.exportConversation(conversation, agent, format));
+    const message = emails.composeReplyEmail(conversation, messageIndex, { subject, note });
+    const email = await emails.sendEmail({ to, cc, ...message, attachments: files });
+    conversations.recordEmail(req.session.username, conversationId, email);
+    res.json({ email });
+  } catch (error) {
+    if (error.status === 502) {
+      logger.error('Email send failed', { conversationId, error });
+    }
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Batch estimation - background jobs that estimate every request of an uploaded CSV or JSON file
+app.use('/api/batches', auth.requireAuth);
+
+const batchNotFound = (res) => res.status(404).json({ error: 'Batch not found' });
+
+// The user's jobs (newest first, without rows), the agents that can run them and the upload limits
+app.get('/api/batches', (req, res) => {
+  res.json({
+    jobs: batches.listJobs(req.session.username),
+    agents: batches.listBatchAgents().map(({ id, name }) => ({ id, name })),
+    limits: batches.getLimits()
+  });
+});
+
+// Start a job: the file is the request body, ?agentId=&fileName= say what it is and who estimates it
+app.post('/api/batches', express.text({ type: () => true, limit: '2mb' }), (req, res) => {
+  if (!req.query.agentId) {
+    return res.status(400).json({ error: 'agentId is required' });
+  }
+  const text = typeof req.body === 'string' ? req.body : JSON.stringify(req.body ?? '');
+  try {
+    res.status(201).json(batches.createJob(req.session.username, req.query.agentId, req.query.fileName, text));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/batches/:id', (req, res) => {
+  const job = batches.getJob(req.session.username, req.params.id);
+  return job ? res.json(job) : batchNotFound(res);
+});
+
+// Results as CSV - one line per request with phase hours, totals, complexity and risks
+app.get('/api/batches/:id/export', (req, res) => {
+  const file = batches.exportJob(req.session.username, req.params.id);
+  if (!file) {
+    return batchNotFound(res);
+  }
+  res.type('text/csv').attachment(file.fileName).send(file.body);
+});
+
+app.post('/api/batches/:id/cancel', (req, res) => {
+  const job = batches.cancelJob(req.session.username, req.params.id);
+  return job ? res.json(job) : batchNotFound(res);
+});
+
+app.post('/api/batches/:id/resume', (req, res) => {
+  const job = batches.resumeJob(req.session.username, req.params.id);
+  return job ? res.json(job) : batchNotFound(res);
+});
+
+// Queue every failed row again, or only the one at /rows/:index (0-based)
+const retryBatchRows = (req, res) => {
+  if (req.params.index !== undefined && !/^\d+$/.test(req.params.index)) {
+    return res.status(400).json({ error: 'The row index must be a whole number' });
+  }
+  try {
+    const index = req.params.index === undefined ? null : parseInt(req.params.index, 10);
+    const job = batches.retryRows(req.session.username, req.params.id, index);
+    return job ? res.json(job) : batchNotFound(res);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+app.post('/api/batches/:id/retry', retryBatchRows);
+app.post('/api/batches/:id/rows/:index/retry', retryBatchRows);
+
+app.delete('/api/batches/:id', (req, res) => {
+  if (!batches.deleteJob(req.session.username, req.params.id)) {
+    return batchNotFound(res);
+  }
+  res.json({ success: true });
+});
+
+// Admin console - every /api/admin route needs an admin session
+app.use('/api/admin', auth.requireAuth, auth.requireAdmin);
+
+const adminError = (res, status, error) => res.status(status).json({ error });
+
+// First day of a report covering the last `days` days, as YYYY-MM-DD
+const reportStart = (days) => new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+// Users with their status and today's calls and tokens
+app.get('/api/admin/users', (req, res) => {
+  const today = reportStart(1);
+  const calls = quotas.listCalls(today);
+  const tokens = tokenUsage.listUsage(today);
+  res.json({
+    users: auth.listUsers().map(user => ({
+      ...user,
+      callsToday: calls.filter(row => row.username === user.username).reduce((sum, row) => sum + row.calls, 0),
+      tokensToday: tokens.filter(row => row.username === user.username).reduce((sum, row) => sum + row.totalTokens, 0)
+    }))
+  });
+});
+
+// Disable or re-enable a user: { disabled }
+app.patch('/api/admin/users/:username', (req, res) => {
+  const { disabled } = req.body;
+  if (typeof disabled !== 'boolean') {
+    return adminError(res, 400, 'disabled must be true or false');
+  }
+  if (req.params.username === req.session.username) {
+    return adminError(res, 400, 'You cannot disable your own account');
+  }
+  const user = auth.setUserDisabled(req.params.username, disabled, req.session.username);
+  if (!user) {
+    return adminError(res, 404, 'User not found');
+  }
+  audit.record(disabled ? 'user_disabled' : 'user_enabled', req.session.username, { target: req.params.username });
+  res.json({ user });
+});
+
+// Reset a user's call counts for today: { agentId? } - all agents when omitted
+app.post('/api/admin/users/:username/reset-quota', (req, res) => {
+  if (!auth.listUsers().some(user => user.username === req.params.username)) {
+    return adminError(res, 404, 'User not found');
+  }
+  const usage = quotas.resetUsage(req.params.username, req.body.agentId);
+  audit.record('quota_reset', req.session.username, { target: req.params.username, agentId: req.body.agentId });
+  res.json({ usage });
+});
+
+// Agents with their daily limit and active prompt version
+app.get('/api/admin/agents', (req, res) => {
+  res.json({
+    agents: agents.listAgents().map(agent => ({
+      id: agent.id,
+      name: agent.name,
+      shortName: agent.shortName,
+      hidden: agent.hidden,
+      model: agent.model,
+      ...quotas.getAgentLimit(agent.id),
+      promptVersion: agent.promptVersion
+    }))
+  });
+});
+
+// Set an agent's daily call limit: { dailyLimit } - null goes back to the configured limit
+app.put('/api/admin/agents/:id/limit', (req, res) => {
+  const { dailyLimit } = req.body;
+  if (!agents.getAgent(req.params.id)) {
+    return adminError(res, 404, 'Agent not found');
+  }
+  if (dailyLimit !== null && !(Number.isInteger(dailyLimit) && dailyLimit >= 0)) {
+    return adminError(res, 400, 'dailyLimit must be a whole number of calls, or null');
+  }
+  const limit = quotas.setAgentLimit(req.params.id, dailyLimit);
+  audit.record(dailyLimit === null ? 'agent_limit_cleared' : 'agent_limit_set', req.session.username, {
+    agentId: req.params.id,
+    dailyLimit: limit.limit
+  });
+  res.json(limit);
+});
+
+// Middleware - the agent named in the path of a prompt route, as req.agent
+function resolvePromptAgent(req, res, next) {
+  req.agent = agents.getAgent(req.params.agentId);
+  if (!req.agent) {
+    return adminError(res, 404, 'Agent not found');
+  }
+  next();
+}
+
+// An agent's prompt versions (version 0 is its YAML file) with the active one, and the options that fill placeholders
+app.get('/api/admin/prompts/:agentId', resolvePromptAgent, (req, res) => {
+  res.json({
+    agentId: req.agent.id,
+    model: req.agent.model,
+    supervisor: Boolean(req.agent.orchestration),
+    options: req.agent.options.map(({ id, label }) => ({ id, label })),
+    ...agents.getPromptVersions(req.agent)
+  });
+});
+
+// Preview a draft { template, variables }: the instructions as the model gets them with the options'
+// defaults, the placeholders by what fills them ({ options, variables, unknown }) and their size in tokens
+app.post('/api/admin/prompts/:agentId/preview', resolvePromptAgent, (req, res) => {
+  const { template, variables = {} } = req.body;
+  try {
+    const placeholders = agents.checkPrompt(req.agent, template, variables);
+    const systemPrompt = agents.previewPrompt(req.agent, template, variables);
+    res.json({ systemPrompt, placeholders, tokens: context.estimateTokens(systemPrompt) });
+  } catch (error) {
+    adminError(res, error.status || 500, error.message);
+  }
+});
+
+// Save a new prompt version: { template, variables, note?, activate? }
+app.post('/api/admin/prompts/:agentId/versions', resolvePromptAgent, (req, res) => {
+  const { template, variables, note, activate } = req.body;
+  try {
+    const version = agents.savePromptVersion(req.agent, { template, variables, note }, req.session.username, { activate: Boolean(activate) });
+    audit.record('prompt_version_saved', req.session.username, { agentId: req.agent.id, version: version.version, activated: Boolean(activate) });
+    res.status(201).json(version);
+  } catch (error) {
+    adminError(res, error.status || 500, error.message);
+  }
+});
+
+// Choose the prompt version used from the next request on: { version } - 0 is the YAML file
+app.put('/api/admin/prompts/:agentId/active', resolvePromptAgent, (req, res) => {
+  const { version } = req.body;
+  if (!Number.isInteger(version)) {
+    return adminError(res, 400, 'version must be a version number');
+  }
+  if (!agents.activatePromptVersion(req.agent, version, req.session.username)) {
+    return adminError(res, 404, `${req.agent.id} has no prompt version ${version}`);
+  }
+  audit.record('prompt_version_activated', req.session.username, { agentId: req.agent.id, version });
+  res.json(agents.getPromptVersions(req.agent));
+});
+
+// Run one message through two prompt versions and/or models of an agent, side by side:
+// { message, options?, variants: [{ version, model? }, { version, model? }] } - model defaults to the agent's.
+// Each variant counts as a call against the agent's daily limit and its tokens are recorded, but nothing
+// is saved to a conversation. Like chat, it is refused once the admin's token budget is spent. Replies with { currency, results: [{ version, model, content, usage, cost, durationMs,
+// sources, estimate?, email? } or { version, model, error, status }] } in the order of the variants.
+app.post('/api/admin/prompts/:agentId/compare', resolvePromptAgent, tokenUsage.enforceTokenBudget, async (req, res) => {
+  const { options, variants } = req.body;
+  const message = typeof req.body.message === 'string' ? req.body.message.trim() : '';
+  const { username } = req.session;
+  if (!message) {
+    return adminError(res, 400, 'message is required');
+  }
+  if (!Array.isArray(variants) || variants.length !== 2) {
+    return adminError(res, 400, 'variants must list two { version, model } pairs');
+  }
+  if (req.agent.orchestration) {
+    return adminError(res, 400, 'Supervisors hand messages to other agents - compare the prompts of their specialists instead');
+  }
+
+  const apiKey = apiKeys.getApiKey(username);
+  let runs;
+  try {
+    const available = await providers.listAvailableModels({ hasApiKey: Boolean(apiKey) });
+    runs = variants.map(({ version, model }) => {
+      const agent = agents.withPromptVersion(req.agent, version);
+      if (!agent) {
+        throw Object.assign(new Error(`${req.agent.id} has no prompt version ${version}`), { status: 404 });
+      }
+      if (model && !available.some(candidate => candidate.id === model)) {
+        throw Object.assign(new Error(`Model not available: ${model}`), { status: 400 });
+      }
+      const resolved = providers.resolveModel(model || agent.model);
+      if (!resolved.provider) {
+        throw Object.assign(new Error(`No provider configured for model: ${resolved.id}`), { status: 400 });
+      }
+      if (resolved.provider.requiresApiKey && !apiKey) {
+        throw Object.assign(new Error('No WatsonX API key registered. Add one in WatsonX Configuration.'), { status: 400 });
+      }
+      return { agent: agents.applyOptions(agent, options), model: resolved };
+    });
+  } catch (error) {
+    return adminError(res, error.status || 502, error.message);
+  }
+
+  // Both calls must fit in today's limit, or neither is made
+  const counted = runs.map(() => quotas.consume(username, req.agent.id));
+  if (counted.some(result => !result.allowed)) {
+    counted.filter(result => result.allowed).forEach(({ day }) => quotas.refund(username, req.agent.id, day));
+    const { limit, resetAt } = counted.find(result => !result.allowed);
+    return res.status(429).json({
+      error: `Daily limit of ${limit} calls for ${req.agent.id} does not leave room for both calls. Resets at ${resetAt}.`,
+      code: 'QUOTA_EXCEEDED'
+    });
+  }
+
+  const upstream = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      upstream.abort();
+    }
+  });
+
+  const messages = [{ role: 'user', content: message }];
+  const results = await Promise.all(runs.map(async ({ agent, model }, index) => {
+    const started = Date.now();
+    const sources = chat.retrieveSources(agent, messages);
+    const invocation = { agentId: agent.id, model: model.id, route: 'prompts/compare', promptVersion: agent.promptVersion };
+    try {
+      const result = await chat.completeForAgent(
+        agent,
+        chat.buildChatPayload(agent, model, messages, sources),
+        (payload) => model.provider.chat(payload, { apiKey, agentId: agent.id, signal: upstream.signal }),
+        { firstTurn: true }
+      );
+      const { cost } = tokenUsage.record(username, agent.id, model.id, result.usage);
+      audit.record('agent_invoked', username, { ...invocation, outcome: 'completed', tokens: result.usage?.total_tokens });
+      return { version: agent.promptVersion, model: model.id, ...result, cost, sources, durationMs: Date.now() - started };
+    } catch (error) {
+      // The day the call was counted on, which is not today when the comparison ran past midnight
+      quotas.refund(username, agent.id, counted[index].day);
+      if (!upstream.signal.aborted) {
+        logger.error('Model call failed', { ...invocation, error });
+        failures.recordFailure({ username, agentId: agent.id, model: model.id, route: 'prompts/compare', status: error.status, error: error.message, requestId: req.id });
+      }
+      audit.record('agent_invoked', username, { ...invocation, outcome: upstream.signal.aborted ? 'cancelled' : 'failed', status: error.status || 500 });
+      return { version: agent.promptVersion, model: model.id, error: error.message, status: error.status || 500 };
+    }
+  }));
+
+  if (!upstream.signal.aborted) {
+    res.json({ message, results, currency: tokenUsage.getCurrency() });
+  }
+});
+
+// Calls and tokens of every user per agent and day: ?days=14 (at most 90)
+app.get('/api/admin/usage', (req, res) => {
+  const days = Math.min(parseInt(req.query.days, 10) || 14, 90);
+  const from = reportStart(days);
+  const rows = new Map();
+  const rowFor = ({ date, username, agentId }) => {
+    const key = `${date}|${username}|${agentId}`;
+    if (!rows.has(key)) {
+      rows.set(key, { date, username, agentId, calls: 0, promptTokens: 0, completionTokens: 0, cost: 0 });
+    }
+    return rows.get(key);
+  };
+
+  quotas.listCalls(from).forEach(entry => {
+    rowFor(entry).calls += entry.calls;
+  });
+  tokenUsage.listUsage(from).forEach(entry => {
+    const row = rowFor(entry);
+    row.promptTokens += entry.promptTokens;
+    row.completionTokens += entry.completionTokens;
+    row.cost = Math.round((row.cost + entry.cost) * 1e6) / 1e6;
+  });
+
+  res.json({
+    from,
+    currency: tokenUsage.getCurrency(),
+    rows: [...rows.values()].sort((a, b) => b.date.localeCompare(a.date) || a.username.localeCompare(b.username))
+  });
+});
+
+// Recent failed model calls with the upstream error: ?limit=50&username=&agentId=
+app.get('/api/admin/failures', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  res.json({ failures: failures.listFailures({ limit, username: req.query.username, agentId: req.query.agentId }) });
+});
+
+// Audit trail: ?username=&action=&from=&to=&limit=200 - from and to are ISO dates or times
+app.get('/api/admin/audit', (req, res) => {
+  const { username, action, from, to } = req.query;
+  if (action && !audit.ACTIONS.includes(action)) {
+    return adminError(res, 400, `Unknown action: ${action}`);
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 200, 1000);
+  try {
+    res.json({ actions: audit.ACTIONS, entries: audit.query({ username, action, from, to, limit }) });
+  } catch (error) {
+    adminError(res, error.status || 500, error.message);
+  }
+});
+
+// Validate the stored API key endpoint
 app.post('/api/watsonx/validate', async (req, res) => {
   try {
-    const { apiKey } = req.body;
+    const apiKey = apiKeys.getApiKey(req.session.username);
 
     if (!apiKey) {
-      return res.status(400).json({ valid: false, error: 'API key is required' });
+      return res.status(400).json({ valid: false, error: 'No API key registered' });
     }
 
     // Try to get IAM token
-    await getIAMToken(apiKey);
+    await getIAMToken(apiKey, { forceRefresh: true });
     res.json({ valid: true });
 
   } catch (error) {
@@ -149,7 +1175,16 @@ if (process.env.NODE_ENV === 'production') {
 }
 
 app.listen(PORT, () => {
-  console.log(`🚀 Server running on http://localhost:${PORT}`);
-  console.log(`📡 WatsonX Project: ${WATSONX_PROJECT_ID}`);
-  console.log(`🌐 WatsonX URL: ${WATSONX_URL}`);
+  logger.info(`Server running on http://localhost:${PORT}`, {
+    port: Number(PORT),
+    watsonxProjectId: watsonx.WATSONX_PROJECT_ID,
+    watsonxUrl: watsonx.WATSONX_URL,
+    users: auth.userCount(),
+    knowledgeBase: rag.getStats(),
+    providers: providers.listProviders().map(provider => provider.id),
+    defaultProvider: providers.DEFAULT_PROVIDER,
+    agents: agents.listAgents().map(agent => agent.id)
+  });
+  // Carry on with batch jobs that were running when the server stopped
+  batches.resumeJobs();
 });
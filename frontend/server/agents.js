@@ -0,0 +1,231 @@
+/**
+ * Agent registry
+ * Agents are defined by YAML files in AGENTS_DIR using the same layout as the
+ * watsonx Orchestrate exports in /agents (name, display_name, description,
+ * instructions, llm, knowledge_base) plus a few app fields: short_name,
+ * placeholder, order, parameters (generation settings), quota.daily_limit and
+ * structured_output ("estimate" parses and validates replies, see estimates.js;
+ * "email" splits rewrites into subjects, body and changes, see emails.js), options
+ * (choices shown above the message box and filled into {{<option id>}} in the instructions),
+ * variables (values filled into {{<variable>}} in the instructions, see prompts.js),
+ * input ("code" gives the agent a code editor and numbers the lines of submitted
+ * code, see chat.js), hidden (specialists that are not offered on the dashboard)
+ * and orchestration (a supervisor's specialists, see orchestrator.js).
+ * knowledge_base lists the knowledge_base/<category> folders searched for
+ * context on every request (see rag.js). llm is "<provider>/<model id>" as in the
+ * Orchestrate exports (see providers/index.js).
+ * Admins can save new versions of an agent's instructions and variables from the
+ * admin console and choose the active one (see prompts.js); the YAML file is version 0.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const logger = require('./logger');
+const { qualifyModel } = require('./providers');
+const prompts = require('./prompts');
+
+const AGENTS_DIR = process.env.AGENTS_DIR || path.join(__dirname, '..', 'agents');
+
+const DEFAULT_MODEL = qualifyModel(process.env.DEFAULT_LLM || 'watsonx/ibm/granite-3-8b-instruct');
+
+const DEFAULT_PARAMETERS = {
+  max_tokens: 2048,
+  temperature: 0.7,
+  top_p: 0.9
+};
+
+// Option choices are { value, label, prompt } - a plain string is all three
+function toChoice(choice) {
+  if (typeof choice !== 'object') {
+    return { value: String(choice), label: String(choice), prompt: String(choice) };
+  }
+  const value = String(choice.value);
+  return { value, label: choice.label || value, prompt: choice.prompt || choice.label || value };
+}
+
+// Normalise one YAML definition into the shape the server uses
+function toAgent(definition, file) {
+  if (!definition?.name || !definition.instructions) {
+    throw new Error(`Agent definition ${file} needs at least "name" and "instructions"`);
+  }
+
+  return {
+    id: definition.name,
+    name: definition.display_name || definition.name,
+    shortName: definition.short_name || definition.display_name || definition.name,
+    description: definition.description || '',
+    placeholder: definition.placeholder || 'Type your message...',
+    systemPrompt: definition.instructions,
+    // The YAML template and variables (prompt version 0); systemPrompt is the active version, rendered
+    definition: {
+      template: definition.instructions,
+      variables: Object.fromEntries(Object.entries(definition.variables || {}).map(([name, value]) => [name, String(value)]))
+    },
+    promptVersion: 0,
+    model: definition.llm ? qualifyModel(definition.llm) : DEFAULT_MODEL,
+    parameters: { ...DEFAULT_PARAMETERS, ...definition.parameters },
+    dailyLimit: definition.quota?.daily_limit,
+    knowledgeBase: definition.knowledge_base || [],
+    structuredOutput: definition.structured_output || null,
+    calibration: definition.calibration || null,
+    inputMode: definition.input === 'code' ? 'code' : 'text',
+    options: (definition.options || []).map(option => {
+      const choices = option.choices.map(toChoice);
+      return {
+        id: option.id,
+        label: option.label || option.id,
+        choices,
+        default: option.default !== undefined ? String(option.default) : choices[0].value
+      };
+    }),
+    hidden: Boolean(definition.hidden),
+    orchestration: definition.orchestration ? {
+      specialists: definition.orchestration.specialists.map(specialist => ({
+        id: specialist.id,
+        label: specialist.label,
+        agentId: specialist.agent,
+        routesWhen: specialist.routes_when || '',
+        keywords: (specialist.keywords || []).map(keyword => String(keyword).toLowerCase())
+      }))
+    } : null,
+    order: definition.order ?? Number.MAX_SAFE_INTEGER
+  };
+}
+
+function loadAgents() {
+  if (!fs.existsSync(AGENTS_DIR)) {
+    logger.warn('Agents directory not found', { directory: AGENTS_DIR });
+    return [];
+  }
+
+  return fs.readdirSync(AGENTS_DIR)
+    .filter(file => /\.ya?ml$/.test(file))
+    .map(file => toAgent(yaml.load(fs.readFileSync(path.join(AGENTS_DIR, file), 'utf8')), file))
+    .sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+}
+
+const agents = loadAgents();
+
+const optionIds = (agent) => agent.options.map(option => option.id);
+
+// Use the agent's active prompt version for the next requests
+function applyActivePrompt(agent) {
+  const version = prompts.getActiveVersion(agent.id, agent.definition);
+  agent.systemPrompt = prompts.render(version);
+  agent.promptVersion = version.version;
+}
+
+agents.forEach(applyActivePrompt);
+
+// A supervisor can only route to agents that exist
+agents.filter(agent => agent.orchestration).forEach(agent => {
+  agent.orchestration.specialists.forEach(specialist => {
+    if (!agents.some(candidate => candidate.id === specialist.agentId)) {
+      throw new Error(`Agent ${agent.id} routes to unknown agent "${specialist.agentId}"`);
+    }
+  });
+});
+
+function listAgents() {
+  return agents;
+}
+
+function getAgent(id) {
+  return agents.find(agent => agent.id === id) || null;
+}
+
+// The agent's prompt versions and the active one (see prompts.listVersions)
+const getPromptVersions = (agent) => prompts.listVersions(agent.id, agent.definition);
+
+// Placeholders of a draft template, by what fills them (see prompts.checkTemplate)
+const checkPrompt = (agent, template, variables) => prompts.checkTemplate(template, variables, optionIds(agent));
+
+/**
+ * Save a new prompt version { template, variables, note? } for the agent, made active
+ * for the next request when `activate` is set. Returns the version.
+ */
+function savePromptVersion(agent, draft, createdBy, { activate = false } = {}) {
+  const version = prompts.saveVersion(agent.id, draft, optionIds(agent), createdBy, { activate });
+  if (activate) {
+    applyActivePrompt(agent);
+  }
+  return version;
+}
+
+// Make a saved version (or 0, the YAML definition) active; false if there is no such version
+function activatePromptVersion(agent, version, activatedBy) {
+  if (!prompts.activateVersion(agent.id, version, activatedBy)) {
+    return false;
+  }
+  applyActivePrompt(agent);
+  return true;
+}
+
+// The agent with another of its prompt versions, e.g. to compare it with the active one; null if it does not exist
+function withPromptVersion(agent, versionNumber) {
+  const version = prompts.getVersion(agent.id, agent.definition, versionNumber);
+  return version && { ...agent, systemPrompt: prompts.render(version), promptVersion: version.version };
+}
+
+/**
+ * The agent with its option choices filled into the instructions.
+ * `values` maps option ids to choice values; missing options use their default.
+ * Unknown options or choices throw an error with status 400.
+ */
+function applyOptions(agent, values = {}) {
+  if (!agent.options?.length) {
+    return agent;
+  }
+
+  const unknown = Object.keys(values).find(id => !agent.options.some(option => option.id === id));
+  if (unknown) {
+    const error = new Error(`Unknown option for ${agent.id}: ${unknown}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const choices = Object.fromEntries(agent.options.map(option => {
+    const value = values[option.id] ?? option.default;
+    const choice = option.choices.find(candidate => candidate.value === value);
+    if (!choice) {
+      const error = new Error(`Invalid ${option.label.toLowerCase()}: ${value}`);
+      error.status = 400;
+      throw error;
+    }
+    return [option.id, choice.prompt];
+  }));
+
+  return { ...agent, systemPrompt: prompts.fillPlaceholders(agent.systemPrompt, choices) };
+}
+
+// A draft template as the model would get it: its variables and the options' defaults filled in
+const previewPrompt = (agent, template, variables) => applyOptions({ ...agent, systemPrompt: prompts.fillPlaceholders(template, variables) }).systemPrompt;
+
+// Fields the browser needs to render an agent - prompts and routing rules stay on the server
+function toPublicAgent(agent) {
+  const { systemPrompt, definition, orchestration, options, ...publicFields } = agent;
+  return {
+    ...publicFields,
+    options: options.map(option => ({
+      ...option,
+      choices: option.choices.map(({ value, label }) => ({ value, label }))
+    })),
+    specialists: orchestration?.specialists.map(({ id, label }) => ({ id, label }))
+  };
+}
+
+module.exports = {
+  DEFAULT_MODEL,
+  DEFAULT_PARAMETERS,
+  listAgents,
+  getAgent,
+  getPromptVersions,
+  checkPrompt,
+  savePromptVersion,
+  activatePromptVersion,
+  withPromptVersion,
+  previewPrompt,
+  applyOptions,
+  toPublicAgent
+};
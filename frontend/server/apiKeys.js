@@ -0,0 +1,84 @@
+/**
+ * Per-user WatsonX API key storage
+ * Keys are encrypted with AES-256-GCM before they are written to disk and are
+ * only ever decrypted server-side; the browser just sees the last 4 characters.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { DATA_DIR, ensureDataDir, createJsonStore } = require('./store');
+
+const store = createJsonStore('api-keys', { users: {} });
+
+// Encryption key: derived from API_KEY_SECRET, or a random secret kept in
+// DATA_DIR so stored keys survive restarts on a single machine
+function loadEncryptionKey() {
+  let secret = process.env.API_KEY_SECRET;
+
+  if (!secret) {
+    const secretFile = path.join(DATA_DIR, 'api-key-secret');
+    if (fs.existsSync(secretFile)) {
+      secret = fs.readFileSync(secretFile, 'utf8').trim();
+    } else {
+      logger.warn('API_KEY_SECRET not set - generating a local secret', { file: secretFile });
+      ensureDataDir();
+      secret = crypto.randomBytes(32).toString('hex');
+      fs.writeFileSync(secretFile, secret, { mode: 0o600 });
+    }
+  }
+
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+const encryptionKey = loadEncryptionKey();
+
+function encrypt(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function decrypt({ iv, tag, data }) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+function saveApiKey(username, apiKey) {
+  store.update(data => {
+    data.users[username] = {
+      ...encrypt(apiKey),
+      last4: apiKey.slice(-4),
+      updatedAt: new Date().toISOString()
+    };
+  });
+}
+
+// Decrypted key for the user, or null when none is registered
+function getApiKey(username) {
+  const entry = store.read().users[username];
+  return entry ? decrypt(entry) : null;
+}
+
+function deleteApiKey(username) {
+  store.update(data => {
+    delete data.users[username];
+  });
+}
+
+// Non-secret summary safe to send to the browser
+function getApiKeyStatus(username) {
+  const entry = store.read().users[username];
+  return entry
+    ? { configured: true, last4: entry.last4, updatedAt: entry.updatedAt }
+    : { configured: false };
+}
+
+module.exports = { saveApiKey, getApiKey, deleteApiKey, getApiKeyStatus };
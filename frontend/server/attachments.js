@@ -0,0 +1,218 @@
+/**
+ * Chat attachments
+ * Files uploaded with a chat request (multipart/form-data) are turned into plain
+ * text on the server - DOCX and PDF are extracted locally, nothing is sent to a
+ * conversion service - and added to the agent's prompt. Attachments are kept with
+ * the conversation, so follow-up questions can still refer to them.
+ *
+ * Attachment text that does not fit ATTACHMENT_CONTEXT_CHARS is cut into chunks;
+ * the chunks most relevant to the latest user message are included, in document order.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const mammoth = require('mammoth');
+const pdfParse = require('pdf-parse');
+const { tokenize } = require('./rag');
+
+const MAX_FILE_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES, 10) || 5 * 1024 * 1024;
+const MAX_FILES = parseInt(process.env.ATTACHMENT_MAX_FILES, 10) || 5;
+
+// Attachment text added to a prompt, about 6,000 tokens at four characters per token
+const CONTEXT_CHARS = parseInt(process.env.ATTACHMENT_CONTEXT_CHARS, 10) || 24000;
+const CHUNK_CHARS = 2000;
+
+// Supported files by extension: how the text is read and the kind shown on the chip
+const TEXT_EXTENSIONS = ['txt', 'md', 'markdown', 'csv', 'log'];
+const SOURCE_EXTENSIONS = [
+  'java', 'kt', 'groovy', 'gradle', 'js', 'jsx', 'ts', 'tsx', 'py', 'sql', 'sh',
+  'xml', 'yml', 'yaml', 'json', 'properties', 'html', 'css'
+];
+const DOCUMENT_EXTENSIONS = ['docx', 'pdf'];
+const EXTENSIONS = [...TEXT_EXTENSIONS, ...SOURCE_EXTENSIONS, ...DOCUMENT_EXTENSIONS];
+
+const extensionOf = (fileName) => path.extname(fileName).slice(1).toLowerCase();
+
+function kindOf(extension) {
+  if (DOCUMENT_EXTENSIONS.includes(extension)) return extension;
+  return SOURCE_EXTENSIONS.includes(extension) ? 'source' : 'text';
+}
+
+function attachmentError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_BYTES, files: MAX_FILES },
+  fileFilter: (req, file, accept) => {
+    if (!EXTENSIONS.includes(extensionOf(file.originalname))) {
+      accept(attachmentError(415, `Unsupported attachment type: ${file.originalname}`));
+      return;
+    }
+    accept(null, true);
+  }
+}).array('files');
+
+/**
+ * Middleware - parses a multipart chat request into req.body and req.files.
+ * The form has a `request` field holding the usual JSON body and the files under `files`;
+ * JSON requests pass through unchanged.
+ */
+function parseMultipart(req, res, next) {
+  if (!req.is('multipart/form-data')) {
+    return next();
+  }
+
+  upload(req, res, (error) => {
+    if (error) {
+      if (error instanceof multer.MulterError) {
+        const message = error.code === 'LIMIT_FILE_SIZE'
+          ? `Attachments are limited to ${Math.round(MAX_FILE_BYTES / 1024 / 1024)} MB each`
+          : error.code === 'LIMIT_FILE_COUNT'
+            ? `At most ${MAX_FILES} attachments can be sent at once`
+            : error.message;
+        return res.status(413).json({ error: message });
+      }
+      return res.status(error.status || 400).json({ error: error.message });
+    }
+
+    try {
+      req.body = JSON.parse(req.body.request || '{}');
+    } catch {
+      return res.status(400).json({ error: 'The request field must be JSON' });
+    }
+    next();
+  });
+}
+
+async function extractText(file) {
+  const extension = extensionOf(file.originalname);
+  if (extension === 'docx') {
+    return (await mammoth.extractRawText({ buffer: file.buffer })).value;
+  }
+  if (extension === 'pdf') {
+    return (await pdfParse(file.buffer)).text;
+  }
+  return file.buffer.toString('utf8');
+}
+
+/**
+ * Extract the text of uploaded files.
+ * Resolves with [{ id, name, kind, size, text }]; unreadable files are rejected with status 422.
+ */
+async function readAttachments(files = []) {
+  return Promise.all(files.map(async (file) => {
+    let text;
+    try {
+      text = (await extractText(file)).replace(/\r\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+    } catch (error) {
+      throw attachmentError(422, `Could not read ${file.originalname}: ${error.message}`);
+    }
+    if (!text) {
+      throw attachmentError(422, `No text found in ${file.originalname}`);
+    }
+    return {
+      id: crypto.randomUUID(),
+      name: file.originalname,
+      kind: kindOf(extensionOf(file.originalname)),
+      size: file.size,
+      text
+    };
+  }));
+}
+
+// Split text at paragraph breaks into chunks of about CHUNK_CHARS; overlong paragraphs are cut
+function chunkText(text) {
+  const chunks = [];
+  let current = '';
+  text.split(/\n\n/).forEach(paragraph => {
+    if (current && current.length + paragraph.length > CHUNK_CHARS) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n\n${paragraph}` : paragraph;
+    while (current.length > CHUNK_CHARS) {
+      chunks.push(current.slice(0, CHUNK_CHARS));
+      current = current.slice(CHUNK_CHARS);
+    }
+  });
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Fit attachments into the prompt budget.
+ * When everything fits it is included whole; otherwise chunks are picked by how many
+ * of the query's terms they contain (earlier chunks win ties) until the budget is spent.
+ * Returns [{ ...attachment, text, truncated }] with the included text of each attachment.
+ */
+function fitAttachments(attachments, query) {
+  const total = attachments.reduce((sum, attachment) => sum + attachment.text.length, 0);
+  if (total <= CONTEXT_CHARS) {
+    return attachments.map(attachment => ({ ...attachment, truncated: false }));
+  }
+
+  const terms = new Set(tokenize(query));
+  const chunks = attachments.flatMap((attachment, file) => chunkText(attachment.text).map((text, position) => ({
+    file,
+    position,
+    text,
+    score: tokenize(text).filter(token => terms.has(token)).length
+  })));
+
+  const picked = new Set();
+  let used = 0;
+  [...chunks]
+    .sort((a, b) => b.score - a.score || a.position - b.position || a.file - b.file)
+    .forEach(chunk => {
+      if (used + chunk.text.length <= CONTEXT_CHARS) {
+        picked.add(chunk);
+        used += chunk.text.length;
+      }
+    });
+
+  return attachments.map((attachment, file) => {
+    const own = chunks.filter(chunk => chunk.file === file);
+    const parts = [];
+    own.forEach((chunk, i) => {
+      if (!picked.has(chunk)) return;
+      if (i > 0 && !picked.has(own[i - 1])) parts.push('[...]');
+      parts.push(chunk.text);
+    });
+    if (own.length && !picked.has(own[own.length - 1])) parts.push('[...]');
+    return { ...attachment, text: parts.join('\n\n'), truncated: own.some(chunk => !picked.has(chunk)) };
+  });
+}
+
+// Prompt block with the attachments' text; `fitted` comes from fitAttachments
+function formatAttachments(fitted) {
+  const documents = fitted.map(attachment => {
+    const note = attachment.truncated ? ' (excerpts - [...] marks left-out parts)' : '';
+    return `### ${attachment.name}${note}\n${attachment.text || '[not included - over the size budget]'}`;
+  });
+
+  return `## Attached Files
+The user attached these files to the conversation. Use them to answer and refer to them by name.
+
+${documents.join('\n\n---\n\n')}`;
+}
+
+// Attachment details shown in the chat and stored on messages - everything but the text
+const toAttachmentSummary = ({ text, ...summary }) => summary;
+
+function getLimits() {
+  return { maxFileBytes: MAX_FILE_BYTES, maxFiles: MAX_FILES, extensions: EXTENSIONS };
+}
+
+module.exports = {
+  parseMultipart,
+  readAttachments,
+  fitAttachments,
+  formatAttachments,
+  toAttachmentSummary,
+  getLimits
+};
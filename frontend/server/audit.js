@@ -0,0 +1,112 @@
+/**
+ * Audit trail
+ * Logins, failed logins, API key changes, quota and agent overrides and prompt
+ * versions saved in the admin console, and agent invocations are appended as
+ * JSON lines to DATA_DIR/audit.log (or AUDIT_LOG_FILE). Unlike the JSON stores
+ * the file is never rewritten - entries are only appended - so it can be shipped
+ * to write-once storage. Entries carry the request's correlation ID and pass
+ * through the same redaction as the logs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { DATA_DIR, ensureDataDir } = require('./store');
+
+const AUDIT_LOG_FILE = process.env.AUDIT_LOG_FILE || path.join(DATA_DIR, 'audit.log');
+
+const ACTIONS = [
+  'login',
+  'login_failed',
+  'logout',
+  'api_key_set',
+  'api_key_removed',
+  'user_disabled',
+  'user_enabled',
+  'quota_reset',
+  'agent_limit_set',
+  'agent_limit_cleared',
+  'prompt_version_saved',
+  'prompt_version_activated',
+  'agent_invoked'
+];
+
+/**
+ * Append an entry: { at, action, username, requestId, ...details }.
+ * `username` is who acted (or tried to log in); details describe the event,
+ * e.g. { target } for admin changes or { agentId, model, outcome } for invocations.
+ */
+function record(action, username, details = {}) {
+  const entry = {
+    at: new Date().toISOString(),
+    action,
+    username,
+    requestId: logger.getRequestId(),
+    ...logger.redact(details)
+  };
+  try {
+    ensureDataDir();
+    fs.appendFileSync(AUDIT_LOG_FILE, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+  } catch (error) {
+    // A full disk must not take the app down, but the gap has to be visible
+    logger.error('Could not write the audit log', { action, username, error });
+  }
+}
+
+// 2026-10-19, or 2026-10-19T10:00 with optional seconds and an optional Z or +02:00 offset (UTC without one)
+const ISO_BOUND = /^(\d{4})-(\d{2})-(\d{2})(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Epoch ms of a `from` or `to` filter. A bare date is the start of that UTC day,
+ * or its last millisecond with `endOfDay`. Anything else throws an error with status 400.
+ */
+function parseBound(value, name, endOfDay = false) {
+  const match = typeof value === 'string' && ISO_BOUND.exec(value);
+  const [, year, month, day, zone] = match || [];
+  const time = match && Date.parse(zone || value.length === 10 ? value : `${value}Z`);
+  // Date.parse rolls 2026-02-31 over into March instead of refusing it
+  const validDay = match && new Date(Date.UTC(year, month - 1, day)).getUTCDate() === Number(day);
+  if (!validDay || Number.isNaN(time)) {
+    const error = new Error(`${name} must be an ISO date or time, e.g. 2026-10-19 or 2026-10-19T10:00+02:00`);
+    error.status = 400;
+    throw error;
+  }
+  return endOfDay && value.length === 10 ? time + DAY_MS - 1 : time;
+}
+
+/**
+ * Entries matching all given filters, newest first: `username` (who acted or
+ * whose account was changed), `action`, and `from`/`to` as ISO dates or times
+ * (a bare `to` date includes that whole day). At most `limit` entries.
+ * Invalid `from`/`to` values throw an error with status 400.
+ */
+function query({ username, action, from, to, limit = 200 } = {}) {
+  const start = from ? parseBound(from, 'from') : -Infinity;
+  const end = to ? parseBound(to, 'to', true) : Infinity;
+  if (!fs.existsSync(AUDIT_LOG_FILE)) {
+    return [];
+  }
+
+  return fs.readFileSync(AUDIT_LOG_FILE, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        // A line cut short by a crash - skip it rather than failing the whole query
+        return null;
+      }
+    })
+    .filter(entry => entry
+      && (!username || entry.username === username || entry.target === username)
+      && (!action || entry.action === action)
+      && Date.parse(entry.at) >= start
+      && Date.parse(entry.at) <= end)
+    .slice(-limit)
+    .reverse();
+}
+
+module.exports = { ACTIONS, record, query };
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-'));
+process.env.DATA_DIR = dir;
+process.env.AUDIT_LOG_FILE = path.join(dir, 'audit.log');
+const audit = require('./audit');
+
+fs.writeFileSync(process.env.AUDIT_LOG_FILE, [
+  { at: '2026-10-18T23:30:00.000Z', action: 'login', username: 'ann' },
+  { at: '2026-10-19T07:59:00.000Z', action: 'login', username: 'bob' },
+  { at: '2026-10-19T08:01:00.000Z', action: 'logout', username: 'bob' },
+  { at: '2026-10-19T23:59:59.999Z', action: 'login', username: 'cy' }
+].map(entry => JSON.stringify(entry)).join('\n'));
+
+const users = (filters) => audit.query(filters).map(entry => entry.username).reverse();
+
+test('bare dates cover whole UTC days', () => {
+  assert.deepEqual(users({ from: '2026-10-19', to: '2026-10-19' }), ['bob', 'bob', 'cy']);
+  assert.deepEqual(users({ to: '2026-10-18' }), ['ann']);
+});
+
+test('times with an offset compare as instants', () => {
+  assert.deepEqual(users({ from: '2026-10-19T10:00+02:00' }), ['bob', 'cy']);
+  assert.deepEqual(users({ to: '2026-10-19T01:30+02:00' }), ['ann']);
+  assert.deepEqual(users({ from: '2026-10-19T08:00', to: '2026-10-19T09:00:00.000Z' }), ['bob']);
+});
+
+test('invalid bounds are refused with status 400', () => {
+  ['yesterday', '2026-02-31', '2026-10-19T25:00Z', '1', '2026-10-19 10:00'].forEach(value => {
+    assert.throws(() => audit.query({ from: value }), { status: 400 }, value);
+  });
+});
@@ -0,0 +1,259 @@
+/**
+ * Session authentication for the Express backend
+ * Users are loaded from a local JSON file with scrypt-hashed passwords and
+ * sessions are kept server-side, referenced by a signed HttpOnly cookie.
+ * Users with `"role": "admin"` (or listed in ADMIN_USERS) can use the admin
+ * console. Admins can disable users; that state and each user's last login are
+ * kept in DATA_DIR/userStatus.json so they survive restarts.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { createJsonStore } = require('./store');
+
+const SESSION_COOKIE = 'devday.sid';
+const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_MINUTES, 10) || 480) * 60 * 1000;
+const USERS_FILE = process.env.USERS_FILE || path.join(__dirname, '..', 'users.json');
+
+// Signing secret - generated per process when not configured, which simply
+// invalidates existing cookies on restart (sessions are in memory anyway)
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Comma-separated usernames that are admins whatever their user file entry says, e.g. the DEMO_USER
+const ADMIN_USERS = (process.env.ADMIN_USERS || '').split(',').map(name => name.trim()).filter(Boolean);
+
+// sessionId -> { username, displayName, role, createdAt, expiresAt }
+const sessions = new Map();
+
+// { users: { <username>: { disabled, disabledAt, disabledBy, lastLoginAt } } }
+const statusStore = createJsonStore('userStatus', { users: {} });
+
+// Hash a password as "scrypt$<salt>$<hash>"
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Load users from USERS_FILE, falling back to the DEMO_USER/DEMO_PASSWORD pair
+function loadUsers() {
+  if (fs.existsSync(USERS_FILE)) {
+    const data = JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
+    return (data.users || []).filter(user => user.username && user.passwordHash);
+  }
+
+  if (process.env.DEMO_USER && process.env.DEMO_PASSWORD) {
+    return [{
+      username: process.env.DEMO_USER,
+      displayName: 'Demo User',
+      passwordHash: hashPassword(process.env.DEMO_PASSWORD)
+    }];
+  }
+
+  return [];
+}
+
+const users = loadUsers();
+
+function findUser(username) {
+  return users.find(user => user.username === username);
+}
+
+const roleOf = (user) => (user.role === 'admin' || ADMIN_USERS.includes(user.username) ? 'admin' : 'user');
+
+// Disabled in the user file, or by an admin
+const isDisabled = (user) => Boolean(user.disabled || statusStore.read().users[user.username]?.disabled);
+
+// True for unknown users too, so work queued for a removed account does not run
+function isUserDisabled(username) {
+  const user = findUser(username);
+  return !user || isDisabled(user);
+}
+
+// Check credentials, returning the user record or null
+function authenticate(username, password) {
+  const user = findUser(username);
+  if (!user || isDisabled(user) || typeof password !== 'string') {
+    return null;
+  }
+  return verifyPassword(password, user.passwordHash) ? user : null;
+}
+
+function sign(value) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(value).digest('base64url');
+}
+
+// Cookies from any app on the domain arrive here; one that is not valid percent-encoding keeps its raw value
+const decodeCookie = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
+
+function parseCookies(header = '') {
+  return header.split(';').reduce((cookies, part) => {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      cookies[part.slice(0, index).trim()] = decodeCookie(part.slice(index + 1).trim());
+    }
+    return cookies;
+  }, {});
+}
+
+function cookieOptions(maxAgeSeconds) {
+  const options = [`Path=/`, `HttpOnly`, `SameSite=Lax`, `Max-Age=${maxAgeSeconds}`];
+  if (process.env.NODE_ENV === 'production') {
+    options.push('Secure');
+  }
+  return options.join('; ');
+}
+
+// Create a session for the user and set the cookie on the response
+function createSession(res, user) {
+  const id = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+  const session = {
+    username: user.username,
+    displayName: user.displayName || user.username,
+    role: roleOf(user),
+    createdAt: now,
+    expiresAt: now + SESSION_TTL_MS
+  };
+  sessions.set(id, session);
+  statusStore.update(data => {
+    data.users[user.username] = { ...data.users[user.username], lastLoginAt: new Date(now).toISOString() };
+  });
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${id}.${sign(id)}; ${cookieOptions(SESSION_TTL_MS / 1000)}`);
+  return session;
+}
+
+// Resolve the session referenced by the request cookie, or null
+function getSession(req) {
+  const cookie = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (!cookie) {
+    return null;
+  }
+
+  const [id, signature] = cookie.split('.');
+  const expected = sign(id);
+  if (!signature || signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  const session = sessions.get(id);
+  if (!session) {
+    return null;
+  }
+  if (session.expiresAt <= Date.now()) {
+    sessions.delete(id);
+    return null;
+  }
+  return { id, ...session };
+}
+
+function destroySession(req, res) {
+  const session = getSession(req);
+  if (session) {
+    sessions.delete(session.id);
+  }
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; ${cookieOptions(0)}`);
+}
+
+// Middleware - rejects requests without a valid session and exposes req.session
+function requireAuth(req, res, next) {
+  const session = getSession(req);
+  if (!session) {
+    return res.status(401).json({ error: 'Authentication required', code: 'SESSION_EXPIRED' });
+  }
+  req.session = session;
+  logger.addContext({ username: session.username });
+  next();
+}
+
+// Middleware - after requireAuth, rejects users who are not admins
+function requireAdmin(req, res, next) {
+  if (req.session.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required', code: 'FORBIDDEN' });
+  }
+  next();
+}
+
+// Every user with their role, status, last login and number of open sessions
+function listUsers() {
+  const status = statusStore.read().users;
+  const now = Date.now();
+  return users.map(user => ({
+    username: user.username,
+    displayName: user.displayName || user.username,
+    role: roleOf(user),
+    disabled: isDisabled(user),
+    // Users disabled in the user file can only be enabled there
+    disabledInFile: Boolean(user.disabled),
+    lastLoginAt: status[user.username]?.lastLoginAt || null,
+    activeSessions: [...sessions.values()].filter(session => session.username === user.username && session.expiresAt > now).length
+  }));
+}
+
+/**
+ * Disable or re-enable a user. Disabling ends their sessions at once.
+ * Returns the user's listing, or null for an unknown user.
+ */
+function setUserDisabled(username, disabled, changedBy) {
+  if (!findUser(username)) {
+    return null;
+  }
+  statusStore.update(data => {
+    data.users[username] = {
+      ...data.users[username],
+      disabled,
+      disabledAt: disabled ? new Date().toISOString() : undefined,
+      disabledBy: disabled ? changedBy : undefined
+    };
+  });
+  if (disabled) {
+    for (const [id, session] of sessions) {
+      if (session.username === username) {
+        sessions.delete(id);
+      }
+    }
+  }
+  return listUsers().find(user => user.username === username);
+}
+
+// Drop expired sessions periodically so the map does not grow unbounded
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, session] of sessions) {
+    if (session.expiresAt <= now) {
+      sessions.delete(id);
+    }
+  }
+}, 10 * 60 * 1000).unref();
+
+module.exports = {
+  hashPassword,
+  authenticate,
+  createSession,
+  getSession,
+  destroySession,
+  requireAuth,
+  requireAdmin,
+  listUsers,
+  setUserDisabled,
+  isUserDisabled,
+  userCount: () => users.length
+};
@@ -0,0 +1,551 @@
+/**
+ * Batch estimation
+ * A CSV or JSON list of enhancement requests is estimated as a background job.
+ * Each row is one call to an estimate agent, made with the owner's API key and
+ * counted against their daily limit and token budget like a chat message. At
+ * most BATCH_CONCURRENCY rows run at a time across all jobs. Jobs are saved to
+ * DATA_DIR/batches.json as every row starts and finishes, so a restart carries
+ * on where it stopped: rows that were running are queued again and their calls
+ * given back. A job pauses when the owner's daily limit or token budget runs
+ * out and goes on once resumed; failed rows can be retried one by one.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { createJsonStore } = require('./store');
+const agents = require('./agents');
+const chat = require('./chat');
+const providers = require('./providers');
+const apiKeys = require('./apiKeys');
+const quotas = require('./quotas');
+const tokenUsage = require('./tokenUsage');
+const failures = require('./failures');
+const audit = require('./audit');
+const auth = require('./auth');
+const logger = require('./logger');
+const { csvCell } = require('./exports');
+
+const CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY, 10) || 2;
+const MAX_ROWS = parseInt(process.env.BATCH_MAX_ROWS, 10) || 100;
+
+// Jobs kept per user besides running ones; the oldest are dropped when a new one is uploaded
+const MAX_JOBS_PER_USER = 20;
+
+// Characters of a request sent to the model
+const MAX_REQUEST_CHARS = 4000;
+
+// Column names (and JSON keys) read for each field, compared lower-case without spaces, _ and -
+const COLUMNS = {
+  ticket: ['id', 'key', 'ticket', 'ticketid', 'issue', 'issuekey'],
+  title: ['title', 'summary', 'name'],
+  description: ['description', 'details', 'body', 'request', 'text']
+};
+
+// { jobs: [{ id, username, agentId, fileName, status, pause, createdAt, updatedAt, rows }] }
+// Job status: running, paused, cancelled or completed. Row status: pending, running, done or failed.
+const store = createJsonStore('batches', { jobs: [] });
+
+// AbortControllers of the rows being estimated, by "<job id>:<row index>"
+const inFlight = new Map();
+
+function batchError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+const columnKey = (name) => String(name).toLowerCase().replace(/[\s_-]+/g, '');
+
+const fieldOf = (name) => Object.keys(COLUMNS).find(field => COLUMNS[field].includes(columnKey(name)));
+
+// Rows of CSV text as arrays of cells; quoted cells may hold delimiters, "" and line breaks
+function parseCsv(text) {
+  const firstLine = text.split('\n')[0];
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      rows.push([...row, cell]);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  rows.push([...row, cell]);
+  return rows.filter(cells => cells.some(value => value.trim()));
+}
+
+// { ticket, title, description } from a record keyed by column name; unknown columns are ignored
+function toTicket(record) {
+  const ticket = {};
+  Object.entries(record).forEach(([name, value]) => {
+    const field = fieldOf(name);
+    if (field && !ticket[field] && value !== null && value !== undefined) {
+      ticket[field] = String(value).trim();
+    }
+  });
+  return ticket;
+}
+
+/**
+ * Read an upload into [{ ticket, title, description }]. JSON is a list of strings
+ * or objects, or { requests: [...] }; CSV starts with a header row. Every entry
+ * needs a title or a description. Errors have status 400.
+ */
+function parseUpload(text) {
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+  if (!trimmed) {
+    throw batchError(400, 'The file is empty');
+  }
+
+  let tickets;
+  if (/^[[{]/.test(trimmed)) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (error) {
+      throw batchError(400, `Invalid JSON: ${error.message}`);
+    }
+    const list = Array.isArray(data) ? data : data.requests;
+    if (!Array.isArray(list)) {
+      throw batchError(400, 'JSON files hold a list of requests, or { "requests": [...] }');
+    }
+    tickets = list.map(item => (typeof item === 'string' ? { description: item.trim() } : toTicket(item || {})));
+  } else {
+    const [header, ...rows] = parseCsv(trimmed);
+    if (!header.some(name => ['title', 'description'].includes(fieldOf(name)))) {
+      throw batchError(400, `The CSV needs a header row with a title or description column (${[...COLUMNS.title, ...COLUMNS.description].join(', ')})`);
+    }
+    tickets = rows.map(cells => toTicket(Object.fromEntries(header.map((name, i) => [name, cells[i] ?? '']))));
+  }
+
+  if (tickets.length === 0) {
+    throw batchError(400, 'The file lists no requests');
+  }
+  if (tickets.length > MAX_ROWS) {
+    throw batchError(400, `A batch holds at most ${MAX_ROWS} requests; this file has ${tickets.length}`);
+  }
+  const empty = tickets.findIndex(ticket => !ticket.title && !ticket.description);
+  if (empty !== -1) {
+    throw batchError(400, `Request ${empty + 1} has no title or description`);
+  }
+  return tickets;
+}
+
+// The message sent for a row, as a user would type it in the chat
+const requestText = (row) => [row.title, row.description].filter(Boolean).join('\n\n').slice(0, MAX_REQUEST_CHARS);
+
+// Agents that batches can use: visible agents that answer with structured estimates
+const listBatchAgents = () => agents.listAgents().filter(agent => agent.structuredOutput === 'estimate' && !agent.hidden);
+
+const countRows = (rows) => rows.reduce((counts, row) => ({ ...counts, [row.status]: counts[row.status] + 1 }), {
+  pending: 0,
+  running: 0,
+  done: 0,
+  failed: 0
+});
+
+// List entry for a job - everything but its rows, with counts per row status
+function toSummary(job) {
+  const { username, rows, ...fields } = job;
+  return { ...fields, total: rows.length, counts: countRows(rows) };
+}
+
+// A job as its owner sees it, rows included
+const toView = (job) => ({
+  ...toSummary(job),
+  rows: job.rows.map(({ quotaDay, ...row }) => row)
+});
+
+const findJob = (data, username, id) => data.jobs.find(job => job.id === id && job.username === username);
+
+function listJobs(username) {
+  return store.read().jobs
+    .filter(job => job.username === username)
+    .map(toSummary)
+    .reverse();
+}
+
+function getJob(username, id) {
+  const job = findJob(store.read(), username, id);
+  return job ? toView(job) : null;
+}
+
+// Why the owner's job cannot run another row now, or null
+function pauseReason(job) {
+  if (auth.isUserDisabled(job.username)) {
+    return { reason: 'disabled', message: 'The account was disabled by an administrator' };
+  }
+  const budget = tokenUsage.getBudgetStatus(job.username);
+  if (budget.exceeded) {
+    const { limit } = budget[budget.exceeded];
+    return { reason: 'budget', message: `${budget.exceeded === 'daily' ? 'Daily' : 'Monthly'} token budget of ${limit} tokens reached` };
+  }
+  return null;
+}
+
+// Take the next pending row of the oldest running job and count its call; null when there is none.
+// Jobs whose owner has run out of calls or tokens, or has been disabled, are paused on the way.
+function claimRow() {
+  if (!store.read().jobs.some(job => job.status === 'running' && job.rows.some(row => row.status === 'pending'))) {
+    return null;
+  }
+  return store.update(data => {
+    const now = new Date().toISOString();
+    for (const job of data.jobs) {
+      const row = job.status === 'running' && job.rows.find(candidate => candidate.status === 'pending');
+      if (row) {
+        let pause = pauseReason(job);
+        const quota = !pause && quotas.consume(job.username, job.agentId);
+        if (quota && !quota.allowed) {
+          pause = { reason: 'quota', message: `Daily limit of ${quota.limit} calls for ${job.agentId} reached`, resetAt: quota.resetAt };
+        }
+        if (pause) {
+          Object.assign(job, { status: 'paused', pause, updatedAt: now });
+        } else {
+          Object.assign(row, { status: 'running', attempts: row.attempts + 1, error: undefined, quotaDay: quota.day, startedAt: now });
+          job.updatedAt = now;
+          return { jobId: job.id, username: job.username, agentId: job.agentId, index: row.index, attempts: row.attempts, text: requestText(row), quotaDay: quota.day };
+        }
+      }
+    }
+    return null;
+  });
+}
+
+// Store a row's outcome; the job completes once no row is left to run
+function finishRow(jobId, index, outcome) {
+  store.update(data => {
+    const job = data.jobs.find(candidate => candidate.id === jobId);
+    if (!job) {
+      return;
+    }
+    Object.assign(job.rows[index], outcome, { finishedAt: new Date().toISOString() });
+    job.updatedAt = new Date().toISOString();
+    if (job.status === 'running' && !job.rows.some(row => row.status === 'pending' || row.status === 'running')) {
+      job.status = 'completed';
+    }
+  });
+}
+
+// Estimate one row with the agent's active prompt and model
+async function runRow(claim, signal) {
+  const { jobId, username, agentId, index, attempts, text, quotaDay } = claim;
+  const started = Date.now();
+  let model = null;
+
+  try {
+    const base = agents.getAgent(agentId);
+    if (!base) {
+      throw batchError(404, `Unknown agent: ${agentId}`);
+    }
+    const agent = agents.applyOptions(base, {});
+    model = providers.resolveModel(agent.model);
+    if (!model.provider) {
+      throw batchError(400, `No provider configured for model: ${model.id}`);
+    }
+    const apiKey = apiKeys.getApiKey(username);
+    if (model.provider.requiresApiKey && !apiKey) {
+      throw batchError(400, 'No WatsonX API key registered. Add one in WatsonX Configuration.');
+    }
+
+    const messages = [{ role: 'user', content: text }];
+    const result = await chat.completeForAgent(
+      agent,
+      chat.buildChatPayload(agent, model, messages, chat.retrieveSources(agent, messages)),
+      (payload) => model.provider.chat(payload, { apiKey, agentId: agent.id, signal }),
+      { firstTurn: true }
+    );
+    const { cost } = tokenUsage.record(username, agent.id, model.id, result.usage);
+    audit.record('agent_invoked', username, {
+      agentId,
+      model: model.id,
+      route: 'batch',
+      outcome: 'completed',
+      tokens: result.usage?.total_tokens,
+      batchId: jobId
+    });
+
+    const reply = { usage: result.usage, cost, model: model.id, promptVersion: agent.promptVersion, durationMs: Date.now() - started };
+    // The model was called and its tokens count, but the row has nothing to export
+    finishRow(jobId, index, result.estimate
+      ? { ...reply, status: 'done', estimate: result.estimate }
+      : { ...reply, status: 'failed', error: `The reply could not be read as an estimate: ${result.estimateErrors.join('; ')}` });
+  } catch (error) {
+    quotas.refund(username, agentId, quotaDay);
+    if (signal.aborted) {
+      audit.record('agent_invoked', username, { agentId, model: model?.id, route: 'batch', outcome: 'cancelled', batchId: jobId });
+      // A stopped call is not an attempt
+      finishRow(jobId, index, { status: 'pending', attempts: attempts - 1 });
+      return;
+    }
+    logger.error('Model call failed', { route: 'batch', agentId, model: model?.id, batchId: jobId, row: index + 1, error });
+    failures.recordFailure({
+      username,
+      agentId,
+      model: model?.id,
+      route: 'batch',
+      status: error.status,
+      error: error.message,
+      requestId: logger.getRequestId()
+    });
+    audit.record('agent_invoked', username, { agentId, model: model?.id, route: 'batch', outcome: 'failed', status: error.status || 500, batchId: jobId });
+    finishRow(jobId, index, { status: 'failed', error: error.message, retryable: error.retryable });
+  }
+}
+
+// Start rows until CONCURRENCY are running or none is waiting
+function pump() {
+  while (inFlight.size < CONCURRENCY) {
+    const claim = claimRow();
+    if (!claim) {
+      return;
+    }
+    const key = `${claim.jobId}:${claim.index}`;
+    const controller = new AbortController();
+    inFlight.set(key, controller);
+    // Each row's log lines, failures and audit entries share a correlation ID
+    logger.runWithContext({ requestId: `batch-${claim.jobId}-${claim.index + 1}`, username: claim.username }, () => runRow(claim, controller.signal))
+      .catch(error => logger.error('Batch row crashed', { batchId: claim.jobId, row: claim.index + 1, error }))
+      .finally(() => {
+        inFlight.delete(key);
+        pump();
+      });
+  }
+}
+
+// Stop the rows of a job that are being estimated; they go back to pending
+function abortRows(jobId) {
+  inFlight.forEach((controller, key) => {
+    if (key.startsWith(`${jobId}:`)) {
+      controller.abort();
+    }
+  });
+}
+
+/**
+ * Start a job for the uploaded `text` (CSV or JSON, see parseUpload) with an estimate agent.
+ * Rejects unknown agents (404), agents without structured estimates, models without a
+ * provider, a missing API key and malformed files (400). Returns the job's view.
+ */
+function createJob(username, agentId, fileName, text) {
+  const agent = listBatchAgents().find(candidate => candidate.id === agentId);
+  if (!agent) {
+    throw agents.getAgent(agentId)
+      ? batchError(400, `${agentId} does not answer with structured estimates and cannot run batches`)
+      : batchError(404, `Unknown agent: ${agentId}`);
+  }
+  const model = providers.resolveModel(agent.model);
+  if (!model.provider) {
+    throw batchError(400, `No provider configured for model: ${model.id}`);
+  }
+  if (model.provider.requiresApiKey && !apiKeys.getApiKey(username)) {
+    throw batchError(400, 'No WatsonX API key registered. Add one in WatsonX Configuration.');
+  }
+
+  const tickets = parseUpload(text);
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    username,
+    agentId,
+    fileName: path.basename(fileName || 'requests.csv').slice(0, 120),
+    status: 'running',
+    pause: null,
+    createdAt: now,
+    updatedAt: now,
+    rows: tickets.map((ticket, index) => ({
+      index,
+      ticket: ticket.ticket || '',
+      title: ticket.title || '',
+      description: ticket.description || '',
+      status: 'pending',
+      attempts: 0
+    }))
+  };
+
+  store.update(data => {
+    const older = data.jobs.filter(candidate => candidate.username === username && candidate.status !== 'running');
+    const dropped = new Set(older.slice(0, Math.max(older.length + 1 - MAX_JOBS_PER_USER, 0)).map(candidate => candidate.id));
+    data.jobs = [...data.jobs.filter(candidate => !dropped.has(candidate.id)), job];
+  });
+  pump();
+  return toView(job);
+}
+
+// Change a job of the user's with `mutate(job)`; returns its view, or null when it does not exist
+function updateJob(username, id, mutate) {
+  const job = store.update(data => {
+    const found = findJob(data, username, id);
+    if (found) {
+      mutate(found);
+      found.updatedAt = new Date().toISOString();
+    }
+    return found;
+  });
+  return job ? toView(job) : null;
+}
+
+// Stop a job: no new rows start, and running rows are stopped and queued again
+function cancelJob(username, id) {
+  const job = updateJob(username, id, found => {
+    if (found.status === 'running' || found.status === 'paused') {
+      Object.assign(found, { status: 'cancelled', pause: null });
+    }
+  });
+  if (job) {
+    abortRows(id);
+  }
+  return job;
+}
+
+// Carry on with a paused or cancelled job
+function resumeJob(username, id) {
+  const job = updateJob(username, id, found => {
+    if (found.status === 'paused' || found.status === 'cancelled') {
+      Object.assign(found, { status: found.rows.some(row => row.status === 'pending') ? 'running' : 'completed', pause: null });
+    }
+  });
+  pump();
+  return job;
+}
+
+// Queue failed rows again - the one at `index`, or all of them - and run the job.
+// An index past the job's rows is refused (400).
+function retryRows(username, id, index = null) {
+  let retried = 0;
+  const job = updateJob(username, id, found => {
+    if (index !== null && !found.rows.some(row => row.index === index)) {
+      throw batchError(400, `The job has no row ${index + 1}`);
+    }
+    found.rows
+      .filter(row => row.status === 'failed' && (index === null || row.index === index))
+      .forEach(row => {
+        Object.assign(row, { status: 'pending', error: undefined, retryable: undefined });
+        retried += 1;
+      });
+    if (retried) {
+      Object.assign(found, { status: 'running', pause: null });
+    }
+  });
+  if (job && !retried) {
+    throw batchError(409, index === null ? 'The job has no failed rows' : `Row ${index + 1} has not failed`);
+  }
+  pump();
+  return job;
+}
+
+// Remove a job, stopping its running rows
+function deleteJob(username, id) {
+  const removed = store.update(data => {
+    const job = findJob(data, username, id);
+    data.jobs = data.jobs.filter(candidate => candidate !== job);
+    return Boolean(job);
+  });
+  if (removed) {
+    abortRows(id);
+  }
+  return removed;
+}
+
+/**
+ * A job's results as CSV: one line per request with each phase's hours, the totals,
+ * the calibrated P50/P80 totals when there are any, complexity, risks and the error of
+ * failed rows. Titles and descriptions come from the upload, so csvCell keeps them from
+ * running as formulas.
+ */
+function toCsv(job) {
+  const phaseNames = [...new Set(job.rows.flatMap(row => row.estimate?.phases.map(phase => phase.name) || []))];
+  const header = [
+    'Row', 'Ticket', 'Title', 'Status',
+    ...phaseNames.flatMap(name => [`${name} Min Hours`, `${name} Max Hours`]),
+    'Total Min Hours', 'Total Max Hours', 'P50 Hours', 'P80 Hours', 'Complexity', 'Risks', 'Error'
+  ];
+  const lines = job.rows.map(row => {
+    const estimate = row.estimate;
+    const phase = (name) => estimate?.phases.find(candidate => candidate.name === name);
+    return [
+      row.index + 1,
+      row.ticket,
+      row.title || row.description.slice(0, 80),
+      row.status,
+      ...phaseNames.flatMap(name => [phase(name)?.minHours, phase(name)?.maxHours]),
+      estimate?.totals.minHours,
+      estimate?.totals.maxHours,
+      estimate?.calibration?.totals.p50Hours,
+      estimate?.calibration?.totals.p80Hours,
+      estimate?.complexity.level,
+      estimate?.risks.join('; '),
+      row.error
+    ];
+  });
+
+  return `${[header, ...lines].map(cells => cells.map(csvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+// The CSV download of a job of the user's as { fileName, body }, or null for an unknown job
+function exportJob(username, id) {
+  const job = findJob(store.read(), username, id);
+  if (!job) {
+    return null;
+  }
+  const base = job.fileName.replace(/\.[^.]*$/, '').replace(/[^\w\s.-]+/g, '').trim() || 'batch';
+  return { fileName: `${base}-estimates.csv`, body: toCsv(job) };
+}
+
+// After a restart: rows that were running never finished - queue them again, give back their calls
+// and carry on with the running jobs
+function resumeJobs() {
+  const interrupted = store.update(data => data.jobs.flatMap(job => job.rows
+    .filter(row => row.status === 'running')
+    .map(row => {
+      Object.assign(row, { status: 'pending', attempts: row.attempts - 1 });
+      return { username: job.username, agentId: job.agentId, day: row.quotaDay };
+    })));
+  interrupted.forEach(({ username, agentId, day }) => quotas.refund(username, agentId, day));
+
+  const running = store.read().jobs.filter(job => job.status === 'running').length;
+  if (running) {
+    logger.info('Resuming batch jobs', { jobs: running, requeuedRows: interrupted.length });
+  }
+  pump();
+}
+
+const getLimits = () => ({ maxRows: MAX_ROWS, concurrency: CONCURRENCY });
+
+module.exports = {
+  parseUpload,
+  listBatchAgents,
+  listJobs,
+  getJob,
+  createJob,
+  cancelJob,
+  resumeJob,
+  retryRows,
+  deleteJob,
+  toCsv,
+  exportJob,
+  resumeJobs,
+  getLimits
+};
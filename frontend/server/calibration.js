@@ -0,0 +1,227 @@
+/**
+ * Estimate calibration against past projects
+ * Reads planned versus actual story points from a historical data file - the
+ * markdown of knowledge_base/estimation/springboot/historical-data.md, or a
+ * JSON file with the same facts - and turns each component and project into a
+ * variance factor (actual / planned). A parsed estimate is then calibrated
+ * phase by phase: the factors of the component types its task mentions (or of
+ * its phase, e.g. Testing), topped up with whole projects of the same
+ * complexity when there are too few, give a P50 and P80 figure next to the
+ * model's range. The samples used travel with the estimate, so the estimate
+ * card can name the projects behind the adjustment.
+ *
+ * Agents opt in with `calibration: <file under knowledge_base/>` in their YAML.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { KNOWLEDGE_BASE_DIR } = require('./rag');
+const { splitSections, stripMarkdown } = require('./markdownSections');
+const logger = require('./logger');
+
+// Component types, matched against component names, phase names and the task. The first match names a component.
+const COMPONENT_TYPES = [
+  { type: 'payment', label: 'Payments and finance', pattern: /payment|billing|invoice|financ|stripe/i },
+  { type: 'compliance', label: 'Compliance and audit', pattern: /complian|hipaa|\bsox\b|gdpr|audit/i },
+  { type: 'search', label: 'Search', pattern: /search|elasticsearch/i },
+  { type: 'documents', label: 'Documents and files', pattern: /document management|file|upload|\bs3\b|encrypt/i },
+  { type: 'integration', label: 'Integrations', pattern: /integrat|\bsync|third[- ]party|external api|calendar/i },
+  { type: 'messaging', label: 'Events and notifications', pattern: /notification|event|kafka|rabbitmq|queue|\bsms\b/i },
+  { type: 'security', label: 'Security', pattern: /security|\bjwt\b|oauth|authenticat|authori[sz]/i },
+  { type: 'crud', label: 'Entities and CRUD', pattern: /crud|entity|entities|records|tracking|appointment/i },
+  { type: 'testing', label: 'Testing', pattern: /test/i },
+  { type: 'devops', label: 'DevOps', pattern: /devops|ci\/?cd|deploy|pipeline/i },
+  { type: 'documentation', label: 'Documentation', pattern: /documentation|\bdocs\b/i }
+];
+
+// Types that are phases of every estimate rather than parts of a task
+const PHASE_TYPES = ['testing', 'devops', 'documentation'];
+
+// Fewer samples than this are topped up with whole projects of the estimate's complexity, then all projects
+const MIN_SAMPLES = 3;
+
+// Projects without an explicit complexity are rated by planned story points
+const COMPLEXITY_BY_POINTS = [[100, 'Low'], [150, 'Medium'], [Infinity, 'High']];
+
+const componentType = (name) => COMPONENT_TYPES.find(({ pattern }) => pattern.test(name))?.type || 'other';
+
+const ratio = (planned, actual) => (planned > 0 ? actual / planned : null);
+
+// Rows of the first markdown table in `text` as arrays of cells, without the header and separator
+function tableRows(text) {
+  return text.split('\n')
+    .filter(line => line.trim().startsWith('|'))
+    .map(line => line.trim().replace(/^\||\|$/g, '').split('|').map(cell => stripMarkdown(cell)))
+    .filter(cells => !/^:?-+:?$/.test(cells[0]))
+    .slice(1);
+}
+
+// Split a project section into { heading: body } at its "### " headings
+function subsections(text) {
+  return Object.fromEntries(text.split(/^###\s+/m).slice(1).map(part => {
+    const [heading, ...body] = part.split('\n');
+    return [heading.trim().toLowerCase(), body.join('\n')];
+  }));
+}
+
+const yamlField = (text, field) => text.match(new RegExp(`^${field}:\\s*"?([^"\\n]+)"?`, 'm'))?.[1].trim();
+
+// Projects from the markdown format: "## Project N: Name" sections with an overview,
+// "Planned vs Actual" (story points) and "Component Breakdown" tables
+function parseMarkdown(markdown) {
+  return Object.entries(splitSections(markdown))
+    .filter(([heading]) => heading.startsWith('project'))
+    .map(([, body]) => {
+      const parts = subsections(body);
+      const overview = parts.overview || '';
+      const points = tableRows(parts['planned vs actual'] || '').find(([metric]) => /story points/i.test(metric));
+      return {
+        id: yamlField(overview, 'project_id'),
+        name: yamlField(overview, 'name'),
+        complexity: yamlField(overview, 'complexity'),
+        planned: Number(points?.[1]),
+        actual: Number(points?.[2]),
+        components: tableRows(parts['component breakdown'] || '').map(([name, planned, actual, notes = '']) => ({
+          name,
+          planned: Number(planned),
+          actual: Number(actual),
+          notes
+        }))
+      };
+    });
+}
+
+/**
+ * Read a historical data file into projects with variance factors:
+ * [{ id, name, complexity, variance, components: [{ name, type, notes, variance }] }]
+ * where variance is actual / planned. JSON files hold { projects: [{ id, name, complexity?,
+ * planned, actual, components: [{ name, type?, planned, actual, notes? }] }] } in story points.
+ */
+function parseHistory(text, format) {
+  const projects = format === 'json' ? JSON.parse(text).projects : parseMarkdown(text);
+  return projects
+    .filter(project => project.id && ratio(project.planned, project.actual))
+    .map(project => ({
+      id: project.id,
+      name: project.name || project.id,
+      complexity: project.complexity || COMPLEXITY_BY_POINTS.find(([limit]) => project.planned <= limit)[1],
+      variance: ratio(project.planned, project.actual),
+      components: (project.components || [])
+        .filter(component => ratio(component.planned, component.actual))
+        .map(component => ({
+          name: component.name,
+          type: component.type || componentType(component.name),
+          notes: component.notes || '',
+          variance: ratio(component.planned, component.actual)
+        }))
+    }));
+}
+
+// Parsed history per file, read on first use; null when the file cannot be read
+const histories = new Map();
+
+function loadHistory(file) {
+  if (!histories.has(file)) {
+    const fullPath = path.join(KNOWLEDGE_BASE_DIR, file);
+    try {
+      const projects = parseHistory(fs.readFileSync(fullPath, 'utf8'), path.extname(file) === '.json' ? 'json' : 'markdown');
+      histories.set(file, projects);
+      logger.info('Calibration data loaded', { file, projects: projects.length });
+    } catch (error) {
+      histories.set(file, null);
+      logger.warn('Calibration data not available', { file, error: error.message });
+    }
+  }
+  return histories.get(file);
+}
+
+// Linear interpolation between the closest ranks
+function percentile(sorted, p) {
+  const rank = (sorted.length - 1) * p;
+  const lower = Math.floor(rank);
+  return sorted[lower] + (sorted[Math.ceil(rank)] - sorted[lower]) * (rank - lower);
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Calibrated hours of a phase: the middle of its range times the factor (the estimate card does the same for edited phases)
+const calibratedHours = (phase, factor) => Math.round(((phase.minHours + phase.maxHours) / 2) * factor);
+
+// Samples a phase is calibrated with, and what they were chosen by
+function phaseSamples(projects, phaseName, taskTypes, complexity) {
+  const phaseType = PHASE_TYPES.find(type => COMPONENT_TYPES.find(entry => entry.type === type).pattern.test(phaseName));
+  const types = phaseType ? [phaseType] : taskTypes;
+  const samples = projects.flatMap(project => project.components
+    .filter(component => types.includes(component.type))
+    .map(component => ({ projectId: project.id, component: component.name, variance: component.variance })));
+
+  const wholeProjects = (list) => list.map(project => ({ projectId: project.id, component: null, variance: project.variance }));
+  const similar = projects.filter(project => project.complexity === complexity);
+  if (samples.length < MIN_SAMPLES && similar.length) {
+    samples.push(...wholeProjects(similar));
+  }
+  if (samples.length < MIN_SAMPLES) {
+    samples.push(...wholeProjects(projects.filter(project => !similar.includes(project))));
+  }
+  return { basis: phaseType ? 'phase' : (types.length ? 'component' : 'complexity'), samples };
+}
+
+/**
+ * Calibrate a parsed estimate against the history in `file` (relative to the knowledge base).
+ * `task` is the user's request; together with the estimate's analysis it picks the component types.
+ * Returns null without history. Otherwise { source, complexity, taskTypes, phases, totals, projects }:
+ *   phases   - per phase of the estimate { name, basis, p50Factor, p80Factor, p50Hours, p80Hours, samples }
+ *   totals   - { p50Hours, p80Hours }, the sums of the phases (so P80 is on the safe side)
+ *   projects - the past projects behind the factors { id, name, complexity, variance, components }
+ */
+function calibrate(estimate, file, task = '') {
+  const projects = loadHistory(file);
+  if (!projects?.length) {
+    return null;
+  }
+
+  const text = `${task}\n${estimate.analysis || ''}`;
+  const taskTypes = COMPONENT_TYPES
+    .filter(({ type, pattern }) => !PHASE_TYPES.includes(type) && pattern.test(text))
+    .map(({ type, label }) => ({ type, label }));
+  const complexity = estimate.complexity?.level;
+
+  const phases = estimate.phases.map(phase => {
+    const { basis, samples } = phaseSamples(projects, phase.name, taskTypes.map(({ type }) => type), complexity);
+    const sorted = samples.map(sample => sample.variance).sort((a, b) => a - b);
+    const p50Factor = round2(percentile(sorted, 0.5));
+    const p80Factor = round2(percentile(sorted, 0.8));
+    return {
+      name: phase.name,
+      basis,
+      p50Factor,
+      p80Factor,
+      p50Hours: calibratedHours(phase, p50Factor),
+      p80Hours: calibratedHours(phase, p80Factor),
+      samples: samples.map(sample => ({ ...sample, variance: round2(sample.variance) }))
+    };
+  });
+
+  const used = new Set(phases.flatMap(phase => phase.samples.map(sample => sample.projectId)));
+  return {
+    source: file,
+    complexity,
+    taskTypes,
+    phases,
+    totals: {
+      p50Hours: phases.reduce((sum, phase) => sum + phase.p50Hours, 0),
+      p80Hours: phases.reduce((sum, phase) => sum + phase.p80Hours, 0)
+    },
+    projects: projects.filter(project => used.has(project.id)).map(project => ({
+      id: project.id,
+      name: project.name,
+      complexity: project.complexity,
+      variance: round2(project.variance),
+      components: project.components
+        .filter(component => phases.some(phase => phase.samples.some(sample => sample.projectId === project.id && sample.component === component.name)))
+        .map(({ name, notes, variance }) => ({ name, notes, variance: round2(variance) }))
+    }))
+  };
+}
+
+module.exports = { COMPONENT_TYPES, parseHistory, calibrate };
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.KNOWLEDGE_BASE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'calibration-test-'));
+process.env.LOG_LEVEL = 'error';
+const { calibrate } = require('./calibration');
+
+const writeHistory = (file, projects) => {
+  fs.writeFileSync(path.join(process.env.KNOWLEDGE_BASE_DIR, file), JSON.stringify({ projects }));
+  return file;
+};
+
+const history = writeHistory('history.json', [
+  {
+    id: 'P1', name: 'Billing portal', complexity: 'Medium', planned: 100, actual: 120,
+    components: [{ name: 'Payment gateway', planned: 10, actual: 15 }, { name: 'Unit tests', planned: 10, actual: 12 }]
+  },
+  {
+    id: 'P2', name: 'Subscriptions', complexity: 'Medium', planned: 100, actual: 110,
+    components: [{ name: 'Billing', planned: 20, actual: 20 }, { name: 'Regression tests', planned: 10, actual: 15 }]
+  },
+  {
+    id: 'P3', name: 'Finance reports', complexity: 'High', planned: 200, actual: 300,
+    components: [{ name: 'Invoice export', planned: 10, actual: 20 }]
+  }
+]);
+
+const estimate = {
+  phases: [{ name: 'Development', minHours: 10, maxHours: 20 }, { name: 'Testing', minHours: 4, maxHours: 6 }],
+  complexity: { level: 'Medium' }
+};
+
+const phase = (calibration, name) => calibration.phases.find(entry => entry.name === name);
+
+test('phases are calibrated with the components the task mentions', () => {
+  const calibration = calibrate(estimate, history, 'Add payment refunds');
+  const development = phase(calibration, 'Development');
+
+  assert.deepEqual(calibration.taskTypes, [{ type: 'payment', label: 'Payments and finance' }]);
+  assert.equal(development.basis, 'component');
+  assert.deepEqual(development.samples.map(sample => sample.component), ['Payment gateway', 'Billing', 'Invoice export']);
+  assert.equal(development.p50Factor, 1.5);
+  assert.equal(development.p80Factor, 1.8);
+  assert.equal(development.p50Hours, 23);
+  assert.equal(development.p80Hours, 27);
+});
+
+test('phases such as Testing use their own components, topped up with projects of the same complexity', () => {
+  const testing = phase(calibrate(estimate, history, 'Add payment refunds'), 'Testing');
+
+  assert.equal(testing.basis, 'phase');
+  assert.deepEqual(testing.samples.map(({ projectId, component }) => [projectId, component]), [
+    ['P1', 'Unit tests'],
+    ['P2', 'Regression tests'],
+    ['P1', null],
+    ['P2', null]
+  ]);
+});
+
+test('a task without known components falls back to whole projects', () => {
+  const development = phase(calibrate(estimate, history, 'Tidy up the settings page'), 'Development');
+
+  assert.equal(development.basis, 'complexity');
+  // The two Medium projects are too few on their own, so the High one joins them
+  assert.deepEqual(development.samples.map(sample => sample.projectId), ['P1', 'P2', 'P3']);
+  assert.ok(development.samples.every(sample => sample.component === null));
+});
+
+test('there is no calibration without usable history', () => {
+  const empty = writeHistory('empty.json', []);
+  const unplanned = writeHistory('unplanned.json', [{ id: 'P9', name: 'No plan', planned: 0, actual: 40, components: [] }]);
+
+  assert.equal(calibrate(estimate, empty, 'Add payment refunds'), null);
+  assert.equal(calibrate(estimate, unplanned, 'Add payment refunds'), null);
+  assert.equal(calibrate(estimate, 'missing.json', 'Add payment refunds'), null);
+});
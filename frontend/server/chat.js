@@ -0,0 +1,86 @@
+/**
+ * Chat request building blocks
+ * Shared by the chat routes and the supervisor orchestration: knowledge-base
+ * retrieval, the provider-neutral request body and completion with structured output.
+ */
+
+const rag = require('./rag');
+const estimates = require('./estimates');
+const attachments = require('./attachments');
+const emails = require('./emails');
+const calibration = require('./calibration');
+const { formatSummary } = require('./context');
+
+// Knowledge-base excerpts for the agent, retrieved with the latest user message
+function retrieveSources(agent, messages) {
+  if (!agent.knowledgeBase?.length) {
+    return [];
+  }
+  const query = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+  return rag.search(query, { categories: agent.knowledgeBase });
+}
+
+// Told to code agents, whose user messages arrive with numbered code (see numberCodeLines)
+const LINE_REFERENCES_NOTE = `Code in the user's messages is shown with line numbers ("12 | ...") that are not part of the code.
+Cite the lines each finding is about as L12, or L12-L18 for a range.`;
+
+// Prefix every line of each fenced code block with its line number, counted from 1 per block
+function numberCodeLines(content) {
+  return content.replace(/^(`{3,})([^\n`]*)\n([\s\S]*?)\n\1[ \t]*$/gm, (block, fence, info, code) => {
+    const lines = code.split('\n');
+    const width = String(lines.length).length;
+    const numbered = lines.map((line, i) => `${String(i + 1).padStart(width)} | ${line}`);
+    return `${fence}${info}\n${numbered.join('\n')}\n${fence}`;
+  });
+}
+
+// Build the provider-neutral chat request for the agent and model.
+// `attached` are the conversation's attachments, already fitted to the budget (see attachments.js),
+// and `summary` the running summary of turns that no longer fit the context window (see context.js).
+function buildChatPayload(agent, model, messages, sources = [], attached = [], summary = '') {
+  const isCodeAgent = agent.inputMode === 'code';
+  const systemPrompt = [
+    agent.systemPrompt,
+    isCodeAgent && LINE_REFERENCES_NOTE,
+    attached.length && attachments.formatAttachments(attached),
+    sources.length && rag.formatContext(sources),
+    summary && formatSummary(summary)
+  ].filter(Boolean).join('\n\n');
+
+  return {
+    model: model.modelId,
+    messages: [
+      { role: 'system', content: systemPrompt },
+      ...(isCodeAgent
+        ? messages.map(message => (message.role === 'user' ? { ...message, content: numberCodeLines(message.content) } : message))
+        : messages)
+    ],
+    parameters: agent.parameters
+  };
+}
+
+// Run the completion for the agent; agents with structured output get a parsed result.
+// Estimates are validated: the first turn must be an estimate, later turns only when the reply contains one.
+// `options.firstTurn` says which it is when earlier turns were summarised out of the payload.
+// Estimates of agents with `calibration` history are calibrated against the latest user message.
+// Email rewrites carry `email` when the reply has a rewritten email.
+async function completeForAgent(agent, payload, complete, { firstTurn, ...options } = {}) {
+  if (agent.structuredOutput === 'email') {
+    const result = await complete(payload);
+    const email = emails.parseRewrite(result.content);
+    return email ? { ...result, email } : result;
+  }
+  if (agent.structuredOutput !== 'estimate') {
+    return complete(payload);
+  }
+  const isFirstTurn = firstTurn ?? payload.messages.filter(message => message.role === 'user').length === 1;
+  const result = await estimates.completeEstimate(payload, complete, { ...options, required: isFirstTurn });
+  if (!result.estimate || !agent.calibration) {
+    return result;
+  }
+  const task = [...payload.messages].reverse().find(message => message.role === 'user')?.content;
+  const calibrated = calibration.calibrate(result.estimate, agent.calibration, task);
+  return calibrated ? { ...result, estimate: { ...result.estimate, calibration: calibrated } } : result;
+}
+
+module.exports = { retrieveSources, numberCodeLines, buildChatPayload, completeForAgent };
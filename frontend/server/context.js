@@ -0,0 +1,216 @@
+/**
+ * Context window budgeting
+ * Every chat request is fitted into the context window of its model, counted in
+ * tokens: the system prompt (with attachments and knowledge-base excerpts), the
+ * new message and room for the reply come first, then messages the user pinned,
+ * then as many recent turns as fit, word for word. Older turns of a saved
+ * conversation are folded into a running summary written by the same model and
+ * kept on the conversation ({ summary, summarizedThrough }), so each turn is
+ * only summarised once. Requests without a saved conversation drop the oldest
+ * turns instead.
+ *
+ * Windows are looked up by model ID in CONTEXT_WINDOWS ("model=tokens,..." with
+ * "<provider>/*" entries), then in the built-in table, then CONTEXT_WINDOW_TOKENS.
+ */
+
+// Context windows of the models the app ships with
+const KNOWN_WINDOWS = {
+  'watsonx/ibm/granite-3-8b-instruct': 131072
+};
+
+const DEFAULT_WINDOW = parseInt(process.env.CONTEXT_WINDOW_TOKENS, 10) || 8192;
+
+// Longest running summary, in tokens; its room is kept free once a conversation needs one
+const SUMMARY_MAX_TOKENS = parseInt(process.env.SUMMARY_MAX_TOKENS, 10) || 1024;
+
+// Token counts are estimated, not taken from the model's tokenizer - keep a margin
+const WINDOW_SHARE = 0.95;
+
+// Tokens a message costs beyond its text (role and separators)
+const MESSAGE_OVERHEAD = 4;
+
+// Summary parameters: no more than the summary may take, and a repeatable answer
+const SUMMARY_PARAMETERS = { max_tokens: SUMMARY_MAX_TOKENS, temperature: 0 };
+
+// Agent ID of summary calls, for the logs and the mock provider's fixtures
+const SUMMARY_AGENT_ID = 'contextSummary';
+
+const SUMMARY_INSTRUCTIONS = `You maintain a running summary of a conversation between a user and an AI assistant.
+Update the summary with the new messages. Keep every fact, decision, number, estimate,
+file and code name the rest of the conversation may refer to; drop greetings and repetition.
+Write plain prose or short bullet points, at most ${Math.round(SUMMARY_MAX_TOKENS * 0.75)} words.
+Reply with the updated summary only.`;
+
+function parseWindows(value = '') {
+  return Object.fromEntries(value.split(',')
+    .map(entry => entry.trim().split('='))
+    .filter(([modelId, tokens]) => modelId && parseInt(tokens, 10) > 0)
+    .map(([modelId, tokens]) => [modelId.trim(), parseInt(tokens, 10)]));
+}
+
+const configured = parseWindows(process.env.CONTEXT_WINDOWS);
+
+// Context window of a model in tokens. Mock models ("mock/watsonx/...") stand in for the model they are named after.
+function getContextWindow(modelId) {
+  const id = modelId.replace(/^mock\//, '');
+  const provider = id.split('/')[0];
+  return configured[modelId] || configured[id] || configured[`${provider}/*`] || KNOWN_WINDOWS[id] || DEFAULT_WINDOW;
+}
+
+function contextError(message) {
+  const error = new Error(message);
+  error.status = 413;
+  error.code = 'CONTEXT_OVERFLOW';
+  return error;
+}
+
+// Rough token count of a text - about four characters per token, as for attachments
+const estimateTokens = (text = '') => Math.ceil(text.length / 4);
+
+const messageTokens = (message) => estimateTokens(message.content) + MESSAGE_OVERHEAD;
+
+const sumTokens = (messages) => messages.reduce((sum, message) => sum + messageTokens(message), 0);
+
+// Summary section of the system prompt
+const formatSummary = (summary) => `Summary of the earlier conversation (older messages are not shown):\n${summary}`;
+
+// Cut a message that is longer than a whole summary batch
+const clip = (text, tokens) => (text.length > tokens * 4 ? `${text.slice(0, tokens * 4)}…` : text);
+
+// Split messages into batches of about `tokens` each, so a long stretch can be summarised in several calls
+function batches(messages, tokens) {
+  return messages.reduce((list, message) => {
+    const current = list[list.length - 1];
+    if (current && sumTokens(current) + messageTokens(message) <= tokens) {
+      current.push(message);
+    } else {
+      list.push([{ ...message, content: clip(message.content, tokens) }]);
+    }
+    return list;
+  }, []);
+}
+
+/**
+ * A summarize(previous, messages) function that folds `messages` into the
+ * `previous` summary with the request's model. Resolves with { summary, usage }.
+ * `window` bounds how much of the conversation goes into a single call.
+ */
+function createSummarizer({ model, apiKey, signal, window }) {
+  const batchTokens = Math.max(Math.floor(window * WINDOW_SHARE / 2) - SUMMARY_MAX_TOKENS, 500);
+
+  return async (previous, messages) => {
+    let summary = previous || '';
+    let usage = null;
+    for (const batch of batches(messages, batchTokens)) {
+      const transcript = batch
+        .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+        .join('\n\n');
+      const result = await model.provider.chat({
+        model: model.modelId,
+        messages: [
+          { role: 'system', content: SUMMARY_INSTRUCTIONS },
+          { role: 'user', content: `Summary so far:\n${summary || '(none)'}\n\nNew messages:\n${transcript}` }
+        ],
+        parameters: SUMMARY_PARAMETERS
+      }, { apiKey, agentId: SUMMARY_AGENT_ID, signal });
+
+      summary = result.content.trim();
+      usage = result.usage && {
+        prompt_tokens: (usage?.prompt_tokens || 0) + (result.usage.prompt_tokens || 0),
+        completion_tokens: (usage?.completion_tokens || 0) + (result.usage.completion_tokens || 0),
+        total_tokens: (usage?.total_tokens || 0) + (result.usage.total_tokens || 0)
+      };
+    }
+    return { summary, usage };
+  };
+}
+
+/**
+ * Fit a conversation into the model's context window.
+ *   window     - the model's context window (see getContextWindow)
+ *   reserved   - tokens of the system prompt without summary, plus the reply's max_tokens
+ *   history    - earlier messages in order ({ role, content, pinned? }); indexes are the conversation's
+ *   latest     - the new user message
+ *   stored     - the conversation's { summary, summarizedThrough }, if it has one
+ *   summarize  - see createSummarizer; without it, turns that do not fit are dropped
+ * Rejects with 413 CONTEXT_OVERFLOW when the new message and pinned messages alone do not fit.
+ * Resolves with { messages, summary, summarizedThrough, usage, info }: the messages to send
+ * (ending with `latest`), the summary for the system prompt, the tokens of summary calls and
+ * { window, budget, estimatedTokens, summarizedThrough, pinned, dropped } for the reply.
+ */
+async function fitContext({ window, reserved, history, latest, stored = {}, summarize }) {
+  const budget = Math.floor(window * WINDOW_SHARE) - reserved - messageTokens(latest);
+  if (budget < 0) {
+    throw contextError(`The message is too long for the model's context window of ${window} tokens. Shorten it or split it into several messages.`);
+  }
+
+  const indexed = history.map((message, index) => ({ ...message, index }));
+  const pinned = indexed.filter(message => message.pinned);
+  const available = budget - sumTokens(pinned);
+  if (available < 0) {
+    throw contextError(`The pinned messages no longer fit the model's context window of ${window} tokens. Unpin some of them to continue.`);
+  }
+
+  let summary = stored.summary || '';
+  let summarizedThrough = stored.summarizedThrough || 0;
+  let usage = null;
+  const unfolded = indexed.filter(message => !message.pinned && message.index >= summarizedThrough);
+  const summaryTokens = summary ? estimateTokens(summary) : 0;
+
+  let kept = unfolded;
+  let dropped = 0;
+  if (sumTokens(unfolded) + summaryTokens > available) {
+    // Newest turns first, as long as they fit next to a summary of the rest
+    const room = available - (summarize ? SUMMARY_MAX_TOKENS : 0);
+    let used = 0;
+    let first = unfolded.length;
+    while (first > 0 && used + messageTokens(unfolded[first - 1]) <= room) {
+      used += messageTokens(unfolded[first - 1]);
+      first -= 1;
+    }
+    // Keep whole turns - the kept messages start with a user message
+    while (first < unfolded.length && unfolded[first].role !== 'user') {
+      first += 1;
+    }
+    kept = unfolded.slice(first);
+    const through = first < unfolded.length ? unfolded[first].index : history.length;
+    // Pinned messages are summarised too, so nothing is lost when they are unpinned later
+    const older = indexed.slice(summarizedThrough, through);
+
+    if (summarize) {
+      ({ summary, usage } = await summarize(summary, older));
+      summarizedThrough = through;
+    } else {
+      dropped = first;
+    }
+  }
+
+  // Pinned messages keep their place in the conversation
+  const messages = [
+    ...[...pinned, ...kept].sort((a, b) => a.index - b.index).map(({ role, content }) => ({ role, content })),
+    latest
+  ];
+  return {
+    messages,
+    summary,
+    summarizedThrough,
+    usage,
+    info: {
+      window,
+      budget,
+      estimatedTokens: reserved + sumTokens(messages) + (summary ? estimateTokens(formatSummary(summary)) : 0),
+      summarizedThrough,
+      pinned: pinned.length,
+      dropped
+    }
+  };
+}
+
+module.exports = {
+  SUMMARY_AGENT_ID,
+  getContextWindow,
+  estimateTokens,
+  formatSummary,
+  createSummarizer,
+  fitContext
+};
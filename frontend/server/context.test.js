@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.SUMMARY_MAX_TOKENS = '50';
+const { fitContext } = require('./context');
+
+// Six messages of 104 tokens each (100 of text, 4 of overhead)
+const history = ['user', 'assistant', 'user', 'assistant', 'user', 'assistant']
+  .map((role, index) => ({ role, content: `${index}`.repeat(400) }));
+const latest = { role: 'user', content: 'next' };
+
+// A summarize() that keeps what it was given
+function summarizer() {
+  const calls = [];
+  const summarize = async (previous, messages) => {
+    calls.push({ previous, messages });
+    return { summary: `summary of ${messages.length}`, usage: { total_tokens: 10 } };
+  };
+  return { calls, summarize };
+}
+
+test('a conversation that fits is sent whole and nothing is summarised', async () => {
+  const { calls, summarize } = summarizer();
+  const fitted = await fitContext({ window: 1000, reserved: 100, history, latest, summarize });
+
+  assert.equal(calls.length, 0);
+  assert.equal(fitted.messages.length, 7);
+  assert.equal(fitted.summarizedThrough, 0);
+});
+
+test('once the window is exceeded the oldest turns go to the summarizer', async () => {
+  const { calls, summarize } = summarizer();
+  // 570 - 100 - 5 leaves 465 tokens, 50 of them kept for the summary: three messages fit, whole turns two
+  const fitted = await fitContext({ window: 600, reserved: 100, history, latest, summarize });
+
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].previous, '');
+  assert.deepEqual(calls[0].messages.map(message => message.content), history.slice(0, 4).map(message => message.content));
+  assert.deepEqual(fitted.messages, [...history.slice(4), latest]);
+  assert.equal(fitted.summary, 'summary of 4');
+  assert.equal(fitted.summarizedThrough, 4);
+  assert.deepEqual(fitted.usage, { total_tokens: 10 });
+});
+
+test('turns already in the stored summary are not summarised again', async () => {
+  const { calls, summarize } = summarizer();
+  const stored = { summary: 'earlier', summarizedThrough: 4 };
+  const fitted = await fitContext({ window: 600, reserved: 100, history, latest, stored, summarize });
+
+  assert.equal(calls.length, 0);
+  assert.equal(fitted.summary, 'earlier');
+  assert.deepEqual(fitted.messages, [...history.slice(4), latest]);
+});
+
+test('without a summarizer the oldest turns are dropped', async () => {
+  const fitted = await fitContext({ window: 600, reserved: 100, history, latest });
+
+  assert.deepEqual(fitted.messages, [...history.slice(2), latest]);
+  assert.equal(fitted.info.dropped, 2);
+  assert.equal(fitted.summary, '');
+});
+
+test('pinned messages stay in place while the turns around them are summarised', async () => {
+  const { calls, summarize } = summarizer();
+  const pinnedHistory = history.map((message, index) => (index === 0 ? { ...message, pinned: true } : message));
+  const fitted = await fitContext({ window: 600, reserved: 100, history: pinnedHistory, latest, summarize });
+
+  assert.equal(calls.length, 1);
+  assert.equal(fitted.messages[0].content, history[0].content);
+  assert.equal(fitted.messages.at(-1), latest);
+});
+
+test('a message too long for the window is refused', async () => {
+  await assert.rejects(
+    fitContext({ window: 100, reserved: 90, history: [], latest: { role: 'user', content: 'x'.repeat(400) } }),
+    { status: 413, code: 'CONTEXT_OVERFLOW' }
+  );
+});
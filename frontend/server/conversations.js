@@ -0,0 +1,198 @@
+/**
+ * Saved conversations per user
+ * Conversations are kept in DATA_DIR/conversations.json, keyed by username.
+ * The chat routes append each completed turn, so a conversation can be listed,
+ * searched and resumed later with its model context restored. Turns that no
+ * longer fit the model's context window are kept in full here; their running
+ * summary is kept in `context` (see context.js).
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./store');
+
+const store = createJsonStore('conversations', { users: {} });
+
+// Titles are taken from the first user message and cut to this length
+const MAX_TITLE_LENGTH = 80;
+
+// Characters of context shown either side of a search match
+const SNIPPET_CONTEXT = 60;
+
+const titleFrom = (text) => {
+  const title = text.replace(/\s+/g, ' ').trim();
+  return title.length > MAX_TITLE_LENGTH ? `${title.slice(0, MAX_TITLE_LENGTH - 1)}…` : title;
+};
+
+// Tokens and cost of every reply in the conversation
+function totalTokens(messages) {
+  return messages.reduce((totals, message) => ({
+    promptTokens: totals.promptTokens + (message.usage?.prompt_tokens || 0),
+    completionTokens: totals.completionTokens + (message.usage?.completion_tokens || 0),
+    cost: Math.round((totals.cost + (message.cost || 0)) * 1e6) / 1e6
+  }), { promptTokens: 0, completionTokens: 0, cost: 0 });
+}
+
+// List entry for a conversation - everything except the messages, attachments, sent emails and
+// context summary, with its token totals
+function toSummary(conversation) {
+  const { messages, attachments, emails, context, ...fields } = conversation;
+  return {
+    ...fields,
+    messageCount: messages.length,
+    attachmentCount: attachments?.length || 0,
+    tokens: totalTokens(messages)
+  };
+}
+
+// Text around the first case-insensitive match of `query`
+function snippetFor(text, query) {
+  const index = text.toLowerCase().indexOf(query);
+  if (index === -1) return null;
+  const start = Math.max(index - SNIPPET_CONTEXT, 0);
+  const end = Math.min(index + query.length + SNIPPET_CONTEXT, text.length);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ')}${end < text.length ? '…' : ''}`;
+}
+
+function getConversation(username, id) {
+  return store.read().users[username]?.[id] || null;
+}
+
+/**
+ * The user's conversations, most recently updated first.
+ * `agentId` limits the list to one agent; `query` searches titles and message
+ * text and adds a `snippet` of the first matching message.
+ * Conversations without any messages yet are left out.
+ */
+function listConversations(username, { agentId, query } = {}) {
+  const needle = query?.trim().toLowerCase();
+
+  return Object.values(store.read().users[username] || {})
+    .filter(conversation => conversation.messages.length > 0)
+    .filter(conversation => !agentId || conversation.agentId === agentId)
+    .map(conversation => {
+      if (!needle) return toSummary(conversation);
+
+      const titleMatch = conversation.title.toLowerCase().includes(needle);
+      const snippet = conversation.messages
+        .map(message => snippetFor(message.content, needle))
+        .find(Boolean);
+      return titleMatch || snippet ? { ...toSummary(conversation), snippet } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+function createConversation(username, { agentId, title }) {
+  const now = new Date().toISOString();
+  const conversation = {
+    id: crypto.randomUUID(),
+    agentId,
+    title: titleFrom(title || 'New conversation'),
+    createdAt: now,
+    updatedAt: now,
+    messages: []
+  };
+
+  store.update(data => {
+    data.users[username] = { ...data.users[username], [conversation.id]: conversation };
+  });
+  return conversation;
+}
+
+// Rename a conversation; resolves with its summary, or null if it does not exist
+function renameConversation(username, id, title) {
+  return store.update(data => {
+    const conversation = data.users[username]?.[id];
+    if (!conversation) return null;
+    conversation.title = titleFrom(title);
+    conversation.updatedAt = new Date().toISOString();
+    return toSummary(conversation);
+  });
+}
+
+function deleteConversation(username, id) {
+  return store.update(data => {
+    if (!data.users[username]?.[id]) return false;
+    delete data.users[username][id];
+    return true;
+  });
+}
+
+/**
+ * Append a user message and the assistant's reply to a conversation.
+ * `reply` is { content, model, promptVersion?, usage?, cost?, sources?, estimate?, email?, specialists?, stopped? };
+ * `promptVersion` is the version of the agent's prompt that produced it (see prompts.js) and
+ * `specialists` holds the individual answers behind a supervisor reply.
+ * `attachments` are the files sent with the user message ({ id, name, kind, size, text, truncated }):
+ * their text is kept on the conversation for later turns, the message lists them without it.
+ */
+function appendTurn(username, id, userContent, reply, attachments = []) {
+  return store.update(data => {
+    const conversation = data.users[username]?.[id];
+    if (!conversation) return null;
+
+    const now = new Date().toISOString();
+    const { content, model, promptVersion, usage, cost, sources, estimate, email, specialists, stopped } = reply;
+    if (attachments.length) {
+      conversation.attachments = [
+        ...(conversation.attachments || []),
+        ...attachments.map(({ truncated, ...attachment }) => ({ ...attachment, createdAt: now }))
+      ];
+    }
+    conversation.messages.push(
+      {
+        role: 'user',
+        content: userContent,
+        attachments: attachments.length ? attachments.map(({ text, ...summary }) => summary) : undefined,
+        createdAt: now
+      },
+      { role: 'assistant', content, model, promptVersion, usage, cost, sources, estimate, email, specialists, stopped, createdAt: now }
+    );
+    conversation.updatedAt = now;
+    return toSummary(conversation);
+  });
+}
+
+// Pin or unpin the message at `index` - pinned messages are always sent to the model.
+// Resolves with the message, or null if the conversation or message does not exist.
+function setPinned(username, id, index, pinned) {
+  return store.update(data => {
+    const message = data.users[username]?.[id]?.messages[index];
+    if (!message) return null;
+    message.pinned = pinned || undefined;
+    return message;
+  });
+}
+
+// Keep the running summary of the messages before `summarizedThrough`
+function updateContext(username, id, { summary, summarizedThrough }) {
+  return store.update(data => {
+    const conversation = data.users[username]?.[id];
+    if (!conversation) return null;
+    conversation.context = { summary, summarizedThrough, updatedAt: new Date().toISOString() };
+    return conversation.context;
+  });
+}
+
+// Record an email sent from the conversation ({ to, cc, subject, attachments, messageId, sentAt })
+function recordEmail(username, id, email) {
+  return store.update(data => {
+    const conversation = data.users[username]?.[id];
+    if (!conversation) return null;
+    conversation.emails = [...(conversation.emails || []), email];
+    conversation.updatedAt = email.sentAt;
+    return email;
+  });
+}
+
+module.exports = {
+  getConversation,
+  listConversations,
+  createConversation,
+  renameConversation,
+  deleteConversation,
+  appendTurn,
+  setPinned,
+  updateContext,
+  recordEmail
+};
@@ -0,0 +1,197 @@
+/**
+ * Email rewrites
+ * Splits replies in the emailRewriter format ("Suggested Subject / Alternative
+ * Subjects / Rewritten Email / Key Changes Made") into an email object for the
+ * rewrite card, reads and writes .eml files so drafts can come from and go
+ * back to a mail client, and sends agent results through the SMTP server set
+ * by the SMTP_* environment variables.
+ */
+
+const nodemailer = require('nodemailer');
+const addressparser = require('nodemailer/lib/addressparser');
+const { simpleParser } = require('mailparser');
+const MailComposer = require('nodemailer/lib/mail-composer');
+const { splitSections, findSection, stripMarkdown, parseBullets } = require('./markdownSections');
+const { messageMarkdown } = require('./exports');
+
+// "Subject: **Re: Budget**" -> "Re: Budget"
+const cleanSubject = (text) => stripMarkdown(text)
+  .replace(/^subject:\s*/i, '')
+  .replace(/^["'“]|["'”]$/g, '')
+  .trim();
+
+/**
+ * Read a rewrite reply into { subject, alternatives, body, changes }.
+ * Returns null when the reply has no rewritten email (e.g. a clarifying question).
+ */
+function parseRewrite(markdown) {
+  const sections = splitSections(markdown || '');
+  const body = findSection(sections, 'rewritten email').replace(/\n+---[\s\S]*$/, '').trim();
+  if (!body) {
+    return null;
+  }
+
+  const subject = cleanSubject(findSection(sections, 'suggested subject').split('\n')[0] || '');
+  const alternatives = parseBullets(findSection(sections, 'alternative subject'))
+    .map(cleanSubject)
+    .filter(alternative => alternative && alternative !== subject);
+
+  return {
+    subject,
+    alternatives: [...new Set(alternatives)],
+    body,
+    changes: parseBullets(findSection(sections, 'key changes'))
+  };
+}
+
+// Read an .eml file into { subject, from, to, cc, text } - the plain-text body, or the HTML body as text
+async function parseEml(source) {
+  const mail = await simpleParser(source);
+  return {
+    subject: mail.subject || '',
+    from: mail.from?.text || '',
+    to: mail.to?.text || '',
+    cc: mail.cc?.text || '',
+    text: (mail.text || '').replace(/\r\n/g, '\n').trim()
+  };
+}
+
+// Build an .eml message; X-Unsent makes mail clients such as Outlook open it as a draft to send
+function buildEml({ from, to, cc, subject, text }) {
+  return new MailComposer({
+    from: from || undefined,
+    to: to || undefined,
+    cc: cc || undefined,
+    subject,
+    text,
+    headers: { 'X-Unsent': '1' }
+  }).compile().build();
+}
+
+// SMTP settings - sending is off until SMTP_HOST is set (e.g. localhost:1025 for a Mailpit capture server)
+const SMTP_PORT = parseInt(process.env.SMTP_PORT, 10) || 587;
+const SMTP_SECURE = process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : SMTP_PORT === 465;
+const SMTP_FROM = process.env.SMTP_FROM || process.env.SMTP_USER || '';
+const MAX_RECIPIENTS = parseInt(process.env.EMAIL_MAX_RECIPIENTS, 10) || 20;
+
+// Longest note the sender can put above a reply
+const MAX_NOTE_CHARS = 2000;
+
+// Created on the first send so the server starts without an SMTP connection
+let transport = null;
+
+const isSendingEnabled = () => Boolean(process.env.SMTP_HOST && SMTP_FROM);
+
+// What the browser needs to offer sending - the server and credentials stay here
+const getSendConfig = () => ({ enabled: isSendingEnabled(), from: isSendingEnabled() ? SMTP_FROM : null, maxRecipients: MAX_RECIPIENTS });
+
+function getTransport() {
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: SMTP_PORT,
+      secure: SMTP_SECURE,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined
+    });
+  }
+  return transport;
+}
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// "Ana <ana@example.com>, bo@example.com" -> ['ana@example.com', 'bo@example.com']; throws 400 on anything else
+function parseRecipients(text, field) {
+  const addresses = addressparser(text || '', { flatten: true });
+  addresses.forEach(({ address, name }) => {
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address || '')) {
+      throw badRequest(`${field} has an invalid address: ${address || name}`);
+    }
+  });
+  return addresses.map(({ address }) => address);
+}
+
+/**
+ * The email for the agent's reply at `index` of a conversation, as { subject, text } - the
+ * sender only adds a `note` above it. A rewrite goes out as the rewritten email under its
+ * suggested subject, or the alternative named by `subject`; other replies as in the Markdown
+ * export, under "Estimate: <request>" or the conversation's title. Throws 400 when `index` is
+ * not a reply of the agent, `subject` is not one the reply offers or the note is too long.
+ */
+function composeReplyEmail(conversation, index, { subject, note = '' } = {}) {
+  const message = Number.isInteger(index) ? conversation.messages[index] : undefined;
+  if (message?.role !== 'assistant') {
+    throw badRequest('messageIndex must name a reply of the agent');
+  }
+  if (typeof note !== 'string' || note.length > MAX_NOTE_CHARS) {
+    throw badRequest(`The note can be at most ${MAX_NOTE_CHARS} characters`);
+  }
+
+  const request = conversation.messages[index - 1]?.role === 'user' ? conversation.messages[index - 1].content.split('\n')[0].slice(0, 80) : '';
+  const offered = message.email
+    ? [message.email.subject, ...message.email.alternatives].filter(Boolean)
+    : [message.estimate && request && `Estimate: ${request}`].filter(Boolean);
+  const subjects = offered.length ? offered : [conversation.title];
+  if (subject !== undefined && !subjects.includes(subject)) {
+    throw badRequest('subject must be one of the subjects the reply suggests');
+  }
+
+  const body = message.email ? message.email.body : messageMarkdown(message);
+  return {
+    subject: subject ?? subjects[0],
+    text: note.trim() ? `${note.trim()}\n\n---\n\n${body}` : body
+  };
+}
+
+/**
+ * Send an email through the configured SMTP server.
+ * `attachments` are { fileName, contentType, body } files such as conversation exports.
+ * Resolves with { to, cc, subject, attachments, messageId, sentAt }, the record kept
+ * on the conversation. Throws 400 for missing or invalid fields, 503 when sending is off
+ * and 502 when the SMTP server cannot be reached or refuses the message.
+ */
+async function sendEmail({ to, cc, subject, text, attachments = [] }) {
+  if (!isSendingEnabled()) {
+    const error = new Error('Email sending is not configured on this server');
+    error.status = 503;
+    throw error;
+  }
+
+  const recipients = { to: parseRecipients(to, 'To'), cc: parseRecipients(cc, 'Cc') };
+  if (recipients.to.length === 0) {
+    throw badRequest('At least one recipient is required');
+  }
+  if (recipients.to.length + recipients.cc.length > MAX_RECIPIENTS) {
+    throw badRequest(`An email can have at most ${MAX_RECIPIENTS} recipients`);
+  }
+  if (!subject?.trim() || !text?.trim()) {
+    throw badRequest('Subject and body are required');
+  }
+
+  try {
+    const info = await getTransport().sendMail({
+      from: SMTP_FROM,
+      to: recipients.to,
+      cc: recipients.cc,
+      subject: subject.trim(),
+      text,
+      attachments: attachments.map(file => ({ filename: file.fileName, contentType: file.contentType, content: file.body }))
+    });
+    return {
+      ...recipients,
+      subject: subject.trim(),
+      attachments: attachments.map(file => file.fileName),
+      messageId: info.messageId,
+      sentAt: new Date().toISOString()
+    };
+  } catch (error) {
+    const failure = new Error(`Could not send the email: ${error.message}`);
+    failure.status = 502;
+    throw failure;
+  }
+}
+
+module.exports = { parseRewrite, parseEml, buildEml, getSendConfig, composeReplyEmail, sendEmail };
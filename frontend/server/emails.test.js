@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { composeReplyEmail } = require('./emails');
+
+const conversation = {
+  title: 'Invoice work',
+  messages: [
+    { role: 'user', content: 'make this friendlier: pay now' },
+    {
+      role: 'assistant',
+      content: '## Rewritten Email\nCould you settle the invoice this week?',
+      email: { subject: 'Invoice reminder', alternatives: ['Friendly reminder'], body: 'Could you settle the invoice this week?', changes: [] }
+    },
+    { role: 'user', content: 'Add a PDF export\nwith branding' },
+    {
+      role: 'assistant',
+      content: '## Estimation Breakdown\n| Development | 10-16 |',
+      estimate: { phases: [] },
+      sources: [{ file: 'estimation/templates.md', section: 'Exports' }]
+    }
+  ]
+};
+
+test('a rewrite goes out as the rewritten email under one of its subjects', () => {
+  assert.deepEqual(composeReplyEmail(conversation, 1), {
+    subject: 'Invoice reminder',
+    text: 'Could you settle the invoice this week?'
+  });
+  assert.equal(composeReplyEmail(conversation, 1, { subject: 'Friendly reminder' }).subject, 'Friendly reminder');
+});
+
+test('other replies go out as in the Markdown export, with the note above them', () => {
+  const { subject, text } = composeReplyEmail(conversation, 3, { note: ' As discussed. ' });
+  assert.equal(subject, 'Estimate: Add a PDF export');
+  assert.equal(text, 'As discussed.\n\n---\n\n## Estimation Breakdown\n| Development | 10-16 |\n\n**Sources:**\n1. estimation/templates.md — Exports');
+});
+
+test('the sender cannot choose the text, a subject of their own or a message that is not a reply', () => {
+  assert.throws(() => composeReplyEmail(conversation, 1, { subject: 'Your account is locked' }), { status: 400 });
+  assert.throws(() => composeReplyEmail(conversation, 0), { status: 400 });
+  assert.throws(() => composeReplyEmail(conversation, 9), { status: 400 });
+  assert.throws(() => composeReplyEmail(conversation, '1'), { status: 400 });
+  assert.throws(() => composeReplyEmail(conversation, 1, { note: 'x'.repeat(2001) }), { status: 400 });
+});
@@ -0,0 +1,222 @@
+/**
+ * Structured BAU estimates
+ * Parses the markdown format requested by the bauEstimate prompt into an
+ * estimate object, validates it against a JSON schema and recomputes the
+ * totals from the phases so arithmetic mistakes in the model's table never
+ * reach the user.
+ */
+
+const Ajv = require('ajv');
+const { splitSections, findSection, stripMarkdown, parseBullets } = require('./markdownSections');
+
+const ESTIMATE_SCHEMA = {
+  type: 'object',
+  required: ['phases', 'totals', 'complexity', 'assumptions', 'risks'],
+  properties: {
+    analysis: { type: 'string' },
+    phases: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['name', 'minHours', 'maxHours'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          minHours: { type: 'number', minimum: 0 },
+          maxHours: { type: 'number', minimum: 0 },
+          notes: { type: 'string' }
+        }
+      }
+    },
+    totals: {
+      type: 'object',
+      required: ['minHours', 'maxHours'],
+      properties: {
+        minHours: { type: 'number', minimum: 0 },
+        maxHours: { type: 'number', minimum: 0 }
+      }
+    },
+    complexity: {
+      type: 'object',
+      required: ['level'],
+      properties: {
+        level: { enum: ['Low', 'Medium', 'High'] },
+        justification: { type: 'string' }
+      }
+    },
+    assumptions: { type: 'array', items: { type: 'string' } },
+    risks: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validateSchema = ajv.compile(ESTIMATE_SCHEMA);
+
+// Instruction sent back to the model when its reply cannot be parsed
+const REPROMPT_TEMPLATE = (errors) => `Your previous response could not be read as an estimate:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Reply again with the complete estimate using exactly the format from your instructions: the
+"## Estimation Breakdown" table with one row per phase and hours as "min-max", a
+"**Level:** Low/Medium/High" line under "## Complexity Assessment", and bullet lists under
+"## Assumptions" and "## Risks".`;
+
+// "4-8", "4 – 8 hours", "6" -> { min, max }
+function parseHours(cell) {
+  const numbers = stripMarkdown(cell).match(/\d+(?:\.\d+)?/g);
+  if (!numbers) return null;
+  const [min, max = min] = numbers.map(Number);
+  return { min, max };
+}
+
+function parseBreakdownTable(text) {
+  const phases = [];
+  let modelTotals = null;
+
+  text.split('\n')
+    .filter(line => line.trim().startsWith('|'))
+    .map(line => line.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim()))
+    .filter(cells => cells.length >= 2 && !/^:?-+:?$/.test(cells[0]) && !/^phase$/i.test(stripMarkdown(cells[0])))
+    .forEach(([nameCell, hoursCell, notes = '']) => {
+      const name = stripMarkdown(nameCell);
+      const hours = parseHours(hoursCell);
+      if (/^total/i.test(name)) {
+        modelTotals = hours && { minHours: hours.min, maxHours: hours.max };
+        return;
+      }
+      phases.push({
+        name,
+        minHours: hours ? hours.min : NaN,
+        maxHours: hours ? hours.max : NaN,
+        notes: stripMarkdown(notes)
+      });
+    });
+
+  return { phases, modelTotals };
+}
+
+function computeTotals(phases) {
+  return phases.reduce((totals, phase) => ({
+    minHours: totals.minHours + (phase.minHours || 0),
+    maxHours: totals.maxHours + (phase.maxHours || 0)
+  }), { minHours: 0, maxHours: 0 });
+}
+
+// Parse the model's markdown reply into an estimate object (which may be invalid)
+function parseEstimate(markdown) {
+  const sections = splitSections(markdown || '');
+  const { phases, modelTotals } = parseBreakdownTable(findSection(sections, 'estimation breakdown'));
+  const complexityText = findSection(sections, 'complexity');
+  const level = complexityText.match(/level:?\**\s*:?\s*\**\s*(low|medium|high)/i);
+  const justification = complexityText.match(/justification:?\**\s*:?\s*(.*)/i);
+
+  const totals = computeTotals(phases);
+
+  return {
+    analysis: findSection(sections, 'task analysis'),
+    phases,
+    totals,
+    modelTotals,
+    totalsCorrected: Boolean(modelTotals) &&
+      (modelTotals.minHours !== totals.minHours || modelTotals.maxHours !== totals.maxHours),
+    complexity: {
+      level: level ? level[1][0].toUpperCase() + level[1].slice(1).toLowerCase() : undefined,
+      justification: justification ? stripMarkdown(justification[1]) : ''
+    },
+    assumptions: parseBullets(findSection(sections, 'assumptions')),
+    risks: parseBullets(findSection(sections, 'risks'))
+  };
+}
+
+// Readable validation errors for the estimate, empty when it is valid
+function validateEstimate(estimate) {
+  const errors = [];
+
+  if (!validateSchema(estimate)) {
+    validateSchema.errors.forEach(error => {
+      errors.push(`${error.instancePath || 'estimate'} ${error.message}`);
+    });
+  }
+
+  estimate.phases?.forEach(phase => {
+    if (!Number.isFinite(phase.minHours) || !Number.isFinite(phase.maxHours)) {
+      errors.push(`phase "${phase.name}" has no hours range`);
+    } else if (phase.minHours > phase.maxHours) {
+      errors.push(`phase "${phase.name}" has minimum hours above maximum hours`);
+    }
+  });
+
+  return errors;
+}
+
+// Rewrite the model's Total row with the recomputed totals
+function correctTotalRow(markdown, totals) {
+  return markdown.replace(
+    /^(\s*\|\s*\**total\**\s*\|)[^|\n]*\|/im,
+    `$1 **${totals.minHours}-${totals.maxHours}** |`
+  );
+}
+
+// Attach the parsed estimate to a completion, fixing up the markdown totals
+function withEstimate(result, estimate) {
+  return {
+    ...result,
+    content: estimate.totalsCorrected ? correctTotalRow(result.content, estimate.totals) : result.content,
+    estimate
+  };
+}
+
+// Add two watsonx usage objects (prompt/completion/total tokens)
+function addUsage(a, b) {
+  if (!a || !b) return a || b;
+  return Object.fromEntries(
+    [...new Set([...Object.keys(a), ...Object.keys(b)])].map(key => [key, (a[key] || 0) + (b[key] || 0)])
+  );
+}
+
+/**
+ * Run a chat completion that should produce an estimate.
+ * `complete(payload)` performs one upstream call and resolves with { content, usage }.
+ * A reply that fails validation is re-prompted once (onRetry is told why); the result
+ * carries `estimate` when valid, otherwise `estimateErrors`. Unless `required` is set,
+ * replies without an estimation breakdown (follow-up answers) are returned as they are.
+ */
+async function completeEstimate(payload, complete, { onRetry, required = true } = {}) {
+  const first = await complete(payload);
+  if (!required && !/estimation breakdown/i.test(first.content)) {
+    return first;
+  }
+
+  const estimate = parseEstimate(first.content);
+  const errors = validateEstimate(estimate);
+  if (errors.length === 0) {
+    return withEstimate(first, estimate);
+  }
+
+  onRetry?.(errors);
+  const second = await complete({
+    ...payload,
+    messages: [
+      ...payload.messages,
+      { role: 'assistant', content: first.content },
+      { role: 'user', content: REPROMPT_TEMPLATE(errors) }
+    ]
+  });
+
+  const retried = parseEstimate(second.content);
+  const retryErrors = validateEstimate(retried);
+  const result = { content: second.content, usage: addUsage(first.usage, second.usage) };
+  return retryErrors.length === 0
+    ? withEstimate(result, retried)
+    : { ...result, estimateErrors: retryErrors };
+}
+
+module.exports = {
+  ESTIMATE_SCHEMA,
+  REPROMPT_TEMPLATE,
+  parseEstimate,
+  validateEstimate,
+  computeTotals,
+  addUsage,
+  completeEstimate
+};
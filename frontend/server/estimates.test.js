@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseEstimate, completeEstimate, REPROMPT_TEMPLATE } = require('./estimates');
+
+const reply = ({ total = '**14-22**', level = 'Medium', development = '10-16' } = {}) => `## Task Analysis
+Add a PDF export to the invoice screen.
+
+## Estimation Breakdown
+| Phase | Hours | Notes |
+|-------|-------|-------|
+| Development | ${development} | Export service |
+| Testing | 4-6 | |
+| **Total** | ${total} | |
+
+## Complexity Assessment
+**Level:** ${level}
+**Justification:** One new endpoint
+
+## Assumptions
+- The PDF library is already approved
+
+## Risks
+- Fonts differ between environments
+`;
+
+// A complete() that answers with `replies` in turn and keeps the payloads it was called with
+function upstream(...replies) {
+  const calls = [];
+  const complete = async (payload) => {
+    calls.push(payload);
+    return { content: replies[calls.length - 1], usage: { prompt_tokens: 100, completion_tokens: 50, total_tokens: 150 } };
+  };
+  return { calls, complete };
+}
+
+const payload = { messages: [{ role: 'user', content: 'Estimate the PDF export' }] };
+
+test('a valid reply is returned with its estimate after one call', async () => {
+  const { calls, complete } = upstream(reply());
+  const result = await completeEstimate(payload, complete);
+
+  assert.equal(calls.length, 1);
+  assert.deepEqual(result.estimate.totals, { minHours: 14, maxHours: 22 });
+  assert.equal(result.estimate.complexity.level, 'Medium');
+  assert.equal(result.estimate.totalsCorrected, false);
+});
+
+test('a reply without a readable estimate is re-prompted once with the reasons', async () => {
+  const retries = [];
+  const { calls, complete } = upstream('Sure - about two days of work.', reply());
+  const result = await completeEstimate(payload, complete, { onRetry: errors => retries.push(errors) });
+
+  assert.equal(calls.length, 2);
+  assert.equal(retries.length, 1);
+  const reprompt = calls[1].messages;
+  assert.deepEqual(reprompt.slice(0, 2), [...payload.messages, { role: 'assistant', content: 'Sure - about two days of work.' }]);
+  assert.equal(reprompt[2].content, REPROMPT_TEMPLATE(retries[0]));
+  assert.ok(result.estimate);
+  assert.deepEqual(result.usage, { prompt_tokens: 200, completion_tokens: 100, total_tokens: 300 });
+});
+
+test('a reply outside the schema is re-prompted once and then given up on', async () => {
+  const { calls, complete } = upstream(reply({ level: 'Extreme' }), reply({ development: 'a few' }));
+  const result = await completeEstimate(payload, complete);
+
+  assert.equal(calls.length, 2);
+  assert.equal(result.estimate, undefined);
+  assert.ok(result.estimateErrors.some(error => error.includes('"Development" has no hours range')));
+});
+
+test('follow-up answers without a breakdown are left alone unless an estimate is required', async () => {
+  const { calls, complete } = upstream('Testing covers the export and the download link.');
+  const result = await completeEstimate(payload, complete, { required: false });
+
+  assert.equal(calls.length, 1);
+  assert.equal(result.estimate, undefined);
+  assert.equal(result.estimateErrors, undefined);
+});
+
+test('wrong totals from the model are recomputed from the phases and marked as corrected', async () => {
+  const estimate = parseEstimate(reply({ total: '**12-20**' }));
+  assert.deepEqual(estimate.modelTotals, { minHours: 12, maxHours: 20 });
+  assert.deepEqual(estimate.totals, { minHours: 14, maxHours: 22 });
+  assert.equal(estimate.totalsCorrected, true);
+
+  const { complete } = upstream(reply({ total: '**12-20**' }));
+  const result = await completeEstimate(payload, complete);
+  assert.match(result.content, /\| \*\*Total\*\* \| \*\*14-22\*\* \|/);
+});
@@ -0,0 +1,225 @@
+/**
+ * Conversation exports
+ * Renders a saved conversation as a Markdown transcript, a JSON dump with
+ * metadata, a CSV of its estimation breakdowns or a print-friendly HTML page.
+ * Served by GET /api/conversations/:id/export so scripts get the same files.
+ */
+
+const { Marked } = require('marked');
+
+const FORMATS = {
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' }
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Markdown renderer for the HTML export - raw HTML in replies is shown as text,
+// only web and mail links are kept and images are reduced to their alt text
+const markdown = new Marked({
+  gfm: true,
+  renderer: {
+    html({ text }) {
+      return escapeHtml(text);
+    },
+    link({ href, title, tokens }) {
+      const text = this.parser.parseInline(tokens);
+      if (!/^(https?:|mailto:)/i.test(href)) return text;
+      const titleAttribute = title ? ` title="${escapeHtml(title)}"` : '';
+      return `<a href="${escapeHtml(href)}"${titleAttribute}>${text}</a>`;
+    },
+    image({ text }) {
+      return escapeHtml(text);
+    }
+  }
+});
+
+// Add up the token usage of every reply in the conversation
+function totalUsage(messages) {
+  return messages.reduce((totals, message) => {
+    Object.entries(message.usage || {}).forEach(([key, value]) => {
+      if (typeof value === 'number') totals[key] = (totals[key] || 0) + value;
+    });
+    return totals;
+  }, {});
+}
+
+const speaker = (message, agent) => (message.role === 'user' ? 'You' : agent.name);
+
+const formatTime = (iso) => new Date(iso).toISOString().replace('T', ' ').slice(0, 16) + ' UTC';
+
+// Attached files are listed by name, kind and size; their extracted text stays on the server
+function toJson(conversation, agent) {
+  const { messages, attachments, ...fields } = conversation;
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    conversation: {
+      ...fields,
+      attachments: attachments?.map(({ text, ...metadata }) => metadata)
+    },
+    agent: { id: agent.id, name: agent.name, model: agent.model },
+    usage: totalUsage(messages),
+    messages
+  }, null, 2);
+}
+
+// A message as the Markdown export shows it: its text, attachments, whether it was stopped and its sources
+function messageMarkdown(message) {
+  const sources = message.sources?.length
+    ? `\n\n**Sources:**\n${message.sources.map((source, i) => `${i + 1}. ${source.file} — ${source.section || source.title}`).join('\n')}`
+    : '';
+  const attached = message.attachments?.length
+    ? `\n\n**Attachments:** ${message.attachments.map(attachment => attachment.name).join(', ')}`
+    : '';
+  const stopped = message.stopped ? '\n\n_(stopped before the reply was complete)_' : '';
+  return `${message.content}${attached}${stopped}${sources}`;
+}
+
+function toMarkdown(conversation, agent) {
+  const usage = totalUsage(conversation.messages);
+  const header = [
+    `# ${conversation.title}`,
+    '',
+    `- **Agent:** ${agent.name}`,
+    `- **Model:** ${agent.model}`,
+    `- **Started:** ${formatTime(conversation.createdAt)}`,
+    `- **Last updated:** ${formatTime(conversation.updatedAt)}`,
+    usage.total_tokens ? `- **Tokens:** ${usage.total_tokens}` : null
+  ].filter(line => line !== null);
+
+  const turns = conversation.messages.map(message => {
+    const prompt = message.promptVersion !== undefined ? ` · prompt v${message.promptVersion}` : '';
+    return `## ${speaker(message, agent)} · ${formatTime(message.createdAt)}${prompt}\n\n${messageMarkdown(message)}`;
+  });
+
+  const emails = conversation.emails?.length
+    ? [`## Emails sent\n\n${conversation.emails.map(email => `- ${formatTime(email.sentAt)} · **${email.subject}** to ${[...email.to, ...email.cc].join(', ')}`).join('\n')}`]
+    : [];
+
+  return `${[header.join('\n'), ...turns, ...emails].join('\n\n---\n\n')}\n`;
+}
+
+// Spreadsheets run text starting with one of these as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Quote a CSV cell when it contains a delimiter, quote or line break. Text that a spreadsheet
+// would run as a formula - model replies and uploaded titles among it - gets a leading '
+const csvCell = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One row per phase of every estimate in the conversation, each followed by its total
+function toCsv(conversation) {
+  const estimates = conversation.messages.filter(message => message.estimate);
+  if (estimates.length === 0) {
+    const error = new Error('This conversation has no estimate to export');
+    error.status = 404;
+    throw error;
+  }
+
+  const rows = [['Estimate', 'Created', 'Phase', 'Min Hours', 'Max Hours', 'P50 Hours', 'P80 Hours', 'Complexity', 'Notes']];
+  estimates.forEach((message, i) => {
+    // Calibrated figures are left empty for estimates made without calibration history
+    const { phases, totals, complexity, calibration } = message.estimate;
+    phases.forEach((phase, index) => {
+      const calibrated = calibration?.phases[index];
+      rows.push([i + 1, message.createdAt, phase.name, phase.minHours, phase.maxHours, calibrated?.p50Hours, calibrated?.p80Hours, '', phase.notes]);
+    });
+    rows.push([i + 1, message.createdAt, 'Total', totals.minHours, totals.maxHours, calibration?.totals.p50Hours, calibration?.totals.p80Hours, complexity?.level, '']);
+  });
+
+  return `${rows.map(row => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+const PRINT_STYLES = `
+  body { font-family: 'IBM Plex Sans', -apple-system, 'Segoe UI', Roboto, sans-serif; color: #161616; max-width: 800px; margin: 32px auto; padding: 0 24px; line-height: 1.5; }
+  h1 { font-size: 1.5rem; margin-bottom: 8px; }
+  .meta { color: #525252; font-size: 0.875rem; margin-bottom: 24px; }
+  .turn { border-top: 1px solid #e0e0e0; padding: 16px 0; break-inside: avoid-page; }
+  .speaker { font-weight: 600; font-size: 0.875rem; color: #0f62fe; }
+  .turn.user .speaker { color: #393939; }
+  .time { color: #6f6f6f; font-weight: normal; margin-left: 8px; }
+  table { border-collapse: collapse; margin: 12px 0; }
+  th, td { border: 1px solid #c6c6c6; padding: 6px 10px; text-align: left; }
+  th { background: #f4f4f4; }
+  pre { background: #f4f4f4; padding: 12px; overflow-x: auto; white-space: pre-wrap; }
+  code { font-family: 'IBM Plex Mono', Menlo, Consolas, monospace; font-size: 0.85em; }
+  .sources { font-size: 0.8rem; color: #525252; }
+  @media print { body { margin: 0; max-width: none; } a { color: inherit; } }
+`;
+
+function toHtml(conversation, agent) {
+  const usage = totalUsage(conversation.messages);
+  const turns = conversation.messages.map(message => {
+    const sources = message.sources?.length
+      ? `<ol class="sources">${message.sources.map(source => `<li>${escapeHtml(source.file)} — ${escapeHtml(source.section || source.title)}</li>`).join('')}</ol>`
+      : '';
+    const body = message.role === 'user'
+      ? `<p>${escapeHtml(message.content).replace(/\n/g, '<br>')}</p>`
+      : markdown.parse(message.content);
+    const attached = message.attachments?.length
+      ? `<p class="sources">📎 ${message.attachments.map(attachment => escapeHtml(attachment.name)).join(', ')}</p>`
+      : '';
+    return `<section class="turn ${message.role}">
+  <div class="speaker">${escapeHtml(speaker(message, agent))}<span class="time">${formatTime(message.createdAt)}</span></div>
+  ${body}${attached}${message.stopped ? '<p><em>(stopped before the reply was complete)</em></p>' : ''}${sources}
+</section>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(conversation.title)}</title>
+<style>${PRINT_STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(conversation.title)}</h1>
+<div class="meta">
+  ${escapeHtml(agent.name)} · ${escapeHtml(agent.model)} · ${formatTime(conversation.createdAt)}${usage.total_tokens ? ` · ${usage.total_tokens} tokens` : ''}
+</div>
+${turns.join('\n')}
+</body>
+</html>
+`;
+}
+
+const RENDERERS = { markdown: toMarkdown, json: toJson, csv: toCsv, html: toHtml };
+
+// File name from the conversation title, e.g. "Estimate for login page.md"
+function fileName(conversation, format) {
+  const base = conversation.title.replace(/[^\w\s.-]+/g, '').replace(/\s+/g, ' ').trim().slice(0, 60) || 'conversation';
+  return `${base}.${FORMATS[format].extension}`;
+}
+
+/**
+ * Render a conversation in one of the export formats.
+ * Resolves to { contentType, fileName, body }; throws an Error with `status`
+ * for unknown formats or a CSV export of a conversation without estimates.
+ */
+function exportConversation(conversation, agent, format) {
+  if (!FORMATS[format]) {
+    const error = new Error(`Unknown export format: ${format}. Use ${Object.keys(FORMATS).join(', ')}.`);
+    error.status = 400;
+    throw error;
+  }
+
+  return {
+    contentType: FORMATS[format].contentType,
+    fileName: fileName(conversation, format),
+    body: RENDERERS[format](conversation, agent)
+  };
+}
+
+module.exports = { FORMATS, csvCell, messageMarkdown, exportConversation };
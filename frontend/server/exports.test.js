@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = path.join(os.tmpdir(), `exports-test-${process.pid}`);
+const { csvCell, exportConversation } = require('./exports');
+
+test('quotes cells with delimiters, quotes and line breaks', () => {
+  assert.equal(csvCell('plain'), 'plain');
+  assert.equal(csvCell('a, "b"\nc'), '"a, ""b""\nc"');
+  assert.equal(csvCell(undefined), '');
+  assert.equal(csvCell(null), '');
+});
+
+test('text that a spreadsheet would run as a formula starts with a quote', () => {
+  ['=1+1', '+1', '-1', '@SUM(A1)', '\tx', '\rx'].forEach(value => {
+    assert.ok(csvCell(value).replace(/^"/, '').startsWith(`'${value[0]}`), value);
+  });
+  assert.equal(csvCell('=HYPERLINK("http://example.com","x")'), '"\'=HYPERLINK(""http://example.com"",""x"")"');
+});
+
+test('numbers are written as they are', () => {
+  assert.equal(csvCell(-4), '-4');
+  assert.equal(csvCell(12.5), '12.5');
+});
+
+test('the JSON export lists attached files without their text', () => {
+  const file = { id: 'a1', name: 'spec.pdf', kind: 'PDF', size: 52000, text: 'Confidential pricing', createdAt: '2026-10-01T09:00:00.000Z' };
+  const conversation = {
+    id: 'c1',
+    title: 'Spec review',
+    createdAt: file.createdAt,
+    updatedAt: file.createdAt,
+    attachments: [file],
+    messages: [{ role: 'user', content: 'Review this', attachments: [{ id: 'a1', name: 'spec.pdf', kind: 'PDF', size: 52000 }], createdAt: file.createdAt }]
+  };
+  const { body } = exportConversation(conversation, { id: 'enhancement', name: 'Enhancement', model: 'mock' }, 'json');
+
+  const { text, ...metadata } = file;
+  assert.deepEqual(JSON.parse(body).conversation.attachments, [metadata]);
+  assert.ok(!body.includes('Confidential pricing'));
+});
@@ -0,0 +1,46 @@
+/**
+ * Failed model calls
+ * Chat and orchestration requests that fail upstream are recorded with the
+ * provider's error message in DATA_DIR/failures.json, so admins can look into
+ * them without access to the server logs. Only the most recent ones are kept.
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./store');
+
+const MAX_FAILURES = 500;
+
+const store = createJsonStore('failures', { failures: [] });
+
+/**
+ * Record a failed call: { username, agentId, model, route, status, error, requestId }.
+ * `specialist` names the specialist when one of a supervisor's specialists failed;
+ * `requestId` is the correlation ID that finds the call in the server logs.
+ */
+function recordFailure({ username, agentId, model, route, status, error, specialist, requestId }) {
+  store.update(data => {
+    data.failures.push({
+      id: crypto.randomUUID(),
+      at: new Date().toISOString(),
+      username,
+      agentId,
+      specialist,
+      model,
+      route,
+      status: status || 500,
+      error,
+      requestId
+    });
+    data.failures = data.failures.slice(-MAX_FAILURES);
+  });
+}
+
+// The most recent failures first, optionally for one user or agent
+function listFailures({ limit = 50, username, agentId } = {}) {
+  return store.read().failures
+    .filter(failure => (!username || failure.username === username) && (!agentId || failure.agentId === agentId))
+    .slice(-limit)
+    .reverse();
+}
+
+module.exports = { recordFailure, listFailures };
@@ -0,0 +1,19 @@
+/**
+ * Prints a users.json entry for a new user
+ * Usage: npm run hash-password -- <username> <password> [display name]
+ */
+
+const { hashPassword } = require('./auth');
+
+const [username, password, ...displayName] = process.argv.slice(2);
+
+if (!username || !password) {
+  console.error('Usage: npm run hash-password -- <username> <password> [display name]');
+  process.exit(1);
+}
+
+console.log(JSON.stringify({
+  username,
+  displayName: displayName.join(' ') || username,
+  passwordHash: hashPassword(password)
+}, null, 2));
@@ -0,0 +1,114 @@
+/**
+ * IBM Cloud IAM token cache
+ * Access tokens are cached per API key until shortly before they expire, and
+ * concurrent requests for the same key share a single in-flight token call.
+ * Token calls time out after IAM_TIMEOUT_MS; their failures carry an HTTP
+ * status so the model call retries the ones that are transient.
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const IAM_URL = 'https://iam.cloud.ibm.com/identity/token';
+
+const IAM_TIMEOUT_MS = parseInt(process.env.IAM_TIMEOUT_MS, 10) || 10000;
+
+// Refresh this long before the token's stated expiry
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// sha256(apiKey) -> { token, expiresAt }
+const tokens = new Map();
+
+// sha256(apiKey) -> Promise<{ token, expiresAt }>
+const pending = new Map();
+
+// Never keep raw API keys as map keys
+const cacheKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+// Error with the status the chat reports: a rejected key is the user's to fix, anything else is IAM's
+function tokenError(message, status) {
+  const error = new Error(`IAM token error: ${message}`);
+  error.status = status;
+  return error;
+}
+
+async function requestToken(apiKey) {
+  const started = Date.now();
+  let response;
+  try {
+    response = await fetch(IAM_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: new URLSearchParams({
+        grant_type: 'urn:ibm:params:oauth:grant-type:apikey',
+        apikey: apiKey
+      }),
+      signal: AbortSignal.timeout(IAM_TIMEOUT_MS)
+    });
+  } catch (error) {
+    logger.warn('upstream call', { upstream: 'iam_token', durationMs: Date.now() - started, error });
+    throw error.name === 'TimeoutError'
+      ? tokenError(`no response within ${IAM_TIMEOUT_MS / 1000} seconds`, 504)
+      : tokenError(error.message, 502);
+  }
+  logger.info('upstream call', { upstream: 'iam_token', status: response.status, durationMs: Date.now() - started });
+
+  if (!response.ok) {
+    const error = await response.text();
+    throw tokenError(error, response.status === 429 || response.status >= 500 ? response.status : 401);
+  }
+
+  const data = await response.json();
+  const expiresAt = data.expiration
+    ? data.expiration * 1000
+    : Date.now() + (data.expires_in || 3600) * 1000;
+
+  return { token: data.access_token, expiresAt };
+}
+
+// Resolves like `promise`, or rejects with the signal's reason once it fires
+function abortable(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  signal.throwIfAborted();
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+// Get an IAM access token for the API key, using the cache unless forceRefresh is set.
+// Aborting `signal` stops waiting; a token call shared with other requests carries on for them.
+async function getIAMToken(apiKey, { forceRefresh = false, signal } = {}) {
+  const key = cacheKey(apiKey);
+
+  const cached = tokens.get(key);
+  if (!forceRefresh && cached && cached.expiresAt - REFRESH_MARGIN_MS > Date.now()) {
+    return cached.token;
+  }
+
+  // Join a refresh that is already running for this key
+  if (!pending.has(key)) {
+    const refresh = requestToken(apiKey)
+      .then(entry => {
+        tokens.set(key, entry);
+        return entry;
+      })
+      .finally(() => pending.delete(key));
+    pending.set(key, refresh);
+  }
+
+  const entry = await abortable(pending.get(key), signal);
+  return entry.token;
+}
+
+// Drop the cached token, e.g. after the key is changed or rejected upstream
+function invalidateIAMToken(apiKey) {
+  tokens.delete(cacheKey(apiKey));
+}
+
+module.exports = { getIAMToken, invalidateIAMToken };
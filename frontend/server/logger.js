@@ -0,0 +1,166 @@
+/**
+ * Structured logging
+ * Every log line is one JSON object on stdout ({ time, level, msg, requestId, ... })
+ * so log collectors such as IBM Cloud Logs can index and filter it. Each API
+ * request gets a correlation ID - the caller's X-Request-Id when it sends a
+ * sane one, otherwise a new UUID - which is returned in the X-Request-Id
+ * response header and added to every line logged while the request is handled.
+ * API keys, passwords, tokens and email bodies are redacted before anything is
+ * written.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+
+const REDACTED = '[REDACTED]';
+
+// Field names whose values are never logged, compared lower-case without - and _.
+// `body`, `text` and `html` hold email bodies and message content.
+const SECRET_FIELDS = new Set([
+  'apikey', 'password', 'passwordhash', 'secret', 'token', 'accesstoken', 'refreshtoken',
+  'authorization', 'cookie', 'setcookie', 'body', 'text', 'html'
+]);
+
+// Secrets that end up inside strings, e.g. in upstream error messages
+const SECRET_PATTERNS = [
+  [/(Bearer\s+)[\w.~+/=-]+/gi, `$1${REDACTED}`],
+  [/((?:api_?key|apikey|password)["']?\s*[:=]\s*["']?)[^\s"'&,}]+/gi, `$1${REDACTED}`]
+];
+
+const MAX_DEPTH = 6;
+
+// Correlation ID and other fields of the request being handled
+const context = new AsyncLocalStorage();
+
+// Milliseconds since a process.hrtime.bigint() reading, to a tenth
+const msSince = (started) => Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10;
+
+const isSecretField = (key) => SECRET_FIELDS.has(key.toLowerCase().replace(/[-_]/g, ''));
+
+const redactString = (value) => SECRET_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+
+// A copy of `value` that is safe to log: secret fields replaced, errors flattened
+function redact(value, depth = 0) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value instanceof Error) {
+    return redact({
+      name: value.name,
+      message: value.message,
+      status: value.status,
+      code: value.code,
+      // Upstream failures carry a status; only unexpected errors need their stack
+      stack: value.status ? undefined : value.stack
+    }, depth);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Object]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+  return Object.fromEntries(Object.entries(value)
+    .filter(([, item]) => item !== undefined)
+    .map(([key, item]) => [key, isSecretField(key) ? REDACTED : redact(item, depth + 1)]));
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) {
+    return;
+  }
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...context.getStore(),
+    ...redact(fields)
+  });
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+// Correlation ID of the request being handled, or undefined outside a request
+const getRequestId = () => context.getStore()?.requestId;
+
+// Add fields (e.g. the username once the session is known) to the rest of the request's log lines
+function addContext(fields) {
+  const store = context.getStore();
+  if (store) {
+    Object.assign(store, fields);
+  }
+}
+
+// Run work that is not part of a request, such as a batch job's rows, with its own correlation ID
+const runWithContext = (fields, fn) => context.run({ ...fields }, fn);
+
+// Only IDs that are safe to echo back and to write to the logs are accepted from callers
+const isValidRequestId = (id) => typeof id === 'string' && /^[\w.:-]{8,64}$/.test(id);
+
+// Middleware - assigns the correlation ID and logs each request once it has been answered
+function requestLogger(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = isValidRequestId(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+
+  const started = process.hrtime.bigint();
+  res.on('close', () => {
+    const status = res.statusCode;
+    write(status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info', 'request', {
+      requestId: req.id,
+      method: req.method,
+      // The query string can hold search terms, so only the path is logged
+      path: req.originalUrl.split('?')[0],
+      status,
+      durationMs: msSince(started),
+      username: req.session?.username,
+      // The client went away before the response was complete (e.g. a stopped stream)
+      aborted: !res.writableFinished || undefined
+    });
+  });
+
+  context.run({ requestId: req.id }, next);
+}
+
+/**
+ * Time an upstream call and log its latency and outcome:
+ * { upstream, durationMs, status, aborted } plus `fields`. Resolves or rejects
+ * like `call`.
+ */
+async function timeUpstream(upstream, fields, call) {
+  const started = process.hrtime.bigint();
+  try {
+    const result = await call();
+    write('info', 'upstream call', { upstream, ...fields, status: 200, durationMs: msSince(started) });
+    return result;
+  } catch (error) {
+    const aborted = error.name === 'AbortError';
+    write(aborted ? 'info' : 'warn', 'upstream call', {
+      upstream,
+      ...fields,
+      status: aborted ? undefined : error.status || 500,
+      durationMs: msSince(started),
+      aborted: aborted || undefined,
+      error: aborted ? undefined : error
+    });
+    throw error;
+  }
+}
+
+module.exports = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+  redact,
+  getRequestId,
+  addContext,
+  runWithContext,
+  requestLogger,
+  timeUpstream
+};
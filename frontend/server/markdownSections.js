@@ -0,0 +1,41 @@
+/**
+ * Markdown section helpers
+ * Shared by the parsers of structured replies (estimates.js, emails.js), which
+ * ask the model for fixed "## Heading" sections and read them back.
+ */
+
+// Split markdown into { heading: body } for its level-2 sections
+function splitSections(markdown) {
+  const sections = {};
+  let current = null;
+
+  markdown.split('\n').forEach(line => {
+    const heading = line.match(/^##\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      current = heading[1].trim().toLowerCase();
+      sections[current] = [];
+    } else if (current) {
+      sections[current].push(line);
+    }
+  });
+
+  return Object.fromEntries(Object.entries(sections).map(([key, lines]) => [key, lines.join('\n').trim()]));
+}
+
+function findSection(sections, name) {
+  const key = Object.keys(sections).find(heading => heading.includes(name));
+  return key ? sections[key] : '';
+}
+
+const stripMarkdown = (text) => text.replace(/\*\*|__|`/g, '').trim();
+
+// Items of a markdown list, without placeholder items such as "[List the main improvements]"
+function parseBullets(text) {
+  return text.split('\n')
+    .map(line => line.match(/^\s*(?:[-*+]|\d+\.)\s+(.*)$/))
+    .filter(Boolean)
+    .map(match => stripMarkdown(match[1]))
+    .filter(item => item && !/^\[.*\]$/.test(item));
+}
+
+module.exports = { splitSections, findSection, stripMarkdown, parseBullets };
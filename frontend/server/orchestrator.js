@@ -0,0 +1,171 @@
+/**
+ * Supervisor orchestration
+ * Implements the routing of the Orchestrate supervisor agent: classify the
+ * request into one or more specialists, run them in parallel with their own
+ * prompts and knowledge base, then have the supervisor combine the answers
+ * ("From Code Agent / From Estimation Agent / Combined Recommendation").
+ * A request routed to a single specialist streams that specialist's answer.
+ */
+
+const agents = require('./agents');
+const chat = require('./chat');
+const { addUsage } = require('./estimates');
+const { formatSummary } = require('./context');
+
+// Classification needs a short, repeatable answer
+const CLASSIFY_PARAMETERS = { max_tokens: 200, temperature: 0 };
+
+function classificationPrompt(specialists) {
+  return `You route requests to a team of specialists:
+${specialists.map(specialist => `- "${specialist.id}" (${specialist.label}): ${specialist.routesWhen}`).join('\n')}
+
+Decide which specialists are needed for the user's latest request. Requests that ask for
+several things (e.g. "review this code AND estimate the fix") need several specialists.
+Reply with JSON only, no other text:
+{"specialists": ["<id>", ...], "reason": "<one short sentence>"}`;
+}
+
+// Read the classifier's JSON reply; null when it names no known specialist
+function parseClassification(content, specialists) {
+  const json = content.match(/\{[\s\S]*\}/);
+  if (!json) return null;
+  try {
+    const parsed = JSON.parse(json[0]);
+    const ids = [...new Set(parsed.specialists || [])].filter(id => specialists.some(specialist => specialist.id === id));
+    return ids.length ? { ids, reason: String(parsed.reason || '') } : null;
+  } catch {
+    return null;
+  }
+}
+
+// Keyword routing used when the model's classification cannot be read
+function routeByKeywords(request, specialists) {
+  const text = request.toLowerCase();
+  const ids = specialists
+    .filter(specialist => specialist.keywords.some(keyword => text.includes(keyword)))
+    .map(specialist => specialist.id);
+  return ids.length
+    ? { ids, reason: 'Matched keywords in the request' }
+    : { ids: [specialists[0].id], reason: `No specialist matched, defaulting to the ${specialists[0].label}` };
+}
+
+async function classify(supervisor, request, call) {
+  const { specialists } = supervisor.orchestration;
+  const result = await call(supervisor, {
+    messages: [
+      { role: 'system', content: classificationPrompt(specialists) },
+      { role: 'user', content: request }
+    ],
+    parameters: CLASSIFY_PARAMETERS
+  });
+  return {
+    ...(parseClassification(result.content, specialists) || routeByKeywords(request, specialists)),
+    usage: result.usage
+  };
+}
+
+// The supervisor's prompt for combining the specialists' answers
+function synthesisRequest(request, answers) {
+  const sections = answers.map(answer => (answer.error
+    ? `### From ${answer.label}\n(This specialist failed: ${answer.error})`
+    : `### From ${answer.label}\n${answer.content}`));
+
+  return `User request:
+${request}
+
+Specialist answers:
+
+${sections.join('\n\n')}
+
+Combine these answers into the response format from your instructions.`;
+}
+
+/**
+ * Run the supervisor for the latest user message in `messages`.
+ * `model` is the resolved model ({ provider, modelId }) used for every call, the specialists
+ * see the conversation's `attached` files (fitted by attachments.js), `summary` is the running
+ * summary of turns left out of `messages` and `firstTurn` whether the conversation starts here
+ * (see context.js), and onEvent(event, data) receives progress:
+ *   route      { specialists: [{ id, label }], reason }
+ *   specialist { id, label, content, usage, sources, estimate?, error? } - as each one finishes
+ *   token      { content }  - the final answer, streamed
+ *   retry      { errors }   - single estimate reply was malformed, a corrected one follows
+ * Resolves with { content, usage, specialists, route, estimate?, sources? }.
+ */
+async function orchestrate({ supervisor, model, messages, attached = [], summary = '', firstTurn, apiKey, signal, onEvent = () => {} }) {
+  const call = (agent, payload, onDelta) => {
+    const request = { model: model.modelId, parameters: agent.parameters, ...payload };
+    const options = { apiKey, agentId: agent.id, signal };
+    return onDelta
+      ? model.provider.chatStream(request, { ...options, onDelta })
+      : model.provider.chat(request, options);
+  };
+
+  const request = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+  const route = await classify(supervisor, request, call);
+  const selected = supervisor.orchestration.specialists.filter(specialist => route.ids.includes(specialist.id));
+  onEvent('route', { specialists: selected.map(({ id, label }) => ({ id, label })), reason: route.reason });
+
+  // Each specialist sees the conversation with its own prompt and knowledge base
+  const runSpecialist = async (specialist, options = {}) => {
+    const agent = agents.getAgent(specialist.agentId);
+    const sources = chat.retrieveSources(agent, messages);
+    const result = await chat.completeForAgent(
+      agent,
+      chat.buildChatPayload(agent, model, messages, sources, attached, summary),
+      (payload) => call(agent, payload, options.onDelta),
+      { firstTurn, onRetry: options.onRetry }
+    );
+    const answer = { id: specialist.id, label: specialist.label, ...result, sources, promptVersion: agent.promptVersion };
+    onEvent('specialist', answer);
+    return answer;
+  };
+
+  if (selected.length === 1) {
+    const answer = await runSpecialist(selected[0], {
+      onDelta: (delta) => onEvent('token', { content: delta }),
+      onRetry: (errors) => onEvent('retry', { errors })
+    });
+    return {
+      content: answer.content,
+      usage: addUsage(route.usage, answer.usage),
+      specialists: [answer],
+      route: { reason: route.reason },
+      estimate: answer.estimate,
+      sources: answer.sources
+    };
+  }
+
+  // Several specialists: run them in parallel; a failed one is reported to the synthesis
+  const settled = await Promise.allSettled(selected.map(specialist => runSpecialist(specialist)));
+  if (signal?.aborted) {
+    throw signal.reason;
+  }
+  const answers = settled.map((outcome, i) => {
+    if (outcome.status === 'fulfilled') return outcome.value;
+    const failed = { id: selected[i].id, label: selected[i].label, content: '', error: outcome.reason.message };
+    onEvent('specialist', failed);
+    return failed;
+  });
+  if (answers.every(answer => answer.error)) {
+    throw settled[0].reason;
+  }
+
+  const history = messages.slice(0, -1);
+  const synthesis = await call(supervisor, {
+    messages: [
+      { role: 'system', content: [supervisor.systemPrompt, summary && formatSummary(summary)].filter(Boolean).join('\n\n') },
+      ...history,
+      { role: 'user', content: synthesisRequest(request, answers) }
+    ]
+  }, (delta) => onEvent('token', { content: delta }));
+
+  return {
+    content: synthesis.content,
+    usage: answers.reduce((total, answer) => addUsage(total, answer.usage), addUsage(route.usage, synthesis.usage)),
+    specialists: answers,
+    route: { reason: route.reason }
+  };
+}
+
+module.exports = { orchestrate, parseClassification, routeByKeywords };
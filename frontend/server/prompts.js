@@ -0,0 +1,166 @@
+/**
+ * Versioned prompt templates
+ * An agent's instructions are a template. {{<option id>}} placeholders are filled
+ * from the options picked in the chat (see agents.applyOptions) and {{<variable>}}
+ * placeholders from the template's variables - e.g. team_name, hourly_rate or
+ * tech_stack - so facts about the team can change without rewording the prompt.
+ *
+ * Version 0 is the agent's YAML definition (instructions and variables). Admins
+ * save further versions in the admin console and choose which one is active;
+ * versions are never changed or deleted, so every saved reply can name the
+ * version that produced it. Kept in DATA_DIR/prompts.json.
+ */
+
+const { createJsonStore } = require('./store');
+
+// {{name}} with optional spaces inside the braces
+const PLACEHOLDER = /\{\{\s*([\w-]+)\s*\}\}/g;
+
+const VARIABLE_NAME = /^[\w-]{1,40}$/;
+
+const MAX_TEMPLATE_LENGTH = 20000;
+const MAX_VARIABLE_LENGTH = 500;
+const MAX_NOTE_LENGTH = 200;
+
+// { agents: { <agentId>: { active, activatedAt, activatedBy, versions: [{ version, template, variables, note, createdAt, createdBy }] } } }
+const store = createJsonStore('prompts', { agents: {} });
+
+function promptError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Replace the {{placeholders}} that have a value; others are left for a later pass
+// Only own keys count, so {{toString}} or {{constructor}} are not filled from Object.prototype
+const fillPlaceholders = (text, values) => text.replace(PLACEHOLDER, (placeholder, name) => (Object.hasOwn(values, name) ? values[name] ?? placeholder : placeholder));
+
+// Names of the placeholders in a template, in order of first use
+const placeholdersIn = (template) => [...new Set([...template.matchAll(PLACEHOLDER)].map(match => match[1]))];
+
+// The YAML definition as version 0 - `builtin` is { template, variables } from the agent's file
+const builtinVersion = (builtin) => ({
+  version: 0,
+  template: builtin.template,
+  variables: builtin.variables,
+  note: 'Agent definition (YAML)',
+  createdAt: null,
+  createdBy: null
+});
+
+/**
+ * The agent's prompt versions, oldest first, and the active version number:
+ * { active, activatedAt, activatedBy, versions }.
+ */
+function listVersions(agentId, builtin) {
+  const saved = store.read().agents[agentId];
+  return {
+    active: saved?.active ?? 0,
+    activatedAt: saved?.activatedAt || null,
+    activatedBy: saved?.activatedBy || null,
+    versions: [builtinVersion(builtin), ...(saved?.versions || [])]
+  };
+}
+
+// One version, or null if the agent has no such version
+function getVersion(agentId, builtin, version) {
+  return listVersions(agentId, builtin).versions.find(candidate => candidate.version === version) || null;
+}
+
+const getActiveVersion = (agentId, builtin) => {
+  const { active, versions } = listVersions(agentId, builtin);
+  return versions.find(candidate => candidate.version === active) || versions[0];
+};
+
+// The version's instructions with its variables filled in; option placeholders remain
+const render = (version) => fillPlaceholders(version.template, version.variables);
+
+/**
+ * Check a template and its variables against the agent's option ids.
+ * Returns { options, variables, unknown }: the placeholders filled by options,
+ * by variables, and by neither (those would reach the model as written).
+ * Malformed input throws an error with status 400.
+ */
+function checkTemplate(template, variables, optionIds) {
+  if (typeof template !== 'string' || !template.trim()) {
+    throw promptError('template is required');
+  }
+  if (template.length > MAX_TEMPLATE_LENGTH) {
+    throw promptError(`template must be at most ${MAX_TEMPLATE_LENGTH} characters`);
+  }
+  if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+    throw promptError('variables must be an object of names and values');
+  }
+  Object.entries(variables).forEach(([name, value]) => {
+    if (!VARIABLE_NAME.test(name)) {
+      throw promptError(`Invalid variable name: ${name} (letters, digits, _ and - only)`);
+    }
+    if (optionIds.includes(name)) {
+      throw promptError(`Variable ${name} has the name of an option`);
+    }
+    if (typeof value !== 'string' || value.length > MAX_VARIABLE_LENGTH) {
+      throw promptError(`Variable ${name} must be text of at most ${MAX_VARIABLE_LENGTH} characters`);
+    }
+  });
+
+  const names = placeholdersIn(template);
+  const isVariable = (name) => Object.hasOwn(variables, name);
+  return {
+    options: names.filter(name => optionIds.includes(name)),
+    variables: names.filter(isVariable),
+    unknown: names.filter(name => !optionIds.includes(name) && !isVariable(name))
+  };
+}
+
+/**
+ * Save a new version of the agent's prompt: { template, variables, note? }.
+ * Placeholders must all be options or variables. It becomes active when `activate` is set.
+ * Resolves with the new version.
+ */
+function saveVersion(agentId, { template, variables = {}, note = '' }, optionIds, createdBy, { activate = false } = {}) {
+  const { unknown } = checkTemplate(template, variables, optionIds);
+  if (unknown.length) {
+    throw promptError(`Placeholders without a value: ${unknown.map(name => `{{${name}}}`).join(', ')}. Add them as variables.`);
+  }
+  const now = new Date().toISOString();
+  return store.update(data => {
+    const saved = data.agents[agentId] ||= { active: 0, versions: [] };
+    const version = {
+      version: saved.versions.length + 1,
+      template: template.trim(),
+      variables,
+      note: String(note).trim().slice(0, MAX_NOTE_LENGTH),
+      createdAt: now,
+      createdBy
+    };
+    saved.versions.push(version);
+    if (activate) {
+      Object.assign(saved, { active: version.version, activatedAt: now, activatedBy: createdBy });
+    }
+    return version;
+  });
+}
+
+// Make `version` the agent's active prompt; resolves with false if it does not exist
+function activateVersion(agentId, version, activatedBy) {
+  return store.update(data => {
+    const saved = data.agents[agentId] ||= { active: 0, versions: [] };
+    if (version !== 0 && !saved.versions.some(candidate => candidate.version === version)) {
+      return false;
+    }
+    Object.assign(saved, { active: version, activatedAt: new Date().toISOString(), activatedBy });
+    return true;
+  });
+}
+
+module.exports = {
+  fillPlaceholders,
+  placeholdersIn,
+  listVersions,
+  getVersion,
+  getActiveVersion,
+  render,
+  checkTemplate,
+  saveVersion,
+  activateVersion
+};
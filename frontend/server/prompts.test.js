@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = path.join(os.tmpdir(), `prompts-test-${process.pid}`);
+const prompts = require('./prompts');
+
+test('fills placeholders from the variables and leaves the rest', () => {
+  assert.equal(
+    prompts.fillPlaceholders('{{team}} estimates in {{ tone }}', { team: 'BAU' }),
+    'BAU estimates in {{ tone }}'
+  );
+});
+
+test('placeholders named after inherited object keys are not variables', () => {
+  const template = 'Use {{toString}} and {{constructor}} for {{team}}';
+  assert.equal(prompts.fillPlaceholders(template, { team: 'BAU' }), 'Use {{toString}} and {{constructor}} for BAU');
+
+  const { variables, unknown } = prompts.checkTemplate(template, { team: 'BAU' }, []);
+  assert.deepEqual(variables, ['team']);
+  assert.deepEqual(unknown, ['toString', 'constructor']);
+});
+
+test('an own variable may still use an inherited key as its name', () => {
+  const variables = { toString: 'plain text' };
+  assert.equal(prompts.fillPlaceholders('{{toString}}', variables), 'plain text');
+  assert.deepEqual(prompts.checkTemplate('{{toString}}', variables, []).unknown, []);
+});
@@ -0,0 +1,70 @@
+/**
+ * Helpers shared by the model provider adapters
+ */
+
+// Turn a failed upstream response into an Error with a readable message and the HTTP status
+async function upstreamError(response, fallbackMessage) {
+  const text = await response.text();
+  let message;
+  try {
+    const error = JSON.parse(text);
+    message = error.errors?.[0]?.message || error.error?.message || error.error || error.message;
+  } catch {
+    message = text;
+  }
+
+  const error = new Error(typeof message === 'string' && message ? message : fallbackMessage);
+  error.status = response.status;
+  // Seconds the provider asks us to wait before retrying (429 and 503 replies)
+  const retryAfter = Number(response.headers.get('Retry-After'));
+  if (retryAfter > 0) {
+    error.retryAfter = retryAfter;
+  }
+  return error;
+}
+
+// Resolves after `ms`, or rejects with an AbortError when the signal fires first
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+
+// Yield the data payload of each Server-Sent Event in a streamed response body
+async function* readEventStream(body) {
+  let buffer = '';
+  const decoder = new TextDecoder();
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    // Events are separated by a blank line; keep any partial event in the buffer
+    const events = buffer.split(/\r?\n\r?\n/);
+    buffer = events.pop();
+
+    for (const rawEvent of events) {
+      const dataLines = rawEvent
+        .split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trim());
+      if (dataLines.length > 0) {
+        yield dataLines.join('\n');
+      }
+    }
+  }
+}
+
+module.exports = { upstreamError, readEventStream, sleep };
@@ -0,0 +1,97 @@
+/**
+ * Model provider registry
+ * Every provider adapter exposes the same contract:
+ *   chat({ model, messages, parameters }, { apiKey, agentId, signal })              → { content, usage }
+ *   chatStream({ model, messages, parameters }, { apiKey, agentId, signal, onDelta }) → { content, usage }
+ *   listModels()                                                                     → [{ id, name }]
+ * agentId is informational; only the mock uses it to pick its fixtures.
+ * Models are addressed as "<provider>/<model id>" (e.g. watsonx/ibm/granite-3-8b-instruct,
+ * local/llama3.1:8b), the same prefix style as the `llm` field of Orchestrate agent
+ * exports. Ids without a known provider prefix belong to LLM_PROVIDER (watsonx by default).
+ *
+ * MOCK_LLM controls the fixture-driven mock provider (see mock.js):
+ *   on   - offered next to the real providers, so users without an API key get demo replies (default)
+ *   off  - not offered
+ *   only - the only provider; every agent's model is answered by the mock (offline work, e2e tests)
+ *
+ * Chat calls go through a wrapper that logs their latency and status (see logger.js),
+ * inside one that adds timeouts, retries and a circuit breaker (see resilience.js).
+ */
+
+const logger = require('../logger');
+const { withResilience } = require('./resilience');
+const watsonx = require('./watsonx');
+const openaiCompatible = require('./openaiCompatible');
+const mock = require('./mock');
+
+const MOCK_MODE = ['on', 'off', 'only'].includes(process.env.MOCK_LLM) ? process.env.MOCK_LLM : 'on';
+
+// The local provider is only offered when LOCAL_LLM_URL points at a server
+const PROVIDERS = Object.fromEntries(
+  (MOCK_MODE === 'only'
+    ? [mock]
+    : [watsonx, openaiCompatible.configured && openaiCompatible, MOCK_MODE === 'on' && mock]
+  )
+    .filter(Boolean)
+    .map(provider => [provider.id, withResilience(withCallLogging(provider))])
+);
+
+// The provider with its chat calls timed and logged; the adapters themselves stay unaware of logging
+function withCallLogging(provider) {
+  const fields = (payload, { agentId }) => ({ provider: provider.id, model: payload.model, agentId });
+  return {
+    ...provider,
+    chat: (payload, options = {}) => logger.timeUpstream('chat', fields(payload, options), () => provider.chat(payload, options)),
+    chatStream: (payload, options = {}) => logger.timeUpstream('chat_stream', fields(payload, options), () => provider.chatStream(payload, options))
+  };
+}
+
+const DEFAULT_PROVIDER = MOCK_MODE === 'only'
+  ? 'mock'
+  : PROVIDERS[process.env.LLM_PROVIDER] ? process.env.LLM_PROVIDER : 'watsonx';
+
+// "ibm/granite-3-8b-instruct" → "watsonx/ibm/granite-3-8b-instruct"; qualified ids are kept.
+// Ids of providers that are not enabled fall to the default provider too (with MOCK_LLM=only, the mock).
+function qualifyModel(model) {
+  const [prefix] = model.split('/');
+  return PROVIDERS[prefix] ? model : `${DEFAULT_PROVIDER}/${model}`;
+}
+
+// Split a model id into its provider adapter and the provider's own model id
+function resolveModel(model) {
+  const id = qualifyModel(model);
+  const separator = id.indexOf('/');
+  return {
+    id,
+    provider: PROVIDERS[id.slice(0, separator)],
+    modelId: id.slice(separator + 1)
+  };
+}
+
+/**
+ * Models the user can call right now, as [{ id, name, provider, providerName }].
+ * Providers that need an API key are left out until the user has registered one,
+ * and providers that cannot be reached (e.g. offline) report no models.
+ */
+async function listAvailableModels({ hasApiKey }) {
+  const lists = await Promise.all(Object.values(PROVIDERS)
+    .filter(provider => hasApiKey || !provider.requiresApiKey)
+    .map(async provider => (await provider.listModels()).map(model => ({
+      id: `${provider.id}/${model.id}`,
+      name: model.name,
+      provider: provider.id,
+      providerName: provider.name
+    }))));
+  return lists.flat();
+}
+
+function listProviders() {
+  return Object.values(PROVIDERS);
+}
+
+// Circuit breaker state of every provider, for /api/health
+function getHealth() {
+  return Object.values(PROVIDERS).map(provider => provider.circuit.status());
+}
+
+module.exports = { DEFAULT_PROVIDER, qualifyModel, resolveModel, listAvailableModels, listProviders, getHealth };
@@ -0,0 +1,137 @@
+/**
+ * Deterministic mock provider
+ * Answers from fixture files in MOCK_FIXTURES_DIR instead of calling a model,
+ * so demos, offline development and end-to-end tests run the real server
+ * pipeline (quotas, history, estimates, streaming) without IBM Cloud.
+ *
+ * <agentId>.yaml holds the agent's replies and default.yaml the shared ones:
+ *   latency_ms: 600          # delay before the reply starts
+ *   chunk_delay_ms: 25       # delay between streamed chunks
+ *   replies:
+ *     - when: "[mock:rate-limit]"       # case-insensitive text in the latest user message
+ *       error: { status: 429, message: ... }
+ *     - reply: |-                       # no `when` - used when nothing else matches
+ *         Hello {{message}}
+ * Triggered replies are tried before default ones, the agent's before the shared.
+ * {{message}} is the latest user message (cut to 100 characters) and {{subject}}
+ * its first words.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const logger = require('../logger');
+const { sleep } = require('./common');
+
+const MOCK_FIXTURES_DIR = process.env.MOCK_FIXTURES_DIR || path.join(__dirname, '..', '..', 'mocks');
+
+// MOCK_LATENCY_MS overrides every fixture's latency, e.g. 0 for automated tests
+const LATENCY_OVERRIDE = process.env.MOCK_LATENCY_MS !== undefined ? Number(process.env.MOCK_LATENCY_MS) : null;
+
+// Words per streamed chunk
+const CHUNK_WORDS = 3;
+
+function loadFixtures() {
+  if (!fs.existsSync(MOCK_FIXTURES_DIR)) {
+    logger.warn('Mock fixtures directory not found', { directory: MOCK_FIXTURES_DIR });
+    return {};
+  }
+  return Object.fromEntries(fs.readdirSync(MOCK_FIXTURES_DIR)
+    .filter(file => /\.ya?ml$/.test(file))
+    .map(file => [
+      path.basename(file, path.extname(file)),
+      yaml.load(fs.readFileSync(path.join(MOCK_FIXTURES_DIR, file), 'utf8')) || {}
+    ]));
+}
+
+const fixtures = loadFixtures();
+
+// Rough token count (about four characters per token) so usage figures look realistic
+const countTokens = (text) => Math.ceil(text.length / 4);
+
+function usageFor(messages, content) {
+  const prompt = messages.reduce((sum, message) => sum + countTokens(message.content), 0);
+  const completion = countTokens(content);
+  return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+}
+
+// Pick the fixture entry for the latest user message: matching `when` entries first
+// (the agent's, then the shared ones), then the agent's default reply, then the shared default
+function findEntry(agentId, messages) {
+  const latest = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+  const agentFixture = fixtures[agentId] || {};
+  const sharedFixture = fixtures.default || {};
+  const candidates = [...(agentFixture.replies || []), ...(sharedFixture.replies || [])];
+
+  const entry = candidates.find(candidate => candidate.when &&
+      latest.toLowerCase().includes(String(candidate.when).toLowerCase())) ||
+    candidates.find(candidate => !candidate.when);
+
+  return {
+    entry: entry || { reply: 'This is a mock reply.' },
+    latest,
+    latencyMs: LATENCY_OVERRIDE ?? entry?.latency_ms ?? agentFixture.latency_ms ?? sharedFixture.latency_ms ?? 0,
+    chunkDelayMs: LATENCY_OVERRIDE ?? agentFixture.chunk_delay_ms ?? sharedFixture.chunk_delay_ms ?? 0
+  };
+}
+
+function render(template, latest) {
+  const message = latest.length > 100 ? `${latest.slice(0, 100)}...` : latest;
+  const subject = latest.split(/\s+/).slice(0, 5).join(' ');
+  const values = { message, subject };
+  // One pass with a function, so the user's text goes in literally - `$&` or `{{subject}}` in it stay as typed
+  return template.replace(/\{\{\s*(message|subject)\s*\}\}/g, (placeholder, name) => values[name]);
+}
+
+// Fixture errors look like upstream failures: an Error carrying the HTTP status
+function fixtureError({ status = 500, message = 'Mock upstream error' }) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Single chat completion - resolves with { content, usage }
+async function chat({ messages }, { agentId, signal } = {}) {
+  const { entry, latest, latencyMs } = findEntry(agentId, messages);
+  await sleep(latencyMs, signal);
+
+  if (entry.error) {
+    throw fixtureError(entry.error);
+  }
+  const content = render(entry.reply, latest);
+  return { content, usage: usageFor(messages, content) };
+}
+
+// Streaming chat completion - calls onDelta with a few words at a time, resolves with { content, usage }
+async function chatStream({ messages }, { agentId, signal, onDelta } = {}) {
+  const { entry, latest, latencyMs, chunkDelayMs } = findEntry(agentId, messages);
+  await sleep(latencyMs, signal);
+
+  if (entry.error) {
+    throw fixtureError(entry.error);
+  }
+
+  const content = render(entry.reply, latest);
+  const words = content.split(/(?<=\s)/);
+  for (let i = 0; i < words.length; i += CHUNK_WORDS) {
+    if (i > 0) await sleep(chunkDelayMs, signal);
+    onDelta?.(words.slice(i, i + CHUNK_WORDS).join(''));
+  }
+
+  return { content, usage: usageFor(messages, content) };
+}
+
+// The mock answers for any model id; the picker shows a single demo model
+async function listModels() {
+  return [{ id: 'demo', name: 'Demo replies (no model)' }];
+}
+
+module.exports = {
+  id: 'mock',
+  name: 'Demo',
+  requiresApiKey: false,
+  MOCK_FIXTURES_DIR,
+  chat,
+  chatStream,
+  listModels
+};
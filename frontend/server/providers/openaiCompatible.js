@@ -0,0 +1,118 @@
+/**
+ * OpenAI-compatible provider for local model servers
+ * Talks to any server implementing /v1/chat/completions and /v1/models, such
+ * as Ollama (http://localhost:11434/v1) or the llama.cpp server
+ * (http://localhost:8080/v1), so the app can run offline on a laptop.
+ */
+
+const logger = require('../logger');
+const { upstreamError, readEventStream } = require('./common');
+
+const LOCAL_LLM_URL = (process.env.LOCAL_LLM_URL || '').replace(/\/+$/, '');
+const LOCAL_LLM_API_KEY = process.env.LOCAL_LLM_API_KEY;
+const CONFIGURED_MODELS = (process.env.LOCAL_LLM_MODELS || '').split(',').map(model => model.trim()).filter(Boolean);
+
+// Local servers answer quickly or not at all; don't hold up the model list
+const MODELS_TIMEOUT_MS = 2000;
+
+function headers(accept = 'application/json') {
+  return {
+    'Content-Type': 'application/json',
+    'Accept': accept,
+    ...(LOCAL_LLM_API_KEY && { 'Authorization': `Bearer ${LOCAL_LLM_API_KEY}` })
+  };
+}
+
+function toRequestBody({ model, messages, parameters }, stream) {
+  return {
+    model,
+    messages,
+    ...parameters,
+    stream,
+    ...(stream && { stream_options: { include_usage: true } })
+  };
+}
+
+// Single chat completion - resolves with { content, usage }
+async function chat(payload, { signal } = {}) {
+  const response = await fetch(`${LOCAL_LLM_URL}/chat/completions`, {
+    method: 'POST',
+    headers: headers(),
+    body: JSON.stringify(toRequestBody(payload, false)),
+    signal
+  });
+
+  if (!response.ok) {
+    throw await upstreamError(response, 'Local model call failed');
+  }
+
+  const data = await response.json();
+  return {
+    content: data.choices[0].message.content,
+    usage: data.usage
+  };
+}
+
+// Streaming chat completion - calls onDelta with each text delta, resolves with { content, usage }
+async function chatStream(payload, { signal, onDelta } = {}) {
+  const response = await fetch(`${LOCAL_LLM_URL}/chat/completions`, {
+    method: 'POST',
+    headers: headers('text/event-stream'),
+    body: JSON.stringify(toRequestBody(payload, true)),
+    signal
+  });
+
+  if (!response.ok) {
+    throw await upstreamError(response, 'Local model call failed');
+  }
+
+  let content = '';
+  let usage;
+  for await (const data of readEventStream(response.body)) {
+    if (data === '[DONE]') break;
+    const event = JSON.parse(data);
+    const delta = event.choices?.[0]?.delta?.content;
+    if (delta) {
+      content += delta;
+      onDelta?.(delta);
+    }
+    if (event.usage) {
+      usage = event.usage;
+    }
+  }
+
+  return { content, usage };
+}
+
+// Models the local server has loaded as [{ id, name }]; empty when it is not running
+async function listModels() {
+  if (CONFIGURED_MODELS.length > 0) {
+    return CONFIGURED_MODELS.map(id => ({ id, name: id }));
+  }
+
+  try {
+    const response = await fetch(`${LOCAL_LLM_URL}/models`, {
+      headers: headers(),
+      signal: AbortSignal.timeout(MODELS_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      throw await upstreamError(response, 'Model list unavailable');
+    }
+    const data = await response.json();
+    return data.data.map(model => ({ id: model.id, name: model.id }));
+  } catch (error) {
+    logger.warn('Local model server unavailable', { url: LOCAL_LLM_URL, error });
+    return [];
+  }
+}
+
+module.exports = {
+  id: 'local',
+  name: 'Local (OpenAI-compatible)',
+  requiresApiKey: false,
+  LOCAL_LLM_URL,
+  configured: Boolean(LOCAL_LLM_URL),
+  chat,
+  chatStream,
+  listModels
+};
@@ -0,0 +1,219 @@
+/**
+ * Timeouts, retries and circuit breakers for model calls
+ * Every chat call has a deadline: it fails with HTTP 504 when the provider sends
+ * nothing for UPSTREAM_TIMEOUT_MS (for streams, between two chunks). Transient
+ * failures - 408, 429, 5xx, timeouts and network errors - are retried up to
+ * UPSTREAM_RETRIES times with jittered exponential backoff, or after the
+ * provider's Retry-After; a stream is only retried before its first chunk.
+ *
+ * Each provider has a circuit breaker. After CIRCUIT_FAILURE_THRESHOLD calls
+ * in a row fail transiently it opens: calls fail fast with 503 for
+ * CIRCUIT_COOLDOWN_MS, then a single trial call decides whether it closes again.
+ * /api/health reports the breakers. The caller's signal (the user pressing
+ * Cancel) aborts the call, its retries and the backoff at once.
+ */
+
+const logger = require('../logger');
+const { sleep } = require('./common');
+
+// Numeric settings that may be set to 0 (e.g. UPSTREAM_RETRIES=0 turns retries off)
+const envNumber = (name, fallback) => (process.env[name] !== undefined ? Number(process.env[name]) : fallback);
+
+const TIMEOUT_MS = envNumber('UPSTREAM_TIMEOUT_MS', 60000);
+const RETRIES = envNumber('UPSTREAM_RETRIES', 2);
+const RETRY_BASE_MS = envNumber('UPSTREAM_RETRY_BASE_MS', 500);
+// Longer waits are not worth holding the user's request for - the error says when to try again
+const RETRY_MAX_MS = 8000;
+// Suggested wait for calls refused while a half-open circuit's trial call runs
+const TRIAL_WAIT_SECONDS = 5;
+const FAILURE_THRESHOLD = envNumber('CIRCUIT_FAILURE_THRESHOLD', 5);
+const COOLDOWN_MS = envNumber('CIRCUIT_COOLDOWN_MS', 30000);
+
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+// Failure of a call that may succeed later; `retryAfter` (seconds) tells the browser when
+function transientError(message, status, code, retryAfter) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.retryAfter = retryAfter;
+  error.retryable = true;
+  return error;
+}
+
+// fetch() rejects with a TypeError when the host cannot be reached at all
+const isNetworkError = (error) => error instanceof TypeError && error.message === 'fetch failed';
+
+const isTransient = (error) => RETRYABLE_STATUSES.has(error.status) || isNetworkError(error);
+
+// An upstream HTTP reply that refused the request itself (4xx other than 429), so the provider is healthy
+const answeredHealthy = (error) => Number.isInteger(error.status) && error.status < 500 && error.status !== 429;
+
+// Milliseconds to wait before retry number `attempt` (0-based), or null when the provider asks for too long
+function backoffDelay(attempt, error) {
+  if (error.retryAfter) {
+    return error.retryAfter * 1000 <= RETRY_MAX_MS ? error.retryAfter * 1000 : null;
+  }
+  // "Full jitter": spread the retries of many users over the whole window
+  return Math.random() * Math.min(RETRY_BASE_MS * 2 ** attempt, RETRY_MAX_MS);
+}
+
+// A signal that fires with the caller's `signal`, or `ms` after the last touch(); clear() when done
+function deadline(ms, signal) {
+  const controller = new AbortController();
+  let timer;
+  const touch = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => controller.abort(new Error('Upstream call timed out')), ms);
+  };
+  const onAbort = () => controller.abort(signal.reason);
+
+  if (signal?.aborted) {
+    onAbort();
+  } else {
+    signal?.addEventListener('abort', onAbort, { once: true });
+    touch();
+  }
+  return {
+    signal: controller.signal,
+    touch,
+    clear: () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  };
+}
+
+/**
+ * Circuit breaker of one provider:
+ *   closed    - calls go through; transient failures are counted
+ *   open      - calls fail fast until the cooldown is over
+ *   half-open - one trial call goes through; success closes the circuit, failure opens it again
+ */
+function createCircuitBreaker(provider) {
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let trialRunning = false;
+  let lastError = null;
+
+  const state = () => {
+    if (openedAt === null) return 'closed';
+    return Date.now() - openedAt < COOLDOWN_MS ? 'open' : 'half-open';
+  };
+  const retryAfter = () => Math.max(Math.ceil((openedAt + COOLDOWN_MS - Date.now()) / 1000), 1);
+
+  return {
+    // Throws a 503 instead of letting a call through while the provider is failing
+    admit() {
+      const current = state();
+      if (current === 'open' || (current === 'half-open' && trialRunning)) {
+        const wait = current === 'open' ? retryAfter() : TRIAL_WAIT_SECONDS;
+        throw transientError(`${provider.name} is not responding. Please try again in ${wait} seconds.`, 503, 'UPSTREAM_UNAVAILABLE', wait);
+      }
+      trialRunning = current === 'half-open';
+    },
+    // The provider answered - even a refusal such as 400 or 401 shows it is up
+    succeeded() {
+      if (openedAt !== null) {
+        logger.info('Circuit closed', { provider: provider.id });
+      }
+      consecutiveFailures = 0;
+      openedAt = null;
+      trialRunning = false;
+    },
+    failed(error) {
+      consecutiveFailures += 1;
+      lastError = { message: error.message, status: error.status, at: new Date().toISOString() };
+      if (trialRunning || (openedAt === null && consecutiveFailures >= FAILURE_THRESHOLD)) {
+        openedAt = Date.now();
+        logger.warn('Circuit opened', { provider: provider.id, consecutiveFailures, cooldownMs: COOLDOWN_MS });
+      }
+      trialRunning = false;
+    },
+    // The call was cancelled, or failed on our side (a bug, an unreadable reply) - it tells nothing about the provider
+    released() {
+      trialRunning = false;
+    },
+    status() {
+      const current = state();
+      return {
+        provider: provider.id,
+        name: provider.name,
+        state: current,
+        consecutiveFailures,
+        retryAt: current === 'closed' ? null : new Date(openedAt + COOLDOWN_MS).toISOString(),
+        lastError
+      };
+    }
+  };
+}
+
+// The provider with timeouts, retries and a circuit breaker around chat and chatStream
+function withResilience(provider) {
+  const circuit = createCircuitBreaker(provider);
+
+  const call = async (method, payload, options = {}) => {
+    const { signal, onDelta } = options;
+
+    for (let attempt = 0; ; attempt++) {
+      circuit.admit();
+      const timer = deadline(TIMEOUT_MS, signal);
+      let streamed = false;
+      try {
+        const result = await provider[method](payload, {
+          ...options,
+          signal: timer.signal,
+          onDelta: onDelta && ((delta) => {
+            streamed = true;
+            timer.touch();
+            onDelta(delta);
+          })
+        });
+        circuit.succeeded();
+        return result;
+      } catch (caught) {
+        if (signal?.aborted) {
+          circuit.released();
+          throw caught;
+        }
+
+        let error = caught;
+        if (timer.signal.aborted) {
+          error = transientError(`${provider.name} did not respond within ${TIMEOUT_MS / 1000} seconds.`, 504, 'UPSTREAM_TIMEOUT');
+        } else if (isNetworkError(caught)) {
+          error = transientError(`Could not reach ${provider.name}.`, 502, 'UPSTREAM_UNREACHABLE');
+        }
+        if (!isTransient(error)) {
+          // A 4xx reply shows the provider is up; a bug or unreadable reply on our side says nothing either way
+          if (answeredHealthy(error)) {
+            circuit.succeeded();
+          } else {
+            circuit.released();
+          }
+          throw error;
+        }
+
+        circuit.failed(error);
+        const delay = backoffDelay(attempt, error);
+        // Text already shown to the user cannot be taken back, so a broken stream is not retried
+        if (streamed || attempt >= RETRIES || delay === null) {
+          error.retryable = true;
+          throw error;
+        }
+        logger.warn('Retrying upstream call', { provider: provider.id, attempt: attempt + 1, delayMs: Math.round(delay), status: error.status });
+        await sleep(delay, signal);
+      } finally {
+        timer.clear();
+      }
+    }
+  };
+
+  return {
+    ...provider,
+    chat: (payload, options) => call('chat', payload, options),
+    chatStream: (payload, options) => call('chatStream', payload, options),
+    circuit
+  };
+}
+
+module.exports = { withResilience };
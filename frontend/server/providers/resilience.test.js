@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.UPSTREAM_RETRIES = '0';
+process.env.CIRCUIT_FAILURE_THRESHOLD = '2';
+process.env.CIRCUIT_COOLDOWN_MS = '20';
+process.env.LOG_LEVEL = 'error';
+const { withResilience } = require('./resilience');
+
+const upstreamError = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+
+// A provider whose next calls fail with the given errors, in order
+function fakeProvider(errors) {
+  return withResilience({
+    id: 'fake',
+    name: 'Fake',
+    chat: async () => {
+      const error = errors.shift();
+      if (error) throw error;
+      return { content: 'ok' };
+    }
+  });
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('errors on our side do not reset the failure count', async () => {
+  const provider = fakeProvider([upstreamError(503), new TypeError('x is not a function'), upstreamError(503)]);
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(provider.chat({}));
+  }
+  assert.equal(provider.circuit.status().state, 'open');
+});
+
+test('a failed trial call that never got an answer keeps the circuit from closing', async () => {
+  const provider = fakeProvider([upstreamError(503), upstreamError(503), new SyntaxError('Unexpected token')]);
+  await assert.rejects(provider.chat({}));
+  await assert.rejects(provider.chat({}));
+  await wait(25);
+  await assert.rejects(provider.chat({}), SyntaxError);
+  assert.notEqual(provider.circuit.status().state, 'closed');
+  assert.equal(provider.circuit.status().consecutiveFailures, 2);
+});
+
+test('an upstream 4xx reply closes a half-open circuit', async () => {
+  const provider = fakeProvider([upstreamError(503), upstreamError(503), upstreamError(400)]);
+  await assert.rejects(provider.chat({}));
+  await assert.rejects(provider.chat({}));
+  await wait(25);
+  await assert.rejects(provider.chat({}), { status: 400 });
+  assert.equal(provider.circuit.status().state, 'closed');
+});
@@ -0,0 +1,131 @@
+/**
+ * watsonx.ai provider
+ * Wraps the text/chat and text/chat_stream endpoints with cached IAM tokens and
+ * lists the chat models of the region from the foundation model catalogue.
+ * Failed calls throw an Error carrying the upstream HTTP status as `status`.
+ */
+
+const logger = require('../logger');
+const { getIAMToken } = require('../iamTokens');
+const { upstreamError, readEventStream } = require('./common');
+
+const WATSONX_PROJECT_ID = process.env.WATSONX_PROJECT_ID;
+const WATSONX_URL = process.env.WATSONX_URL || 'https://us-south.ml.cloud.ibm.com';
+const API_VERSION = process.env.WATSONX_API_VERSION || '2024-05-01';
+
+// Optional fixed model list; otherwise the region's catalogue is used
+const CONFIGURED_MODELS = (process.env.WATSONX_MODELS || '').split(',').map(model => model.trim()).filter(Boolean);
+
+// The catalogue changes rarely; failures are retried sooner so a laptop coming back online recovers
+const CATALOGUE_TTL_MS = 10 * 60 * 1000;
+const CATALOGUE_RETRY_MS = 60 * 1000;
+const CATALOGUE_TIMEOUT_MS = 5000;
+
+let catalogue = { models: [], expiresAt: 0 };
+
+// POST to a watsonx endpoint with a cached IAM token, refreshing it once if rejected
+async function watsonxFetch(apiKey, endpoint, payload, { signal, accept = 'application/json' } = {}) {
+  const send = async (forceRefresh) => fetch(`${WATSONX_URL}${endpoint}?version=${API_VERSION}`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${await getIAMToken(apiKey, { forceRefresh, signal })}`,
+      'Content-Type': 'application/json',
+      'Accept': accept,
+    },
+    body: JSON.stringify(payload),
+    signal
+  });
+
+  const response = await send(false);
+  if (response.status !== 401) {
+    return response;
+  }
+  await response.body?.cancel();
+  return send(true);
+}
+
+// Request body for a chat call - generation parameters are top-level fields of the chat API
+function toRequestBody({ model, messages, parameters }) {
+  return { model_id: model, messages, ...parameters, project_id: WATSONX_PROJECT_ID };
+}
+
+// Single chat completion - resolves with { content, usage }
+async function chat(payload, { apiKey, signal } = {}) {
+  const response = await watsonxFetch(apiKey, '/ml/v1/text/chat', toRequestBody(payload), { signal });
+
+  if (!response.ok) {
+    throw await upstreamError(response, 'WatsonX API call failed');
+  }
+
+  const data = await response.json();
+  return {
+    content: data.choices[0].message.content,
+    usage: data.usage
+  };
+}
+
+// Streaming chat completion - calls onDelta with each text delta, resolves with { content, usage }
+async function chatStream(payload, { apiKey, signal, onDelta } = {}) {
+  const response = await watsonxFetch(apiKey, '/ml/v1/text/chat_stream', toRequestBody(payload), {
+    signal,
+    accept: 'text/event-stream'
+  });
+
+  if (!response.ok) {
+    throw await upstreamError(response, 'WatsonX API call failed');
+  }
+
+  let content = '';
+  let usage;
+  for await (const data of readEventStream(response.body)) {
+    const event = JSON.parse(data);
+    const delta = event.choices?.[0]?.delta?.content;
+    if (delta) {
+      content += delta;
+      onDelta?.(delta);
+    }
+    if (event.usage) {
+      usage = event.usage;
+    }
+  }
+
+  return { content, usage };
+}
+
+// Chat models of the region as [{ id, name }]; empty when the catalogue cannot be reached
+async function listModels() {
+  if (CONFIGURED_MODELS.length > 0) {
+    return CONFIGURED_MODELS.map(id => ({ id, name: id }));
+  }
+  if (Date.now() < catalogue.expiresAt) {
+    return catalogue.models;
+  }
+
+  try {
+    const response = await fetch(
+      `${WATSONX_URL}/ml/v1/foundation_model_specs?version=${API_VERSION}&filters=function_text_chat&limit=200`,
+      { signal: AbortSignal.timeout(CATALOGUE_TIMEOUT_MS) }
+    );
+    if (!response.ok) {
+      throw await upstreamError(response, 'Model catalogue unavailable');
+    }
+    const data = await response.json();
+    const models = data.resources.map(model => ({ id: model.model_id, name: model.label || model.model_id }));
+    catalogue = { models, expiresAt: Date.now() + CATALOGUE_TTL_MS };
+  } catch (error) {
+    logger.warn('watsonx model catalogue unavailable', { url: WATSONX_URL, error });
+    catalogue = { models: [], expiresAt: Date.now() + CATALOGUE_RETRY_MS };
+  }
+  return catalogue.models;
+}
+
+module.exports = {
+  id: 'watsonx',
+  name: 'watsonx.ai',
+  requiresApiKey: true,
+  WATSONX_PROJECT_ID,
+  WATSONX_URL,
+  chat,
+  chatStream,
+  listModels
+};
@@ -0,0 +1,235 @@
+/**
+ * Daily call quotas per user and agent
+ * Counters are persisted in DATA_DIR/usage.json and reset at UTC midnight.
+ *
+ * Limits resolve from most to least specific:
+ *   quotas.json users.<user>.<agent> → users.<user>.default → the limit set for
+ *   the agent in the admin console (DATA_DIR/limits.json) → quotas.json agents.<agent>
+ *   → the agent definition's quota.daily_limit → defaultDailyLimit
+ * with MAX_CALLS_PER_DAY (or REACT_APP_MAX_CALLS_PER_DAY) as the overall default.
+ *
+ * quotas.json also holds the token budgets enforced by tokenUsage.js:
+ *   tokenBudgets.users.<user>.daily|monthly → tokenBudgets.daily|monthly
+ *   → TOKEN_BUDGET_DAILY / TOKEN_BUDGET_MONTHLY (no budget when unset)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createJsonStore } = require('./store');
+const agents = require('./agents');
+
+const QUOTAS_FILE = process.env.QUOTAS_FILE || path.join(__dirname, '..', 'quotas.json');
+const DEFAULT_DAILY_LIMIT = parseInt(
+  process.env.MAX_CALLS_PER_DAY || process.env.REACT_APP_MAX_CALLS_PER_DAY, 10
+) || 200;
+
+// Days of counters kept for reporting
+const RETENTION_DAYS = 90;
+
+const store = createJsonStore('usage', { days: {} });
+
+// Per-agent limits set in the admin console: { agents: { <agentId>: limit } }
+const limitsStore = createJsonStore('limits', { agents: {} });
+
+const envNumber = (name) => (process.env[name] ? Number(process.env[name]) : null);
+
+function loadQuotaConfig() {
+  const config = fs.existsSync(QUOTAS_FILE)
+    ? JSON.parse(fs.readFileSync(QUOTAS_FILE, 'utf8'))
+    : {};
+  const tokenBudgets = config.tokenBudgets || {};
+  return {
+    defaultDailyLimit: config.defaultDailyLimit ?? DEFAULT_DAILY_LIMIT,
+    agents: config.agents || {},
+    users: config.users || {},
+    tokenBudgets: {
+      daily: tokenBudgets.daily ?? envNumber('TOKEN_BUDGET_DAILY'),
+      monthly: tokenBudgets.monthly ?? envNumber('TOKEN_BUDGET_MONTHLY'),
+      warnAt: tokenBudgets.warnAt ?? envNumber('TOKEN_BUDGET_WARN_AT') ?? 0.8,
+      users: tokenBudgets.users || {}
+    }
+  };
+}
+
+const config = loadQuotaConfig();
+
+const todayKey = () => new Date().toISOString().split('T')[0];
+
+// Next UTC midnight, when today's counters stop applying
+function getResetTime() {
+  const reset = new Date();
+  reset.setUTCHours(24, 0, 0, 0);
+  return reset.toISOString();
+}
+
+function getLimit(username, agentId) {
+  const userLimits = config.users[username] || {};
+  return userLimits[agentId] ??
+    userLimits.default ??
+    limitsStore.read().agents[agentId] ??
+    config.agents[agentId] ??
+    agents.getAgent(agentId)?.dailyLimit ??
+    config.defaultDailyLimit;
+}
+
+// An agent's limit for users without their own, and where it comes from: admin, quotas-file, agent or default
+function getAgentLimit(agentId) {
+  const sources = [
+    ['admin', limitsStore.read().agents[agentId]],
+    ['quotas-file', config.agents[agentId]],
+    ['agent', agents.getAgent(agentId)?.dailyLimit],
+    ['default', config.defaultDailyLimit]
+  ];
+  const [source, limit] = sources.find(([, value]) => value !== undefined && value !== null);
+  return { limit, source };
+}
+
+// Set an agent's daily limit from the admin console, or clear it with null
+function setAgentLimit(agentId, limit) {
+  limitsStore.update(data => {
+    if (limit === null) {
+      delete data.agents[agentId];
+    } else {
+      data.agents[agentId] = limit;
+    }
+  });
+  return getAgentLimit(agentId);
+}
+
+// Clear the user's counters for today - for one agent, or all of them
+function resetUsage(username, agentId) {
+  return store.update(data => {
+    const userDay = data.days[todayKey()]?.[username];
+    if (userDay) {
+      if (agentId) {
+        delete userDay[agentId];
+      } else {
+        delete data.days[todayKey()][username];
+      }
+    }
+    return getUserUsage(username);
+  });
+}
+
+// Call counts of every user since `from` (YYYY-MM-DD), as [{ date, username, agentId, calls }]
+function listCalls(from) {
+  return Object.entries(store.read().days)
+    .filter(([day]) => day >= from)
+    .flatMap(([date, users]) => Object.entries(users)
+      .flatMap(([username, counts]) => Object.entries(counts)
+        .map(([agentId, calls]) => ({ date, username, agentId, calls }))));
+}
+
+// Token budgets for the user: { daily, monthly, warnAt }; a null limit means no budget
+function getTokenBudget(username) {
+  const { users, ...defaults } = config.tokenBudgets;
+  const userBudget = users[username] || {};
+  return {
+    daily: userBudget.daily ?? defaults.daily,
+    monthly: userBudget.monthly ?? defaults.monthly,
+    warnAt: userBudget.warnAt ?? defaults.warnAt
+  };
+}
+
+function getUsed(username, agentId, day = todayKey()) {
+  return store.read().days[day]?.[username]?.[agentId] || 0;
+}
+
+function pruneOldDays(days) {
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  Object.keys(days)
+    .filter(day => day < cutoff)
+    .forEach(day => delete days[day]);
+}
+
+// Count one call if the user is under their limit; returns { allowed, used, limit, resetAt, day }
+function consume(username, agentId) {
+  const limit = getLimit(username, agentId);
+  const day = todayKey();
+
+  return store.update(data => {
+    const userDay = ((data.days[day] ||= {})[username] ||= {});
+    const used = userDay[agentId] || 0;
+
+    if (used >= limit) {
+      return { allowed: false, used, limit, resetAt: getResetTime() };
+    }
+
+    userDay[agentId] = used + 1;
+    pruneOldDays(data.days);
+    return { allowed: true, used: used + 1, limit, resetAt: getResetTime(), day };
+  });
+}
+
+// Give back a call counted by consume() on `day` - for calls that failed upstream or were cancelled
+function refund(username, agentId, day = todayKey()) {
+  store.update(data => {
+    const userDay = data.days[day]?.[username];
+    if (userDay?.[agentId] > 0) {
+      userDay[agentId] -= 1;
+    }
+  });
+}
+
+// Today's usage for the user across every registered agent plus any with calls or a configured limit
+function getUserUsage(username) {
+  const counts = store.read().days[todayKey()]?.[username] || {};
+  const ids = new Set([
+    ...agents.listAgents().map(agent => agent.id),
+    ...Object.keys(counts),
+    ...Object.keys(config.agents),
+    ...Object.keys(config.users[username] || {}).filter(id => id !== 'default')
+  ]);
+
+  const usageByAgent = {};
+  ids.forEach(id => {
+    const used = counts[id] || 0;
+    const limit = getLimit(username, id);
+    usageByAgent[id] = { used, limit, remaining: Math.max(limit - used, 0) };
+  });
+
+  return {
+    date: todayKey(),
+    resetAt: getResetTime(),
+    defaultLimit: config.users[username]?.default ?? config.defaultDailyLimit,
+    agents: usageByAgent
+  };
+}
+
+// Middleware factory - rejects with 429 once the user's daily quota for the agent is spent.
+// The call is counted up front; routes refund() it when the model call fails or is cancelled.
+function enforceQuota(getAgentId) {
+  return (req, res, next) => {
+    const agentId = getAgentId(req);
+    const result = consume(req.session.username, agentId);
+
+    if (!result.allowed) {
+      res.setHeader('Retry-After', Math.ceil((new Date(result.resetAt) - Date.now()) / 1000));
+      return res.status(429).json({
+        error: `Daily limit of ${result.limit} calls reached for ${agentId}. Resets at ${result.resetAt}.`,
+        code: 'QUOTA_EXCEEDED',
+        agentId,
+        used: result.used,
+        limit: result.limit,
+        resetAt: result.resetAt
+      });
+    }
+
+    req.quota = { agentId, day: todayKey(), ...result };
+    next();
+  };
+}
+
+module.exports = {
+  getLimit,
+  getAgentLimit,
+  setAgentLimit,
+  getTokenBudget,
+  getUsed,
+  consume,
+  refund,
+  resetUsage,
+  listCalls,
+  getUserUsage,
+  enforceQuota
+};
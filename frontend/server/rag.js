@@ -0,0 +1,198 @@
+/**
+ * Local retrieval over the repository's knowledge_base/ markdown files
+ * Files are split into chunks at headings (never inside code fences), each
+ * chunk keeps its heading trail, and chunks are ranked with BM25 from an
+ * in-memory inverted index built at startup - no external vector store.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const KNOWLEDGE_BASE_DIR = process.env.KNOWLEDGE_BASE_DIR || path.join(__dirname, '..', '..', 'knowledge_base');
+const DEFAULT_TOP_K = parseInt(process.env.RAG_TOP_K, 10) || 4;
+
+// Sections longer than this are split further at paragraph boundaries
+const MAX_CHUNK_CHARS = 1800;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Heading words count this many times more than body words
+const HEADING_WEIGHT = 3;
+
+const STOPWORDS = new Set((
+  'a an and are as at be but by can do does for from how i if in into is it its of on or our so ' +
+  'that the their then there these this to was we what when where which will with you your'
+).split(' '));
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter(token => token.length > 1 && !STOPWORDS.has(token))
+    // Light stemming so "estimates"/"estimate" and "patterns"/"pattern" match
+    .map(token => (token.length > 4 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+}
+
+function listMarkdownFiles(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listMarkdownFiles(fullPath);
+    return entry.name.endsWith('.md') ? [fullPath] : [];
+  });
+}
+
+// Split a long section at blank lines outside code fences
+function splitLongSection(text) {
+  if (text.length <= MAX_CHUNK_CHARS) {
+    return [text];
+  }
+
+  const parts = [];
+  let current = '';
+  let inFence = false;
+
+  text.split('\n').forEach(line => {
+    if (line.trim().startsWith('```')) inFence = !inFence;
+    current += `${line}\n`;
+    if (!inFence && line.trim() === '' && current.length >= MAX_CHUNK_CHARS) {
+      parts.push(current.trim());
+      current = '';
+    }
+  });
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+// Split one markdown file into heading-scoped chunks
+function chunkMarkdown(markdown, file) {
+  const chunks = [];
+  const trail = [];
+  let body = [];
+  let inFence = false;
+
+  const flush = () => {
+    const text = body.join('\n').trim();
+    body = [];
+    if (!text) return;
+
+    const headings = trail.filter(Boolean);
+    splitLongSection(text).forEach((part, index, parts) => {
+      chunks.push({
+        file,
+        category: file.split('/')[0],
+        title: headings[0] || path.basename(file, '.md'),
+        section: headings.slice(1).join(' › ') || headings[0] || '',
+        part: parts.length > 1 ? index + 1 : undefined,
+        text: part
+      });
+    });
+  };
+
+  markdown.split('\n').forEach(line => {
+    if (line.trim().startsWith('```')) inFence = !inFence;
+
+    const heading = !inFence && line.match(/^(#{1,4})\s+(.*)$/);
+    if (!heading) {
+      body.push(line);
+      return;
+    }
+
+    flush();
+    const level = heading[1].length;
+    trail.length = level;
+    trail[level - 1] = heading[2].trim();
+  });
+  flush();
+
+  return chunks;
+}
+
+function buildIndex() {
+  const chunks = listMarkdownFiles(KNOWLEDGE_BASE_DIR).flatMap(fullPath => {
+    const file = path.relative(KNOWLEDGE_BASE_DIR, fullPath).split(path.sep).join('/');
+    return chunkMarkdown(fs.readFileSync(fullPath, 'utf8'), file);
+  });
+
+  const postings = new Map();
+  let totalLength = 0;
+
+  chunks.forEach((chunk, index) => {
+    chunk.id = index;
+    const terms = [
+      ...tokenize(`${chunk.title} ${chunk.section}`).flatMap(term => Array(HEADING_WEIGHT).fill(term)),
+      ...tokenize(chunk.text)
+    ];
+    chunk.length = terms.length;
+    totalLength += terms.length;
+
+    const frequencies = new Map();
+    terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+    frequencies.forEach((frequency, term) => {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push({ chunk: index, frequency });
+    });
+  });
+
+  return {
+    chunks,
+    postings,
+    averageLength: chunks.length ? totalLength / chunks.length : 0
+  };
+}
+
+const index = buildIndex();
+
+// Rank chunks for the query; categories limits results to knowledge_base/<category>/
+function search(query, { topK = DEFAULT_TOP_K, categories } = {}) {
+  const scores = new Map();
+  const total = index.chunks.length;
+
+  new Set(tokenize(query)).forEach(term => {
+    const postings = index.postings.get(term);
+    if (!postings) return;
+
+    const idf = Math.log(1 + (total - postings.length + 0.5) / (postings.length + 0.5));
+    postings.forEach(({ chunk, frequency }) => {
+      const length = index.chunks[chunk].length;
+      const score = idf * (frequency * (K1 + 1)) /
+        (frequency + K1 * (1 - B + B * (length / index.averageLength)));
+      scores.set(chunk, (scores.get(chunk) || 0) + score);
+    });
+  });
+
+  return [...scores.entries()]
+    .filter(([chunk]) => !categories?.length || categories.includes(index.chunks[chunk].category))
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, topK)
+    .map(([chunk, score]) => {
+      const { length, ...fields } = index.chunks[chunk];
+      return { ...fields, score: Math.round(score * 1000) / 1000 };
+    });
+}
+
+// Reference block appended to the system prompt; sources are numbered for citation
+function formatContext(results) {
+  const excerpts = results.map((result, i) => {
+    const heading = [result.title, result.section].filter(Boolean).join(' › ');
+    return `[${i + 1}] ${result.file} — ${heading}\n${result.text}`;
+  });
+
+  return `## Reference Material
+The following excerpts come from the team knowledge base. Use them where they are relevant,
+cite them inline as [1], [2], ... and do not invent sources.
+
+${excerpts.join('\n\n---\n\n')}`;
+}
+
+function getStats() {
+  return {
+    directory: KNOWLEDGE_BASE_DIR,
+    files: new Set(index.chunks.map(chunk => chunk.file)).size,
+    chunks: index.chunks.length
+  };
+}
+
+module.exports = { KNOWLEDGE_BASE_DIR, search, formatContext, getStats, chunkMarkdown, tokenize };
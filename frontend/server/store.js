@@ -0,0 +1,50 @@
+/**
+ * Minimal JSON file store for server-side state
+ * Each store is one file under DATA_DIR, read once and rewritten atomically
+ * (write to a temp file, then rename) on every update.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+function ensureDataDir() {
+  fs.mkdirSync(DATA_DIR, { recursive: true, mode: 0o700 });
+}
+
+// Create a store backed by DATA_DIR/<name>.json, seeded with `defaults`
+function createJsonStore(name, defaults = {}) {
+  const file = path.join(DATA_DIR, `${name}.json`);
+  let data = null;
+
+  const load = () => {
+    if (data === null) {
+      data = fs.existsSync(file)
+        ? JSON.parse(fs.readFileSync(file, 'utf8'))
+        : structuredClone(defaults);
+    }
+    return data;
+  };
+
+  const save = () => {
+    ensureDataDir();
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, file);
+  };
+
+  return {
+    // Current contents - treat as read-only, use update() to change
+    read: () => load(),
+
+    // Apply `mutate` to the data and persist; returns whatever mutate returns
+    update(mutate) {
+      const result = mutate(load());
+      save();
+      return result;
+    }
+  };
+}
+
+module.exports = { DATA_DIR, ensureDataDir, createJsonStore };
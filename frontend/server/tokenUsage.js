@@ -0,0 +1,213 @@
+/**
+ * Token usage, cost and budgets
+ * Every completed model call reports prompt and completion tokens (the `usage`
+ * field of watsonx and OpenAI-compatible replies). They are kept per day, user,
+ * agent and model in DATA_DIR/tokens.json and priced from the table in
+ * prices.json (PRICES_FILE). Token budgets per day and month come from
+ * quotas.json (see quotas.js): requests are refused once a budget is spent and
+ * replies carry a warning once its warnAt share is used.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createJsonStore } = require('./store');
+const quotas = require('./quotas');
+
+const PRICES_FILE = process.env.PRICES_FILE || path.join(__dirname, '..', 'prices.json');
+
+// Used without a prices.json - watsonx.ai list price for the default model, local and demo models are free
+const DEFAULT_PRICES = {
+  currency: 'USD',
+  unit: 1000000,
+  models: {
+    'watsonx/ibm/granite-3-8b-instruct': { input: 0.2, output: 0.2 },
+    'local/*': { input: 0, output: 0 },
+    'mock/*': { input: 0, output: 0 }
+  }
+};
+
+// Days of records kept - enough for a year of monthly totals
+const RETENTION_DAYS = 400;
+
+const store = createJsonStore('tokens', { days: {} });
+
+function loadPrices() {
+  const prices = fs.existsSync(PRICES_FILE)
+    ? JSON.parse(fs.readFileSync(PRICES_FILE, 'utf8'))
+    : DEFAULT_PRICES;
+  return {
+    currency: prices.currency || 'USD',
+    unit: prices.unit || 1000000,
+    models: prices.models || {}
+  };
+}
+
+const prices = loadPrices();
+
+const todayKey = () => new Date().toISOString().split('T')[0];
+
+const emptyTotals = () => ({ calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 });
+
+// Cost is kept to a millionth of the currency unit so small calls still add up
+const roundCost = (cost) => Math.round(cost * 1e6) / 1e6;
+
+function addTotals(totals, record) {
+  totals.calls += record.calls;
+  totals.promptTokens += record.promptTokens;
+  totals.completionTokens += record.completionTokens;
+  totals.totalTokens += record.promptTokens + record.completionTokens;
+  totals.cost = roundCost(totals.cost + record.cost);
+  return totals;
+}
+
+// Price per `unit` tokens for a model: its own entry, then "<provider>/*", then "*"; null when unpriced
+function getPrice(modelId) {
+  const provider = modelId.split('/')[0];
+  return prices.models[modelId] || prices.models[`${provider}/*`] || prices.models['*'] || null;
+}
+
+// { promptTokens, completionTokens, cost } of one call; unpriced models cost 0
+function priceUsage(modelId, usage = {}) {
+  const promptTokens = usage.prompt_tokens || 0;
+  const completionTokens = usage.completion_tokens || 0;
+  const price = getPrice(modelId);
+  const cost = price
+    ? roundCost((promptTokens * price.input + completionTokens * price.output) / prices.unit)
+    : 0;
+  return { promptTokens, completionTokens, cost };
+}
+
+// The user's records per day since `from` (YYYY-MM-DD), as [day, agentId, modelId, record]
+function recordsSince(days, username, from) {
+  return Object.entries(days)
+    .filter(([day]) => day >= from)
+    .flatMap(([day, users]) => Object.entries(users[username] || {})
+      .flatMap(([agentId, models]) => Object.entries(models)
+        .map(([modelId, record]) => [day, agentId, modelId, record])));
+}
+
+function usedTokens(username) {
+  const today = todayKey();
+  const records = recordsSince(store.read().days, username, `${today.slice(0, 7)}-01`);
+  const sum = (list) => list.reduce((total, [, , , record]) => total + record.promptTokens + record.completionTokens, 0);
+  return {
+    daily: sum(records.filter(([day]) => day === today)),
+    monthly: sum(records)
+  };
+}
+
+/**
+ * The user's token budgets and how much of them is used:
+ * { daily: { used, limit }, monthly: { used, limit }, warnAt, warning, exceeded }.
+ * `warning` and `exceeded` name the first budget ('daily' or 'monthly') past its
+ * warnAt share or its limit, or are null.
+ */
+function getBudgetStatus(username) {
+  const budget = quotas.getTokenBudget(username);
+  const used = usedTokens(username);
+  const periods = ['daily', 'monthly'];
+  const status = Object.fromEntries(periods.map(period => [period, { used: used[period], limit: budget[period] ?? null }]));
+  const over = (share) => periods.find(period => status[period].limit !== null && status[period].used >= status[period].limit * share) || null;
+
+  return { ...status, warnAt: budget.warnAt, warning: over(budget.warnAt), exceeded: over(1) };
+}
+
+/**
+ * Record the tokens of a completed call and price them.
+ * Resolves with { promptTokens, completionTokens, cost, currency } for the reply,
+ * plus the user's `budget` status after the call.
+ */
+function record(username, agentId, modelId, usage) {
+  const priced = priceUsage(modelId, usage);
+  if (priced.promptTokens || priced.completionTokens) {
+    const day = todayKey();
+    store.update(data => {
+      const models = (((data.days[day] ||= {})[username] ||= {})[agentId] ||= {});
+      models[modelId] = addTotals(models[modelId] || emptyTotals(), { ...priced, calls: 1 });
+
+      const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+      Object.keys(data.days)
+        .filter(oldDay => oldDay < cutoff)
+        .forEach(oldDay => delete data.days[oldDay]);
+    });
+  }
+  return { ...priced, currency: prices.currency, budget: getBudgetStatus(username) };
+}
+
+// Today's and this month's totals with the budget status, for /api/usage
+function getTokenUsage(username) {
+  const today = todayKey();
+  const records = recordsSince(store.read().days, username, `${today.slice(0, 7)}-01`);
+  return {
+    currency: prices.currency,
+    today: records.filter(([day]) => day === today).reduce((totals, [, , , entry]) => addTotals(totals, entry), emptyTotals()),
+    month: records.reduce((totals, [, , , entry]) => addTotals(totals, entry), emptyTotals()),
+    budget: getBudgetStatus(username)
+  };
+}
+
+/**
+ * Usage history for the charts: totals for each of the last `days` days and
+ * `months` months (oldest first, including empty ones), and this month's totals
+ * per agent and per model.
+ */
+function getHistory(username, { days = 30, months = 12 } = {}) {
+  const now = new Date();
+  const dayKeys = Array.from({ length: days }, (_, i) => (
+    new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - (days - 1 - i))).toISOString().split('T')[0]
+  ));
+  const monthKeys = Array.from({ length: months }, (_, i) => (
+    new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (months - 1 - i), 1)).toISOString().slice(0, 7)
+  ));
+
+  const records = recordsSince(store.read().days, username, [dayKeys[0], `${monthKeys[0]}-01`].sort()[0]);
+  const daily = Object.fromEntries(dayKeys.map(day => [day, emptyTotals()]));
+  const monthly = Object.fromEntries(monthKeys.map(month => [month, emptyTotals()]));
+  const byAgent = {};
+  const byModel = {};
+  const currentMonth = monthKeys[monthKeys.length - 1];
+
+  records.forEach(([day, agentId, modelId, entry]) => {
+    if (daily[day]) addTotals(daily[day], entry);
+    if (monthly[day.slice(0, 7)]) addTotals(monthly[day.slice(0, 7)], entry);
+    if (day.startsWith(currentMonth)) {
+      addTotals(byAgent[agentId] ||= emptyTotals(), entry);
+      addTotals(byModel[modelId] ||= emptyTotals(), entry);
+    }
+  });
+
+  return {
+    currency: prices.currency,
+    daily: dayKeys.map(day => ({ date: day, ...daily[day] })),
+    monthly: monthKeys.map(month => ({ month, ...monthly[month] })),
+    byAgent,
+    byModel
+  };
+}
+
+// Token records of every user since `from` (YYYY-MM-DD), as [{ date, username, agentId, modelId, ...totals }]
+function listUsage(from) {
+  return Object.entries(store.read().days)
+    .filter(([day]) => day >= from)
+    .flatMap(([date, users]) => Object.keys(users)
+      .flatMap(username => recordsSince({ [date]: users }, username, from)
+        .map(([, agentId, modelId, entry]) => ({ date, username, agentId, modelId, ...entry }))));
+}
+
+// Middleware - rejects with 429 once the user's daily or monthly token budget is spent
+function enforceTokenBudget(req, res, next) {
+  const budget = getBudgetStatus(req.session.username);
+  if (budget.exceeded) {
+    const { used, limit } = budget[budget.exceeded];
+    return res.status(429).json({
+      error: `${budget.exceeded === 'daily' ? 'Daily' : 'Monthly'} token budget of ${limit} tokens reached (${used} used).`,
+      code: 'TOKEN_BUDGET_EXCEEDED',
+      period: budget.exceeded,
+      used,
+      limit
+    });
+  }
+  next();
+}
+
+module.exports = { getCurrency: () => prices.currency, getPrice, priceUsage, record, getBudgetStatus, getTokenUsage, getHistory, listUsage, enforceTokenBudget };
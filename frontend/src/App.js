@@ -1,166 +1,47 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import './App.css';
-
-// Constants
-const MAX_CALLS_PER_DAY = 200;
-
-// Agent configurations with system prompts
-// Note: Config values are examples - actual values should be set via environment variables in production
-const AGENTS = {
-  emailRewriter: {
-    id: 'emailRewriter',
-    name: 'Email Rewriter Agent',
-    description: 'Rewrites email body in professional tone and suggests subject line',
-    placeholder: 'Enter your email text to rewrite...',
-    systemPrompt: `You are a professional email rewriter agent. Your task is to:
-1. Take the user's informal or draft email text
-2. Rewrite it in a professional, clear, and polite tone
-3. Suggest an appropriate subject line
-4. Maintain the original intent and key information
-
-Format your response as:
-## Suggested Subject
-[Your suggested subject line]
-
-## Rewritten Email
-[The professionally rewritten email body]
-
-## Key Changes Made
-- [List the main improvements you made]`,
-    config: {
-      orchestrationID: process.env.REACT_APP_WXO_ORCHESTRATION_ID || "",
-      hostURL: process.env.REACT_APP_WXO_HOST_URL || "https://eu-gb.watson-orchestrate.cloud.ibm.com",
-      deploymentPlatform: "ibmcloud",
-      crn: process.env.REACT_APP_WXO_CRN || "",
-      agentId: process.env.REACT_APP_EMAIL_AGENT_ID || "",
-      agentEnvironmentId: process.env.REACT_APP_EMAIL_AGENT_ENV_ID || ""
-    }
-  },
-  bauEstimate: {
-    id: 'bauEstimate',
-    name: 'BAU Enhancement Estimate Agent',
-    description: 'Provides BAU enhancement estimates for development tasks',
-    placeholder: 'Describe the enhancement task to estimate...',
-    systemPrompt: `You are a BAU (Business As Usual) Enhancement Estimation Agent for software development projects. Your task is to:
-1. Analyze the enhancement request provided by the user
-2. Break down the work into phases (Analysis, Development, Testing, Documentation)
-3. Provide effort estimates in hours for each phase
-4. Assess complexity (Low/Medium/High)
-5. List assumptions and risks
-
-Format your response as:
-## Task Analysis
-[Brief analysis of the enhancement request]
-
-## Estimation Breakdown
-| Phase | Effort (Hours) | Notes |
-|-------|----------------|-------|
-| Analysis | X-Y | [notes] |
-| Development | X-Y | [notes] |
-| Testing | X-Y | [notes] |
-| Documentation | X-Y | [notes] |
-| **Total** | **X-Y** | |
-
-## Complexity Assessment
-**Level:** [Low/Medium/High]
-**Justification:** [Why this complexity level]
-
-## Assumptions
-- [List key assumptions]
-
-## Risks
-- [List potential risks]`,
-    config: {
-      orchestrationID: process.env.REACT_APP_WXO_ORCHESTRATION_ID || "",
-      hostURL: process.env.REACT_APP_WXO_HOST_URL || "https://eu-gb.watson-orchestrate.cloud.ibm.com",
-      deploymentPlatform: "ibmcloud",
-      crn: process.env.REACT_APP_WXO_CRN || "",
-      agentId: process.env.REACT_APP_BAU_AGENT_ID || "",
-      agentEnvironmentId: process.env.REACT_APP_BAU_AGENT_ENV_ID || ""
-    }
-  }
-};
-
-// WatsonX API helper - calls backend proxy to avoid CORS
-const callWatsonX = async (apiKey, systemPrompt, userMessage, conversationHistory = []) => {
-  // Build messages array
-  const messages = [
-    ...conversationHistory,
-    { role: 'user', content: userMessage }
-  ];
-  
-  const response = await fetch('/api/watsonx/chat', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      apiKey,
-      systemPrompt,
-      messages
-    })
-  });
-  
-  if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error || 'WatsonX API call failed');
-  }
-  
-  const data = await response.json();
-  return data.content;
-};
-
-// Validate API key via backend
-const validateApiKey = async (apiKey) => {
-  try {
-    const response = await fetch('/api/watsonx/validate', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ apiKey })
-    });
-    
-    const data = await response.json();
-    return data.valid;
-  } catch {
-    return false;
-  }
-};
-
-// Get today's date key for storage
-const getTodayKey = () => new Date().toISOString().split('T')[0];
-
-// Usage tracking functions
-const getUsage = () => {
-  const stored = localStorage.getItem('agentUsage');
-  if (stored) {
-    const data = JSON.parse(stored);
-    if (data.date === getTodayKey()) {
-      return data;
-    }
-  }
-  // Reset for new day
-  return {
-    date: getTodayKey(),
-    emailRewriter: 0,
-    bauEstimate: 0
-  };
-};
-
-const saveUsage = (usage) => {
-  localStorage.setItem('agentUsage', JSON.stringify(usage));
-};
-
-const incrementUsage = (agentId) => {
-  const usage = getUsage();
-  usage[agentId] = (usage[agentId] || 0) + 1;
-  saveUsage(usage);
-  return usage;
-};
+import {
+  streamWatsonX,
+  getApiKeyStatus,
+  saveApiKey,
+  clearApiKey,
+  fetchAgents,
+  fetchModels,
+  fetchAttachmentLimits,
+  importEml,
+  downloadEml,
+  fetchEmailConfig,
+  sendEmail,
+  fetchUsage,
+  fetchUsageHistory,
+  fetchConversations,
+  fetchConversation,
+  createConversation,
+  renameConversation,
+  deleteConversation,
+  setMessagePinned,
+  EXPORT_FORMATS,
+  exportUrl,
+  getAgentUsage,
+  formatResetTime
+} from './api';
+import MarkdownMessage from './components/MarkdownMessage';
+import SourceList from './components/SourceList';
+import EstimateCard from './components/EstimateCard';
+import ConversationSidebar from './components/ConversationSidebar';
+import SpecialistAnswers from './components/SpecialistAnswers';
+import CodeEditor from './components/CodeEditor';
+import CodeView, { composeCodeMessage, parseCodeMessage, lineElementId } from './components/CodeView';
+import AttachmentChips, { formatFileSize } from './components/AttachmentChips';
+import EmailRewriteCard from './components/EmailRewriteCard';
+import SendEmailPanel from './components/SendEmailPanel';
+import UsageChart, { formatTokens, formatCost } from './components/UsageChart';
+import ContextSummary from './components/ContextSummary';
+import AdminConsole from './components/AdminConsole';
+import BatchEstimates from './components/BatchEstimates';
 
 // Login Component
-function LoginPage({ onLogin }) {
+function LoginPage({ onLogin, notice }) {
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
@@ -181,8 +62,7 @@ function LoginPage({ onLogin }) {
       const data = await response.json();
       
       if (response.ok && data.success) {
-        sessionStorage.setItem('isLoggedIn', 'true');
-        onLogin();
+        onLogin({ user: data.user, expiresAt: data.expiresAt });
       } else {
         setError(data.message || 'Invalid credentials');
       }
@@ -223,6 +103,7 @@ function LoginPage({ onLogin }) {
               disabled={isLoading}
             />
           </div>
+          {notice && !error && <div className="info-message">{notice}</div>}
           {error && <div className="error-message">{error}</div>}
           <button type="submit" className="login-btn" disabled={isLoading}>
             {isLoading ? 'Logging in...' : 'Login'}
@@ -235,7 +116,7 @@ function LoginPage({ onLogin }) {
 
 // Agent Card Component
 function AgentCard({ agent, usage, onSelect, isActive }) {
-  const remaining = MAX_CALLS_PER_DAY - (usage[agent.id] || 0);
+  const { used, limit, remaining } = getAgentUsage(usage, agent.id);
   const isDisabled = remaining <= 0;
 
   return (
@@ -246,11 +127,11 @@ function AgentCard({ agent, usage, onSelect, isActive }) {
         <div className="usage-bar">
           <div 
             className="usage-fill" 
-            style={{ width: `${((usage[agent.id] || 0) / MAX_CALLS_PER_DAY) * 100}%` }}
+            style={{ width: `${limit ? Math.min((used / limit) * 100, 100) : 100}%` }}
           />
         </div>
         <span className="usage-text">
-          {usage[agent.id] || 0} / {MAX_CALLS_PER_DAY} calls today
+          {used} / {limit} calls today
         </span>
         <span className={`remaining ${remaining <= 20 ? 'low' : ''}`}>
           {remaining} remaining
@@ -268,13 +149,58 @@ function AgentCard({ agent, usage, onSelect, isActive }) {
 }
 
 // Agent Chat Component - With WatsonX Integration
-function AgentChat({ agent, onIncrement, apiKey }) {
+// Show each recorded send under the last reply saved before it
+const withSentEmails = (messages, emails = []) => messages.map((message, index) => {
+  const next = messages[index + 1];
+  const sent = emails.filter(email => (
+    message.role === 'assistant' && email.sentAt >= message.createdAt && (!next || email.sentAt < next.createdAt)
+  ));
+  return sent.length ? { ...message, sent } : message;
+});
+
+function AgentChat({ agent, models, attachmentLimits, emailConfig, currency, conversation, onConversationSaved, onUsageChange, onSessionExpired }) {
   const [messages, setMessages] = useState([]);
+  // Model picked in the header; falls back to the agent's model, or the first available one when offline
+  const [chosenModel, setChosenModel] = useState(null);
+  const selectedModel = (
+    models.find(model => model.id === chosenModel) ||
+    models.find(model => model.id === agent.model) ||
+    models[0]
+  )?.id;
+  // Demo replies come from the server's mock provider
+  const isDemo = models.find(model => model.id === selectedModel)?.provider === 'mock';
+  // Supervisor agents route each message to their specialists
+  const isSupervisor = Boolean(agent.specialists?.length);
   const [input, setInput] = useState('');
+  // Code agents take code from the editor, with the text input as an optional question
+  const [inputType, setInputType] = useState(agent.inputMode);
+  const [code, setCode] = useState('');
+  const [language, setLanguage] = useState('java');
+  // Lines of a submitted code message picked from a finding: { messageIndex, start, end }
+  const [highlight, setHighlight] = useState(null);
+  // Files attached to the next message
+  const [files, setFiles] = useState([]);
+  const fileInputRef = useRef(null);
+  // Values of the agent's options (e.g. tone), starting from their defaults
+  const [optionValues, setOptionValues] = useState(() => Object.fromEntries(
+    (agent.options || []).map(option => [option.id, option.default])
+  ));
+  // Recipients of an imported .eml draft, offered again on the rewrite: { subject, to, cc }
+  const [emailDraft, setEmailDraft] = useState(null);
+  const emlInputRef = useRef(null);
+  // Email being composed from a reply: { messageIndex, to, cc, subject, body, attachments }
+  const [sendDraft, setSendDraft] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState('');
+  // The last error as { message, requestId? } - errors from the server carry its correlation ID
+  const [error, setError] = useState(null);
+  // Set when a reply pushes the user past the warning share of a token budget
+  const [budgetWarning, setBudgetWarning] = useState('');
+  // Running summary of the messages the model no longer sees in full: { summary, summarizedThrough }
+  const [contextSummary, setContextSummary] = useState(null);
   const messagesEndRef = useRef(null);
-  const conversationHistory = useRef([]);
+  const conversationIdRef = useRef(null);
+  const [conversationId, setConversationId] = useState(null);
+  const abortControllerRef = useRef(null);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
@@ -284,115 +210,309 @@ function AgentChat({ agent, onIncrement, apiKey }) {
     scrollToBottom();
   }, [messages]);
 
-  // Reset messages when agent changes
   useEffect(() => {
-    conversationHistory.current = [];
-    setMessages([{
+    if (highlight) {
+      document.getElementById(lineElementId(highlight.messageIndex, highlight.start))
+        ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }, [highlight]);
+
+  // Reset messages when the agent changes, restoring a resumed conversation and its context summary.
+  // Saved messages remember their position on the server (serverIndex), which pinning refers to.
+  useEffect(() => {
+    abortControllerRef.current?.abort();
+    const greeting = {
       role: 'assistant',
       content: `Hello! I'm the ${agent.name}. ${agent.description}. How can I help you today?`
-    }]);
-    setError('');
-  }, [agent.id, agent.name, agent.description]);
+    };
+    const saved = conversation?.messages || [];
+    conversationIdRef.current = conversation?.id || null;
+    setConversationId(conversationIdRef.current);
+    setContextSummary(conversation?.context || null);
+    setMessages([greeting, ...withSentEmails(saved, conversation?.emails).map((message, serverIndex) => ({ ...message, serverIndex }))]);
+    setHighlight(null);
+    setError(null);
+  }, [agent.id, agent.name, agent.description, conversation]);
+
+  // Abort any in-flight stream when the chat unmounts
+  useEffect(() => () => abortControllerRef.current?.abort(), []);
+
+  // Replace the content of the last (streaming) assistant message
+  const updateLastMessage = (changes) => {
+    setMessages(prev => [...prev.slice(0, -1), { ...prev[prev.length - 1], ...changes }]);
+  };
+
+  const updateEstimate = (index, estimate) => {
+    setMessages(prev => prev.map((msg, i) => (i === index ? { ...msg, estimate } : msg)));
+  };
+
+  const updateSpecialistEstimate = (index, specialistIndex, estimate) => {
+    setMessages(prev => prev.map((msg, i) => (i === index ? {
+      ...msg,
+      specialists: msg.specialists.map((answer, j) => (j === specialistIndex ? { ...answer, estimate } : answer))
+    } : msg)));
+  };
+
+  // Highlight lines cited in the reply at `index`, in the code of the user message before it
+  const showLines = (index, start, end) => {
+    const messageIndex = messages.reduce((found, msg, i) => (
+      i < index && msg.role === 'user' && parseCodeMessage(msg.content) ? i : found
+    ), -1);
+    if (messageIndex !== -1) {
+      setHighlight({ messageIndex, start, end });
+    }
+  };
+
+  // Add files to the next message, refusing the ones the server would reject
+  const addFiles = (added) => {
+    if (!attachmentLimits) return;
+    const { maxFileBytes, maxFiles, extensions } = attachmentLimits;
+    const accepted = [];
+    const problems = [];
+    Array.from(added).forEach(file => {
+      const extension = file.name.split('.').pop().toLowerCase();
+      if (!extensions.includes(extension)) {
+        problems.push(`${file.name} is not a supported file type`);
+      } else if (file.size > maxFileBytes) {
+        problems.push(`${file.name} is larger than ${formatFileSize(maxFileBytes)}`);
+      } else {
+        accepted.push(file);
+      }
+    });
+    if (files.length + accepted.length > maxFiles) {
+      problems.push(`At most ${maxFiles} files can be attached to a message`);
+    }
+    setFiles(prev => [...prev, ...accepted].slice(0, maxFiles));
+    setError(problems.length ? { message: problems.join('. ') } : null);
+  };
+
+  // Load an .eml draft into the input, keeping its recipients for the rewrite
+  const handleImportEml = async (file) => {
+    try {
+      const { subject, to, cc, text } = await importEml(file);
+      setInput(text);
+      setEmailDraft({ subject, to, cc });
+      setError(null);
+    } catch (err) {
+      if (err.sessionExpired) {
+        onSessionExpired();
+        return;
+      }
+      setError(err);
+    }
+  };
+
+  const handleDownloadEml = async (email) => {
+    try {
+      await downloadEml(email);
+    } catch (err) {
+      if (err.sessionExpired) {
+        onSessionExpired();
+        return;
+      }
+      throw err;
+    }
+  };
+
+  // Open the send panel under a saved reply; sends need the conversation to record them.
+  // The server writes the email from the reply, so subject and body are only shown here.
+  const canSend = Boolean(emailConfig?.enabled && conversationId);
+  const composeEmail = (messageIndex, { to = '', cc = '', subject, body, attachments = [] }) => {
+    setSendDraft({ messageIndex, to, cc, subject, body, note: '', attachments });
+  };
+
+  const handleSendEmail = async ({ to, cc, subject, note, attachments }) => {
+    const message = messages[sendDraft.messageIndex];
+    let sent;
+    try {
+      ({ email: sent } = await sendEmail({
+        conversationId,
+        messageIndex: message.serverIndex,
+        to,
+        cc,
+        // Rewrites offer several subjects; other replies are sent under the one the server picks
+        subject: message.email ? subject : undefined,
+        note,
+        attachments
+      }));
+    } catch (err) {
+      if (err.sessionExpired) {
+        onSessionExpired();
+        return;
+      }
+      throw err;
+    }
+    const index = sendDraft.messageIndex;
+    setMessages(prev => prev.map((msg, i) => (i === index ? { ...msg, sent: [...(msg.sent || []), sent] } : msg)));
+    setSendDraft(null);
+    onConversationSaved(conversationId);
+  };
+
+  // Pin or unpin a saved message - pinned messages are never summarised away from the model
+  const togglePinned = async (index) => {
+    const message = messages[index];
+    try {
+      const { pinned } = await setMessagePinned(conversationId, message.serverIndex, !message.pinned);
+      setMessages(prev => prev.map((msg, i) => (i === index ? { ...msg, pinned } : msg)));
+    } catch (err) {
+      if (err.sessionExpired) {
+        onSessionExpired();
+        return;
+      }
+      setError(err);
+    }
+  };
+
+  // Stops the reply (keeping what arrived), or cancels the request while nothing has arrived yet
+  const handleStop = () => {
+    abortControllerRef.current?.abort();
+  };
+  const lastMessage = messages[messages.length - 1];
+  const canOnlyCancel = !(lastMessage?.streaming && lastMessage.content);
 
   const handleSubmit = async (e) => {
-    e.preventDefault();
-    if (!input.trim() || isLoading) return;
+    e?.preventDefault();
+    const isCode = inputType === 'code';
+    if ((isCode ? !code.trim() : !input.trim()) || isLoading) return;
 
-    const userMessage = input.trim();
+    const userMessage = isCode ? composeCodeMessage(input.trim(), code, language) : input.trim();
+    // Code conversations are titled after the question, or the first line of code
+    const title = isCode ? input.trim() || code.trim().split('\n')[0] : userMessage;
+    const attached = files;
+    // Restored if the request is cancelled before the reply starts
+    const draft = { input, code, emailDraft };
     setInput('');
-    setError('');
-    setMessages(prev => [...prev, { role: 'user', content: userMessage }]);
+    setCode('');
+    setFiles([]);
+    setError(null);
+    setMessages(prev => [...prev, {
+      role: 'user',
+      content: userMessage,
+      attachments: attached.map(file => ({ name: file.name, size: file.size })),
+      emailDraft: emailDraft || undefined
+    }]);
+    setEmailDraft(null);
     setIsLoading(true);
 
-    // Increment usage on each message sent
-    onIncrement(agent.id);
-
     try {
-      if (apiKey) {
-        // Call WatsonX API
-        const response = await callWatsonX(
-          apiKey, 
-          agent.systemPrompt, 
-          userMessage, 
-          conversationHistory.current
-        );
-        
-        // Update conversation history for context
-        conversationHistory.current.push(
-          { role: 'user', content: userMessage },
-          { role: 'assistant', content: response }
+      if (!selectedModel) {
+        throw new Error('No model is available. Add your WatsonX API key to start chatting.');
+      }
+
+      // Conversations are saved on the server, starting with the first message
+      if (!conversationIdRef.current) {
+        const created = await createConversation(agent.id, title);
+        conversationIdRef.current = created.id;
+      }
+
+      // Stream the reply into a placeholder assistant message
+      const controller = new AbortController();
+      abortControllerRef.current = controller;
+      let partial = '';
+      setMessages(prev => [...prev, { role: 'assistant', content: '', streaming: true }]);
+
+      try {
+        const result = await streamWatsonX(
+          agent.id,
+          userMessage,
+          {
+            conversationId: conversationIdRef.current,
+            model: selectedModel,
+            options: agent.options?.length ? optionValues : undefined,
+            files: attached,
+            orchestrate: isSupervisor,
+            signal: controller.signal,
+            onToken: (token) => {
+              partial += token;
+              updateLastMessage({ content: partial, retrying: false });
+            },
+            onRetry: () => {
+              partial = '';
+              updateLastMessage({ content: '', retrying: true });
+            },
+            onRoute: (route) => {
+              updateLastMessage({ route, specialists: [] });
+            },
+            onSpecialist: (answer) => {
+              setMessages(prev => {
+                const last = prev[prev.length - 1];
+                return [...prev.slice(0, -1), { ...last, specialists: [...(last.specialists || []), answer] }];
+              });
+            }
+          }
         );
-        
-        // Keep only last 10 messages for context
-        if (conversationHistory.current.length > 10) {
-          conversationHistory.current = conversationHistory.current.slice(-10);
+        const { budget } = result;
+        setBudgetWarning(budget?.warning
+          ? `You have used ${formatTokens(budget[budget.warning].used)} of your ${budget.warning} budget of ${formatTokens(budget[budget.warning].limit)} tokens.`
+          : '');
+        // The server reports the kind of each attachment and whether only excerpts fitted,
+        // and where the turn was saved
+        setMessages(prev => prev.map((msg, i) => (i === prev.length - 2 ? {
+          ...msg,
+          attachments: result.attachments?.length ? result.attachments : msg.attachments,
+          serverIndex: result.messageIndex !== undefined ? result.messageIndex - 1 : undefined
+        } : msg)));
+        if (result.context?.summary) {
+          setContextSummary({ summary: result.context.summary, summarizedThrough: result.context.summarizedThrough });
         }
-        
-        setMessages(prev => [...prev, { role: 'assistant', content: response }]);
-      } else {
-        // Demo mode - simulated response
-        await new Promise(resolve => setTimeout(resolve, 1500));
-        
-        let response = '';
-        if (agent.id === 'emailRewriter') {
-          response = `## Suggested Subject
-Professional Follow-up: ${userMessage.split(' ').slice(0, 5).join(' ')}...
-
-## Rewritten Email
-Dear [Recipient],
-
-I hope this message finds you well. ${userMessage}
-
-Please let me know if you have any questions or require further clarification.
-
-Best regards,
-[Your Name]
-
-## Key Changes Made
-- Added professional greeting and closing
-- Improved sentence structure
-- Enhanced clarity and tone
-
----
-⚠️ *Demo Mode: Enter your WatsonX API Key for real AI responses*`;
-        } else {
-          response = `## Task Analysis
-Analyzing: ${userMessage.slice(0, 100)}...
-
-## Estimation Breakdown
-| Phase | Effort (Hours) | Notes |
-|-------|----------------|-------|
-| Analysis | 4-8 | Requirements review |
-| Development | 16-24 | Implementation |
-| Testing | 8-12 | Unit + Integration |
-| Documentation | 2-4 | Updates |
-| **Total** | **30-48** | |
-
-## Complexity Assessment
-**Level:** Medium
-**Justification:** Standard enhancement scope
-
-## Assumptions
-- Existing codebase patterns apply
-- No major dependencies
-
-## Risks
-- Scope creep possible
-- Integration complexity
-
----
-⚠️ *Demo Mode: Enter your WatsonX API Key for real AI responses*`;
+        updateLastMessage({
+          content: result.content,
+          usage: result.usage,
+          cost: result.cost,
+          model: selectedModel,
+          sources: result.sources,
+          estimate: result.estimate,
+          email: result.email,
+          specialists: result.specialists,
+          serverIndex: result.messageIndex,
+          promptVersion: result.promptVersion,
+          streaming: false
+        });
+      } catch (err) {
+        if (err.name !== 'AbortError') {
+          // Drop the placeholder so the error bubble below replaces it
+          setMessages(prev => prev.slice(0, -1));
+          throw err;
         }
-        setMessages(prev => [...prev, { role: 'assistant', content: response }]);
+        if (!partial) {
+          // Cancelled before the reply started - the server saved nothing and did not count the call,
+          // so put the message back in the input to edit or send again
+          setMessages(prev => prev.slice(0, -2));
+          setInput(draft.input);
+          setCode(draft.code);
+          setFiles(attached);
+          setEmailDraft(draft.emailDraft);
+          return;
+        }
+        // Stopped by the user - keep what arrived so far
+        updateLastMessage({ content: partial, streaming: false, stopped: true });
+      } finally {
+        abortControllerRef.current = null;
       }
     } catch (err) {
-      setError(err.message);
+      if (err.sessionExpired) {
+        onSessionExpired();
+        return;
+      }
+      // Nothing was saved - keep the files so the message can be sent again
+      setFiles(attached);
+      setError(err);
       setMessages(prev => [...prev, { 
         role: 'assistant', 
-        content: `❌ Error: ${err.message}\n\nPlease check your API key and try again.` 
+        content: err.retryable
+          ? `❌ Error: ${err.message}\n\nThe model service is busy or unavailable. This call did not count against your daily limit - please try again${err.retryAfter ? ` in ${err.retryAfter} seconds` : ' shortly'}.`
+          : err.code === 'CONTEXT_OVERFLOW'
+            ? `❌ ${err.message}\n\nThis call did not count against your daily limit.`
+            : `❌ Error: ${err.message}\n\nPlease check your API key and try again.` 
       }]);
     } finally {
       setIsLoading(false);
+      // The server counted the call (or refused or refunded it) and saved the turn - refresh the usage and history
+      onUsageChange();
+      if (conversationIdRef.current) {
+        setConversationId(conversationIdRef.current);
+        onConversationSaved(conversationIdRef.current);
+      }
     }
   };
 
@@ -400,36 +520,172 @@ Analyzing: ${userMessage.slice(0, 100)}...
     <div className="agent-chat-container">
       <div className="chat-header">
         <h2>{agent.name}</h2>
-        <span className={`agent-badge ${apiKey ? 'live' : ''}`}>
-          {apiKey ? '🟢 Live' : '🟡 Demo Mode'}
-        </span>
+        <div className="chat-header-actions">
+          {selectedModel && (
+            <select
+              className="model-picker"
+              value={selectedModel}
+              onChange={(e) => setChosenModel(e.target.value)}
+              disabled={isLoading}
+              aria-label="Model"
+            >
+              {[...new Set(models.map(model => model.providerName))].map(providerName => (
+                <optgroup key={providerName} label={providerName}>
+                  {models.filter(model => model.providerName === providerName).map(model => (
+                    <option key={model.id} value={model.id}>{model.name}</option>
+                  ))}
+                </optgroup>
+              ))}
+            </select>
+          )}
+          {conversationId && (
+            <details className="export-menu">
+              <summary>⬇️ Export</summary>
+              <ul>
+                {EXPORT_FORMATS
+                  .filter(item => !item.needsEstimate || messages.some(msg => msg.estimate))
+                  .map(({ format, label }) => (
+                    <li key={format}>
+                      {format === 'html' ? (
+                        <a href={exportUrl(conversationId, format)} target="_blank" rel="noopener noreferrer">{label}</a>
+                      ) : (
+                        <a href={exportUrl(conversationId, format)} download>{label}</a>
+                      )}
+                    </li>
+                  ))}
+              </ul>
+            </details>
+          )}
+          <span className={`agent-badge ${isDemo ? '' : 'live'}`}>
+            {isDemo ? '🟡 Demo Mode' : '🟢 Live'}
+          </span>
+        </div>
       </div>
       
       {error && (
         <div className="chat-error">
-          ⚠️ {error}
+          ⚠️ {error.message}
+          {error.requestId && <span className="chat-error-ref">Reference: <code>{error.requestId}</code></span>}
+        </div>
+      )}
+      {budgetWarning && !error && (
+        <div className="chat-warning">
+          🪙 {budgetWarning}
         </div>
       )}
       
       <div className="chat-messages">
-        {messages.map((msg, idx) => (
-          <div key={idx} className={`message ${msg.role}`}>
-            <div className="message-content">
-              {msg.role === 'assistant' ? (
-                <div dangerouslySetInnerHTML={{ 
-                  __html: msg.content
-                    .replace(/\n/g, '<br/>')
-                    .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-                    .replace(/## (.*?)(<br\/>|$)/g, '<h3>$1</h3>')
-                    .replace(/\| (.*?) \|/g, '<span class="table-cell">$1</span>')
-                }} />
-              ) : (
-                msg.content
+        {messages.map((msg, idx) => {
+          const codeMessage = agent.inputMode === 'code' && msg.role === 'user' && parseCodeMessage(msg.content);
+          // Folded into the running summary - the model only sees it in full while pinned
+          const summarized = msg.serverIndex < contextSummary?.summarizedThrough && !msg.pinned;
+          return (
+            <React.Fragment key={idx}>
+              <div className={`message ${msg.role} ${summarized ? 'summarized' : ''}`}>
+                <div className={`message-content ${codeMessage ? 'with-code' : ''}`}>
+                  {msg.role === 'assistant' && msg.email ? (
+                    <EmailRewriteCard
+                      email={msg.email}
+                      draft={messages[idx - 1]?.role === 'user' ? messages[idx - 1].content : ''}
+                      recipients={messages[idx - 1]?.emailDraft}
+                      onDownload={handleDownloadEml}
+                      onSend={canSend && msg.serverIndex !== undefined ? (email) => composeEmail(idx, email) : undefined}
+                    />
+                  ) : msg.role === 'assistant' ? (
+                    <MarkdownMessage
+                      content={msg.content}
+                      onLineReference={agent.inputMode === 'code' ? (start, end) => showLines(idx, start, end) : undefined}
+                    />
+                  ) : codeMessage ? (
+                    <>
+                      {codeMessage.text && <p className="code-question">{codeMessage.text}</p>}
+                      <CodeView
+                        code={codeMessage.code}
+                        language={codeMessage.language}
+                        messageIndex={idx}
+                        highlight={highlight?.messageIndex === idx ? highlight : null}
+                      />
+                    </>
+                  ) : (
+                    msg.content
+                  )}
+                  <AttachmentChips attachments={msg.attachments} />
+                  {(msg.route || msg.specialists?.length > 0) && (
+                    <SpecialistAnswers
+                      route={msg.route}
+                      answers={msg.specialists}
+                      onEstimateChange={(specialistIndex, estimate) => updateSpecialistEstimate(idx, specialistIndex, estimate)}
+                    />
+                  )}
+                  {msg.retrying && <div className="message-stopped">↻ Reformatting the estimate...</div>}
+                  {msg.streaming && <span className="stream-cursor" />}
+                  {msg.estimate && (
+                    <EstimateCard estimate={msg.estimate} onChange={(estimate) => updateEstimate(idx, estimate)} />
+                  )}
+                  {msg.estimate && canSend && msg.serverIndex !== undefined && !msg.streaming && sendDraft?.messageIndex !== idx && (
+                    <button
+                      type="button"
+                      className="email-estimate-btn"
+                      onClick={() => composeEmail(idx, {
+                        subject: `Estimate: ${(messages[idx - 1]?.content || '').split('\n')[0].slice(0, 80)}`,
+                        body: msg.content,
+                        attachments: ['csv']
+                      })}
+                    >
+                      ✉️ Email estimate
+                    </button>
+                  )}
+                  {sendDraft?.messageIndex === idx && (
+                    <SendEmailPanel
+                      draft={sendDraft}
+                      from={emailConfig.from}
+                      formats={EXPORT_FORMATS.filter(item => !item.needsEstimate || messages.some(message => message.estimate))}
+                      onSend={handleSendEmail}
+                      onCancel={() => setSendDraft(null)}
+                    />
+                  )}
+                  {msg.sent?.map(email => (
+                    <div key={email.messageId} className="message-sent">
+                      ✉️ Sent “{email.subject}” to {[...email.to, ...email.cc].join(', ')}
+                      {email.attachments.length > 0 && ` with ${email.attachments.join(', ')}`}
+                    </div>
+                  ))}
+                  <SourceList sources={msg.sources} />
+                  {msg.stopped && <div className="message-stopped">⏹ Stopped</div>}
+                  {msg.serverIndex !== undefined && conversationId && (
+                    <button
+                      type="button"
+                      className={`pin-btn ${msg.pinned ? 'pinned' : ''}`}
+                      onClick={() => togglePinned(idx)}
+                      disabled={isLoading}
+                      title={msg.pinned ? 'Unpin - may be summarised once the conversation outgrows the model\'s context' : 'Pin - always keep this message in the model\'s context'}
+                    >
+                      📌 {msg.pinned ? 'Pinned' : 'Pin'}
+                    </button>
+                  )}
+                  {msg.usage && !msg.streaming && (
+                    <div
+                      className="message-usage"
+                      title={[
+                        msg.model && `Model: ${msg.model}`,
+                        msg.promptVersion !== undefined && `Prompt version: v${msg.promptVersion}`,
+                        `Prompt: ${formatTokens(msg.usage.prompt_tokens || 0)} tokens`,
+                        `Completion: ${formatTokens(msg.usage.completion_tokens || 0)} tokens`,
+                        msg.cost !== undefined && `Cost: ${formatCost(msg.cost, currency)}`
+                      ].filter(Boolean).join('\n')}
+                    >
+                      {formatTokens((msg.usage.prompt_tokens || 0) + (msg.usage.completion_tokens || 0))} tokens
+                    </div>
+                  )}
+                </div>
+              </div>
+              {msg.serverIndex === contextSummary?.summarizedThrough - 1 && (
+                <ContextSummary summary={contextSummary.summary} count={contextSummary.summarizedThrough} />
               )}
-            </div>
-          </div>
-        ))}
-        {isLoading && (
+            </React.Fragment>
+          );
+        })}
+        {isLoading && !messages[messages.length - 1]?.streaming && (
           <div className="message assistant">
             <div className="message-content loading">
               <span className="dot"></span>
@@ -441,32 +697,174 @@ Analyzing: ${userMessage.slice(0, 100)}...
         <div ref={messagesEndRef} />
       </div>
 
-      <form className="chat-input-form" onSubmit={handleSubmit}>
-        <textarea
-          value={input}
-          onChange={(e) => setInput(e.target.value)}
-          placeholder={agent.placeholder}
-          rows={3}
-          disabled={isLoading}
-          onKeyDown={(e) => {
-            if (e.key === 'Enter' && !e.shiftKey) {
-              e.preventDefault();
-              handleSubmit(e);
-            }
-          }}
-        />
-        <button type="submit" disabled={isLoading || !input.trim()}>
-          {isLoading ? 'Processing...' : 'Send'}
-        </button>
+      {agent.inputMode === 'code' && (
+        <div className="input-mode-toggle" role="tablist">
+          {[['code', '</> Code'], ['text', '💬 Text']].map(([type, label]) => (
+            <button
+              key={type}
+              type="button"
+              role="tab"
+              aria-selected={inputType === type}
+              className={inputType === type ? 'active' : ''}
+              onClick={() => setInputType(type)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {(agent.options?.length > 0 || agent.structuredOutput === 'email') && (
+        <div className="agent-options">
+          {agent.options?.map(option => (
+            <label key={option.id}>
+              {option.label}
+              <select
+                value={optionValues[option.id]}
+                onChange={(e) => setOptionValues(prev => ({ ...prev, [option.id]: e.target.value }))}
+                disabled={isLoading}
+              >
+                {option.choices.map(choice => (
+                  <option key={choice.value} value={choice.value}>{choice.label}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+          {agent.structuredOutput === 'email' && (
+            <>
+              <button type="button" className="import-eml-btn" onClick={() => emlInputRef.current?.click()} disabled={isLoading}>
+                📥 Import .eml
+              </button>
+              <input
+                ref={emlInputRef}
+                type="file"
+                hidden
+                accept=".eml,message/rfc822"
+                onChange={(e) => {
+                  if (e.target.files[0]) handleImportEml(e.target.files[0]);
+                  e.target.value = '';
+                }}
+              />
+              {emailDraft && (
+                <span className="imported-draft" title={[emailDraft.to, emailDraft.cc].filter(Boolean).join(', ')}>
+                  Draft: {emailDraft.subject || '(no subject)'}
+                </span>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
+      <form
+        className="chat-input-form"
+        onSubmit={handleSubmit}
+        onDragOver={(e) => e.preventDefault()}
+        onDrop={(e) => {
+          e.preventDefault();
+          if (!isLoading) addFiles(e.dataTransfer.files);
+        }}
+      >
+        {attachmentLimits && (
+          <>
+            <button
+              type="button"
+              className="attach-btn"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={isLoading || files.length >= attachmentLimits.maxFiles}
+              title={`Attach files (${attachmentLimits.extensions.map(extension => `.${extension}`).join(', ')})`}
+              aria-label="Attach files"
+            >
+              📎
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              multiple
+              hidden
+              accept={attachmentLimits.extensions.map(extension => `.${extension}`).join(',')}
+              onChange={(e) => {
+                addFiles(e.target.files);
+                e.target.value = '';
+              }}
+            />
+          </>
+        )}
+        <div className="chat-input-fields">
+          <AttachmentChips attachments={files} onRemove={(index) => setFiles(prev => prev.filter((_, i) => i !== index))} />
+          {inputType === 'code' ? (
+            <div className="code-input">
+              <CodeEditor
+                code={code}
+                language={language}
+                placeholder={agent.placeholder}
+                disabled={isLoading}
+                onCodeChange={setCode}
+                onLanguageChange={setLanguage}
+                onSubmit={handleSubmit}
+              />
+              <input
+                type="text"
+                className="code-question-input"
+                value={input}
+                onChange={(e) => setInput(e.target.value)}
+                placeholder="Optional: what should the agent focus on? (Ctrl+Enter sends)"
+                disabled={isLoading}
+              />
+            </div>
+          ) : (
+            <textarea
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              placeholder={agent.placeholder}
+              rows={3}
+              disabled={isLoading}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' && !e.shiftKey) {
+                  e.preventDefault();
+                  handleSubmit(e);
+                }
+              }}
+            />
+          )}
+        </div>
+        {isLoading ? (
+          <button
+            type="button"
+            className="stop-btn"
+            onClick={handleStop}
+            title={canOnlyCancel ? 'Cancel the request - it will not count against your daily limit' : 'Stop the reply and keep what has arrived'}
+          >
+            {canOnlyCancel ? 'Cancel' : 'Stop'}
+          </button>
+        ) : (
+          <button type="submit" disabled={isLoading || !(inputType === 'code' ? code.trim() : input.trim())}>
+            {isLoading ? 'Processing...' : 'Send'}
+          </button>
+        )}
       </form>
     </div>
   );
 }
 
+// "1,454 / 200,000 tokens" when the period has a budget
+const formatBudget = (used, limit) => (limit === null ? formatTokens(used) : `${formatTokens(used)} / ${formatTokens(limit)}`);
+
 // Usage Stats Component
-function UsageStats({ usage }) {
-  const totalUsed = (usage.emailRewriter || 0) + (usage.bauEstimate || 0);
-  const totalLimit = MAX_CALLS_PER_DAY * 2;
+function UsageStats({ agents, usage, onSessionExpired }) {
+  const agentUsage = agents.map(agent => ({ agent, ...getAgentUsage(usage, agent.id) }));
+  const totalUsed = agentUsage.reduce((sum, item) => sum + item.used, 0);
+  const totalLimit = agentUsage.reduce((sum, item) => sum + item.limit, 0);
+  const { tokens } = usage;
+  const [history, setHistory] = useState(null);
+
+  // Usage changes after every call - reload the charts with it
+  useEffect(() => {
+    fetchUsageHistory()
+      .then(setHistory)
+      .catch(err => {
+        if (err.sessionExpired) onSessionExpired();
+      });
+  }, [usage, onSessionExpired]);
 
   return (
     <div className="usage-stats">
@@ -474,49 +872,140 @@ function UsageStats({ usage }) {
       <div className="stats-grid">
         <div className="stat-item">
           <span className="stat-label">Date</span>
-          <span className="stat-value">{usage.date || getTodayKey()}</span>
+          <span className="stat-value">{usage.date}</span>
         </div>
+        {agentUsage.map(({ agent, used, limit }) => (
+          <div className="stat-item" key={agent.id}>
+            <span className="stat-label">{agent.shortName}</span>
+            <span className="stat-value">{used} / {limit}</span>
+          </div>
+        ))}
         <div className="stat-item">
-          <span className="stat-label">Email Rewriter</span>
-          <span className="stat-value">{usage.emailRewriter || 0} / {MAX_CALLS_PER_DAY}</span>
+          <span className="stat-label">Total Today</span>
+          <span className="stat-value">{totalUsed} / {totalLimit}</span>
         </div>
         <div className="stat-item">
-          <span className="stat-label">BAU Estimate</span>
-          <span className="stat-value">{usage.bauEstimate || 0} / {MAX_CALLS_PER_DAY}</span>
+          <span className="stat-label">Tokens Today</span>
+          <span className="stat-value">{formatBudget(tokens.budget.daily.used, tokens.budget.daily.limit)}</span>
         </div>
         <div className="stat-item">
-          <span className="stat-label">Total Today</span>
-          <span className="stat-value">{totalUsed} / {totalLimit}</span>
+          <span className="stat-label">Tokens This Month</span>
+          <span className="stat-value">{formatBudget(tokens.budget.monthly.used, tokens.budget.monthly.limit)}</span>
+        </div>
+        <div className="stat-item">
+          <span className="stat-label">Cost This Month</span>
+          <span className="stat-value">{formatCost(tokens.month.cost, tokens.currency)}</span>
         </div>
       </div>
+      {tokens.budget.warning && (
+        <p className="usage-warning">
+          {tokens.budget.exceeded
+            ? `⛔ Your ${tokens.budget.exceeded} token budget is spent - new requests are refused until it resets.`
+            : `⚠️ You have used over ${Math.round(tokens.budget.warnAt * 100)}% of your ${tokens.budget.warning} token budget.`}
+        </p>
+      )}
+      {history && (
+        <>
+          <div className="usage-charts">
+            <UsageChart
+              title="Tokens per day (last 30 days)"
+              currency={history.currency}
+              items={history.daily.map(({ date, ...totals }) => ({ label: date.slice(5), ...totals }))}
+            />
+            <UsageChart
+              title="Tokens per month"
+              currency={history.currency}
+              items={history.monthly.map(({ month, ...totals }) => ({ label: month, ...totals }))}
+            />
+          </div>
+          <p className="usage-chart-legend">
+            <span className="usage-chart-key prompt" /> Prompt
+            <span className="usage-chart-key completion" /> Completion
+          </p>
+          {history.conversations.length > 0 && (
+            <table className="usage-conversations">
+              <thead>
+                <tr>
+                  <th>Recent conversation</th>
+                  <th>Agent</th>
+                  <th>Tokens</th>
+                  <th>Cost</th>
+                </tr>
+              </thead>
+              <tbody>
+                {history.conversations.map(conversation => (
+                  <tr key={conversation.id}>
+                    <td>{conversation.title}</td>
+                    <td>{agents.find(agent => agent.id === conversation.agentId)?.shortName || conversation.agentId}</td>
+                    <td title={`Prompt: ${formatTokens(conversation.promptTokens)} · Completion: ${formatTokens(conversation.completionTokens)}`}>
+                      {formatTokens(conversation.promptTokens + conversation.completionTokens)}
+                    </td>
+                    <td>{formatCost(conversation.cost, history.currency)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
       <p className="usage-note">
-        ⚠️ Each agent is limited to {MAX_CALLS_PER_DAY} calls per day. Usage resets at midnight.
+        ⚠️ Each agent is limited to {usage.defaultLimit} calls per day unless your administrator has set a different limit.
+        Usage resets at {formatResetTime(usage.resetAt)}.
       </p>
     </div>
   );
 }
 
 // API Key Configuration Component
-function ApiKeyConfig({ apiKey, onApiKeyChange }) {
+function ApiKeyConfig({ keyStatus, onKeyStatusChange, onSessionExpired }) {
   const [showKey, setShowKey] = useState(false);
-  const [tempKey, setTempKey] = useState(apiKey);
-  const [isEditing, setIsEditing] = useState(!apiKey);
-
-  const handleSave = () => {
-    onApiKeyChange(tempKey);
-    setIsEditing(false);
-    if (tempKey) {
-      localStorage.setItem('watsonxApiKey', tempKey);
-    } else {
-      localStorage.removeItem('watsonxApiKey');
+  const [tempKey, setTempKey] = useState('');
+  const [isEditing, setIsEditing] = useState(!keyStatus.configured);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  // Leave edit mode once the stored key status has loaded
+  useEffect(() => {
+    setIsEditing(!keyStatus.configured);
+  }, [keyStatus.configured]);
+
+  const runKeyAction = async (action) => {
+    setIsSaving(true);
+    setError('');
+    try {
+      onKeyStatusChange(await action());
+      setTempKey('');
+      return true;
+    } catch (err) {
+      if (err.sessionExpired) {
+        onSessionExpired();
+      } else {
+        setError(err.message);
+      }
+      return false;
+    } finally {
+      setIsSaving(false);
     }
   };
 
-  const handleClear = () => {
-    setTempKey('');
-    onApiKeyChange('');
-    localStorage.removeItem('watsonxApiKey');
-    setIsEditing(true);
+  const handleSave = async () => {
+    if (!tempKey) {
+      // An empty key switches back to demo mode
+      if (keyStatus.configured) {
+        await runKeyAction(clearApiKey);
+      }
+      setIsEditing(false);
+      return;
+    }
+    if (await runKeyAction(() => saveApiKey(tempKey))) {
+      setIsEditing(false);
+    }
+  };
+
+  const handleClear = async () => {
+    if (await runKeyAction(clearApiKey)) {
+      setIsEditing(true);
+    }
   };
 
   return (
@@ -531,6 +1020,7 @@ function ApiKeyConfig({ apiKey, onApiKeyChange }) {
               onChange={(e) => setTempKey(e.target.value)}
               placeholder="Enter your WatsonX API Key"
               className="api-key-input"
+              disabled={isSaving}
             />
             <button 
               type="button" 
@@ -540,30 +1030,32 @@ function ApiKeyConfig({ apiKey, onApiKeyChange }) {
               {showKey ? '🙈' : '👁️'}
             </button>
           </div>
+          {error && <div className="error-message">{error}</div>}
           <div className="api-key-actions">
-            <button className="save-btn" onClick={handleSave}>
-              {tempKey ? 'Save & Enable Live Mode' : 'Use Demo Mode'}
+            <button className="save-btn" onClick={handleSave} disabled={isSaving}>
+              {isSaving ? 'Verifying...' : tempKey ? 'Save & Enable Live Mode' : 'Use Demo Mode'}
             </button>
           </div>
           <p className="api-key-hint">
-            💡 Get your API key from <a href="https://cloud.ibm.com/iam/apikeys" target="_blank" rel="noopener noreferrer">IBM Cloud IAM</a>
+            💡 Get your API key from <a href="https://cloud.ibm.com/iam/apikeys" target="_blank" rel="noopener noreferrer">IBM Cloud IAM</a>.
+            It is stored encrypted on the server and never sent back to the browser.
           </p>
         </div>
       ) : (
         <div className="api-key-status">
-          <span className={`status-indicator ${apiKey ? 'connected' : 'demo'}`}>
-            {apiKey ? '🟢 Connected to WatsonX' : '🟡 Demo Mode'}
+          <span className={`status-indicator ${keyStatus.configured ? 'connected' : 'demo'}`}>
+            {keyStatus.configured ? '🟢 Connected to WatsonX' : '🟡 Demo Mode'}
           </span>
-          {apiKey && (
+          {keyStatus.configured && (
             <span className="key-preview">
-              Key: ****{apiKey.slice(-4)}
+              Key: ****{keyStatus.last4}
             </span>
           )}
           <button className="edit-btn" onClick={() => setIsEditing(true)}>
             Edit
           </button>
-          {apiKey && (
-            <button className="clear-btn" onClick={handleClear}>
+          {keyStatus.configured && (
+            <button className="clear-btn" onClick={handleClear} disabled={isSaving}>
               Clear
             </button>
           )}
@@ -574,12 +1066,57 @@ function ApiKeyConfig({ apiKey, onApiKeyChange }) {
 }
 
 // Main Dashboard Component
-function Dashboard({ onLogout }) {
+function Dashboard({ user, expiresAt, onLogout, onSessionExpired }) {
   const [activeAgent, setActiveAgent] = useState(null);
-  const [usage, setUsage] = useState(getUsage());
-  const [apiKey, setApiKey] = useState(() => {
-    return localStorage.getItem('watsonxApiKey') || '';
-  });
+  const [agents, setAgents] = useState(null);
+  const [usage, setUsage] = useState(null);
+  const [keyStatus, setKeyStatus] = useState({ configured: false });
+  const [models, setModels] = useState([]);
+  const [conversations, setConversations] = useState([]);
+  const [searchQuery, setSearchQuery] = useState('');
+  // Conversation being resumed (with its messages) and the one currently open in the chat
+  const [resumedConversation, setResumedConversation] = useState(null);
+  const [activeConversationId, setActiveConversationId] = useState(null);
+  // Bumped to start a fresh chat with the same agent
+  const [chatSession, setChatSession] = useState(0);
+  // The main area shows the agents, batch estimates or (for admins) the admin console
+  const [view, setView] = useState('agents');
+  const toggleView = (name) => setView(current => (current === name ? 'agents' : name));
+
+  // Load the stored key status; keys saved by older versions in localStorage are discarded
+  useEffect(() => {
+    localStorage.removeItem('watsonxApiKey');
+    getApiKeyStatus()
+      .then(setKeyStatus)
+      .catch(err => {
+        if (err.sessionExpired) onSessionExpired();
+      });
+  }, [onSessionExpired]);
+
+  const [attachmentLimits, setAttachmentLimits] = useState(null);
+  const [emailConfig, setEmailConfig] = useState(null);
+
+  useEffect(() => {
+    fetchAttachmentLimits()
+      .then(setAttachmentLimits)
+      .catch(err => {
+        if (err.sessionExpired) onSessionExpired();
+      });
+    fetchEmailConfig()
+      .then(setEmailConfig)
+      .catch(err => {
+        if (err.sessionExpired) onSessionExpired();
+      });
+  }, [onSessionExpired]);
+
+  // Registering or clearing the API key changes which providers are usable
+  useEffect(() => {
+    fetchModels()
+      .then(data => setModels(data.models))
+      .catch(err => {
+        if (err.sessionExpired) onSessionExpired();
+      });
+  }, [keyStatus.configured, onSessionExpired]);
 
   const handleSelectAgent = (agent) => {
     // Prevent re-selecting the same agent
@@ -587,68 +1124,207 @@ function Dashboard({ onLogout }) {
       return;
     }
     
-    const currentUsage = getUsage();
-    if ((currentUsage[agent.id] || 0) >= MAX_CALLS_PER_DAY) {
-      alert(`Daily limit of ${MAX_CALLS_PER_DAY} calls reached for ${agent.name}`);
+    const { limit, remaining } = getAgentUsage(usage, agent.id);
+    if (remaining <= 0) {
+      alert(`Daily limit of ${limit} calls reached for ${agent.name}`);
       return;
     }
+    setResumedConversation(null);
+    setActiveConversationId(null);
     setActiveAgent(agent);
   };
 
-  const handleIncrement = useCallback((agentId) => {
-    const newUsage = incrementUsage(agentId);
-    setUsage(newUsage);
-  }, []);
+  const refreshConversations = useCallback(() => {
+    fetchConversations(searchQuery)
+      .then(data => setConversations(data.conversations))
+      .catch(err => {
+        if (err.sessionExpired) onSessionExpired();
+      });
+  }, [searchQuery, onSessionExpired]);
+
+  // Reload the list as the search changes, after a short pause in typing
+  useEffect(() => {
+    const timer = setTimeout(refreshConversations, 300);
+    return () => clearTimeout(timer);
+  }, [refreshConversations]);
+
+  const handleConversationSaved = useCallback((id) => {
+    setActiveConversationId(id);
+    refreshConversations();
+  }, [refreshConversations]);
+
+  const handleNewChat = () => {
+    setResumedConversation(null);
+    setActiveConversationId(null);
+    setChatSession(count => count + 1);
+  };
+
+  // Resume a saved conversation with its agent
+  const handleOpenConversation = async (summary) => {
+    const agent = agents?.find(item => item.id === summary.agentId);
+    if (!agent) {
+      alert(`The agent for "${summary.title}" is no longer available`);
+      return;
+    }
+    try {
+      const conversation = await fetchConversation(summary.id);
+      setActiveAgent(agent);
+      setResumedConversation(conversation);
+      setActiveConversationId(conversation.id);
+    } catch (err) {
+      if (err.sessionExpired) onSessionExpired();
+      else alert(err.message);
+    }
+  };
+
+  const handleRenameConversation = async (summary, title) => {
+    try {
+      await renameConversation(summary.id, title);
+      refreshConversations();
+    } catch (err) {
+      if (err.sessionExpired) onSessionExpired();
+      else alert(err.message);
+    }
+  };
+
+  const handleDeleteConversation = async (summary) => {
+    try {
+      await deleteConversation(summary.id);
+      if (summary.id === activeConversationId) {
+        handleNewChat();
+      }
+      refreshConversations();
+    } catch (err) {
+      if (err.sessionExpired) onSessionExpired();
+      else alert(err.message);
+    }
+  };
+
+  const refreshUsage = useCallback(() => {
+    fetchUsage()
+      .then(setUsage)
+      .catch(err => {
+        if (err.sessionExpired) onSessionExpired();
+      });
+  }, [onSessionExpired]);
+
+  useEffect(() => {
+    refreshUsage();
+  }, [refreshUsage]);
+
+  useEffect(() => {
+    fetchAgents()
+      .then(data => setAgents(data.agents))
+      .catch(err => {
+        if (err.sessionExpired) onSessionExpired();
+      });
+  }, [onSessionExpired]);
+
+  // Return to the login page when the server-side session runs out
+  useEffect(() => {
+    const remainingMs = new Date(expiresAt).getTime() - Date.now();
+    if (remainingMs <= 0) {
+      onSessionExpired();
+      return undefined;
+    }
+    const timer = setTimeout(onSessionExpired, remainingMs);
+    return () => clearTimeout(timer);
+  }, [expiresAt, onSessionExpired]);
 
   return (
     <div className="dashboard">
       <header className="dashboard-header">
         <h1>🤖 IBMDevDay2026 Demo</h1>
         <div className="header-actions">
-          <span className="user-info">👤 Demo User</span>
+          <span className="user-info">👤 {user.displayName}</span>
+          <button className={`nav-btn ${view === 'batches' ? 'active' : ''}`} onClick={() => toggleView('batches')}>
+            {view === 'batches' ? '← Agents' : '📦 Batch'}
+          </button>
+          {user.role === 'admin' && (
+            <button className={`nav-btn ${view === 'admin' ? 'active' : ''}`} onClick={() => toggleView('admin')}>
+              {view === 'admin' ? '← Agents' : '🛠️ Admin'}
+            </button>
+          )}
           <button className="logout-btn" onClick={onLogout}>Logout</button>
         </div>
       </header>
 
-      <main className="dashboard-content">
-        <ApiKeyConfig apiKey={apiKey} onApiKeyChange={setApiKey} />
+      <div className="dashboard-body">
+        <ConversationSidebar
+          conversations={conversations}
+          agents={agents}
+          activeId={activeConversationId}
+          query={searchQuery}
+          onQueryChange={setSearchQuery}
+          onNewChat={handleNewChat}
+          onOpen={handleOpenConversation}
+          onRename={handleRenameConversation}
+          onDelete={handleDeleteConversation}
+        />
 
-        <section className="agents-section">
-          <h2>Available Agents</h2>
-          <div className="agents-grid">
-            <AgentCard 
-              agent={AGENTS.emailRewriter}
-              usage={usage}
-              onSelect={handleSelectAgent}
-              isActive={activeAgent?.id === 'emailRewriter'}
-            />
-            <AgentCard 
-              agent={AGENTS.bauEstimate}
+        <main className="dashboard-content">
+          {view === 'admin' && <AdminConsole user={user} onSessionExpired={onSessionExpired} />}
+          {view === 'batches' && (
+            <BatchEstimates
               usage={usage}
-              onSelect={handleSelectAgent}
-              isActive={activeAgent?.id === 'bauEstimate'}
+              currency={usage?.tokens.currency}
+              onUsageChange={refreshUsage}
+              onSessionExpired={onSessionExpired}
             />
-          </div>
-        </section>
+          )}
+          {view === 'agents' && (
+          <>
+          <ApiKeyConfig
+            keyStatus={keyStatus}
+            onKeyStatusChange={setKeyStatus}
+            onSessionExpired={onSessionExpired}
+          />
 
-        <UsageStats usage={usage} />
+          {agents && usage && (
+            <section className="agents-section">
+              <h2>Available Agents</h2>
+              <div className="agents-grid">
+                {agents.map(agent => (
+                  <AgentCard 
+                    key={agent.id}
+                    agent={agent}
+                    usage={usage}
+                    onSelect={handleSelectAgent}
+                    isActive={activeAgent?.id === agent.id}
+                  />
+                ))}
+              </div>
+            </section>
+          )}
 
-        {activeAgent && (
-          <section className="chat-section">
-            <AgentChat 
-              agent={activeAgent} 
-              onIncrement={handleIncrement}
-              apiKey={apiKey}
-            />
-          </section>
-        )}
+          {agents && usage && <UsageStats agents={agents} usage={usage} onSessionExpired={onSessionExpired} />}
 
-        {!activeAgent && (
-          <div className="no-agent-selected">
-            <p>👆 Select an agent above to start chatting</p>
-          </div>
-        )}
-      </main>
+          {activeAgent && (
+            <section className="chat-section">
+              <AgentChat 
+                key={`${activeAgent.id}-${resumedConversation?.id || 'new'}-${chatSession}`}
+                agent={activeAgent} 
+                models={models}
+                attachmentLimits={attachmentLimits}
+                emailConfig={emailConfig}
+                currency={usage?.tokens.currency}
+                conversation={resumedConversation}
+                onConversationSaved={handleConversationSaved}
+                onUsageChange={refreshUsage}
+                onSessionExpired={onSessionExpired}
+              />
+            </section>
+          )}
+
+          {!activeAgent && (
+            <div className="no-agent-selected">
+              <p>👆 Select an agent above to start chatting</p>
+            </div>
+          )}
+          </>
+          )}
+        </main>
+      </div>
 
       <footer className="dashboard-footer">
         <p>IBM Dev Day 2026 - AI Agents Demo | Powered by watsonx.ai (Granite 3)</p>
@@ -659,23 +1335,49 @@ function Dashboard({ onLogout }) {
 
 // Main App Component
 function App() {
-  const [isLoggedIn, setIsLoggedIn] = useState(
-    sessionStorage.getItem('isLoggedIn') === 'true'
-  );
+  // undefined while the existing session is being checked, null when logged out
+  const [session, setSession] = useState(undefined);
+  const [notice, setNotice] = useState('');
+
+  // Restore the server-side session after a page reload
+  useEffect(() => {
+    fetch('/api/auth/session')
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => setSession(data))
+      .catch(() => setSession(null));
+  }, []);
 
-  const handleLogin = () => {
-    setIsLoggedIn(true);
+  const handleLogin = (newSession) => {
+    setNotice('');
+    setSession(newSession);
   };
 
-  const handleLogout = () => {
-    sessionStorage.removeItem('isLoggedIn');
-    setIsLoggedIn(false);
+  const handleLogout = async () => {
+    try {
+      await fetch('/api/auth/logout', { method: 'POST' });
+    } finally {
+      setSession(null);
+    }
   };
 
-  return isLoggedIn ? (
-    <Dashboard onLogout={handleLogout} />
+  const handleSessionExpired = useCallback(() => {
+    setNotice('Your session has expired. Please log in again.');
+    setSession(null);
+  }, []);
+
+  if (session === undefined) {
+    return null;
+  }
+
+  return session ? (
+    <Dashboard
+      user={session.user}
+      expiresAt={session.expiresAt}
+      onLogout={handleLogout}
+      onSessionExpired={handleSessionExpired}
+    />
   ) : (
-    <LoginPage onLogin={handleLogin} />
+    <LoginPage onLogin={handleLogin} notice={notice} />
   );
 }
 
@@ -0,0 +1,346 @@
+import { useState, useEffect, useCallback } from 'react';
+
+// API helpers shared by the screens - every request goes through apiRequest so an expired session
+// is reported the same way everywhere
+
+// Error thrown when the server rejects a request because the session is gone
+const sessionExpiredError = () => {
+  const error = new Error('Your session has expired. Please log in again.');
+  error.sessionExpired = true;
+  return error;
+};
+
+// Error for a failed API response, carrying the server's correlation ID so it can be quoted in support
+// requests, and for failed model calls whether trying again later may work (`retryable`, `retryAfter`)
+const responseError = (response, message, data = {}) => {
+  const error = new Error(message);
+  error.requestId = response.headers.get('X-Request-Id');
+  error.code = data.code;
+  error.retryable = Boolean(data.retryable);
+  error.retryAfter = data.retryAfter;
+  return error;
+};
+
+// JSON API helper - resolves with the response body or throws its error message
+const apiRequest = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...options.headers
+    }
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    if (data.code === 'SESSION_EXPIRED') {
+      throw sessionExpiredError();
+    }
+    throw responseError(response, data.error || `Request failed (${response.status})`);
+  }
+  return data;
+};
+
+// WatsonX API helper - streams the reply from the backend proxy to avoid CORS
+// onToken receives each text delta as it arrives and onRetry fires when the server discards a
+// malformed reply; resolves with { content, usage, sources, context, messageIndex, estimate? }. With a
+// conversationId the server saves the turn to that conversation and builds the model's context from
+// its history, so only the new message is sent; model picks one of the models from /api/models.
+// Supervisor agents go through /api/orchestrate, which also reports its routing decision (onRoute)
+// and each specialist's answer as it finishes (onSpecialist). `files` are uploaded as attachments;
+// `options` holds the agent's option values (e.g. the Email Rewriter's tone).
+export const streamWatsonX = async (agentId, userMessage, { conversationId, model, options, files = [], orchestrate, onToken, onRetry, onRoute, onSpecialist, signal } = {}) => {
+  const request = JSON.stringify({
+    agentId,
+    conversationId,
+    model,
+    options,
+    messages: [{ role: 'user', content: userMessage }]
+  });
+
+  // With attachments the request goes as multipart form data; the browser sets its Content-Type
+  let body = request;
+  if (files.length) {
+    body = new FormData();
+    body.append('request', request);
+    files.forEach(file => body.append('files', file));
+  }
+
+  const response = await fetch(orchestrate ? '/api/orchestrate' : '/api/watsonx/chat/stream', {
+    method: 'POST',
+    headers: {
+      ...(files.length ? {} : { 'Content-Type': 'application/json' }),
+      'Accept': 'text/event-stream',
+    },
+    body,
+    signal
+  });
+  
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    if (error.code === 'SESSION_EXPIRED') {
+      throw sessionExpiredError();
+    }
+    if (error.code === 'QUOTA_EXCEEDED') {
+      throw responseError(response, `Daily limit of ${error.limit} calls reached. Resets at ${formatResetTime(error.resetAt)}.`, error);
+    }
+    throw responseError(response, error.error || 'WatsonX API call failed', error);
+  }
+  
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+
+  while (result === null) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Server-Sent Events are separated by a blank line
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+
+    for (const rawEvent of events) {
+      let event = 'message';
+      let data = '';
+      rawEvent.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        if (line.startsWith('data:')) data += line.slice(5).trim();
+      });
+      const payload = data ? JSON.parse(data) : {};
+
+      if (event === 'token') {
+        onToken?.(payload.content);
+      } else if (event === 'retry') {
+        onRetry?.(payload.errors);
+      } else if (event === 'route') {
+        onRoute?.(payload);
+      } else if (event === 'specialist') {
+        onSpecialist?.(payload);
+      } else if (event === 'done') {
+        result = payload;
+      } else if (event === 'error') {
+        throw responseError(response, payload.error || 'WatsonX API call failed', payload);
+      }
+    }
+  }
+
+  if (!result) {
+    throw responseError(response, 'Stream ended before the reply was complete');
+  }
+  return result;
+};
+
+// API key helpers - the key itself stays on the server, the browser only sees its status
+export const getApiKeyStatus = () => apiRequest('/api/watsonx/key');
+
+export const saveApiKey = (apiKey) => apiRequest('/api/watsonx/key', {
+  method: 'PUT',
+  body: JSON.stringify({ apiKey })
+});
+
+export const clearApiKey = () => apiRequest('/api/watsonx/key', { method: 'DELETE' });
+
+// Agent definitions are loaded by the server from its agents/*.yaml files
+export const fetchAgents = () => apiRequest('/api/agents');
+
+// Models the server can reach for this user, e.g. watsonx once an API key is registered
+export const fetchModels = () => apiRequest('/api/models');
+
+// Attachment limits: { maxFileBytes, maxFiles, extensions }
+export const fetchAttachmentLimits = () => apiRequest('/api/attachments/limits');
+
+// .eml drafts - import reads one into { subject, from, to, cc, text }
+export const importEml = (file) => apiRequest('/api/email/import', {
+  method: 'POST',
+  headers: { 'Content-Type': 'message/rfc822' },
+  body: file
+});
+
+// Export downloads a rewrite as an .eml file, named by the server after its subject
+export const downloadEml = async ({ to, cc, subject, body }) => {
+  const response = await fetch('/api/email/export', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ to, cc, subject, body })
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    if (data.code === 'SESSION_EXPIRED') {
+      throw sessionExpiredError();
+    }
+    throw new Error(data.error || `Export failed (${response.status})`);
+  }
+
+  const filename = response.headers.get('Content-Disposition')?.match(/filename="?([^";]+)"?/)?.[1] || 'email.eml';
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Sending goes through the server's SMTP settings: config is { enabled, from, maxRecipients }
+export const fetchEmailConfig = () => apiRequest('/api/email/config');
+
+// The server writes the email from the saved reply at messageIndex; resolves with the send as recorded on the conversation
+export const sendEmail = ({ conversationId, messageIndex, to, cc, subject, note, attachments }) => apiRequest('/api/email/send', {
+  method: 'POST',
+  body: JSON.stringify({ conversationId, messageIndex, to, cc, subject, note, attachments })
+});
+
+// Usage tracking - counts and limits are kept and enforced by the server
+export const fetchUsage = () => apiRequest('/api/usage');
+
+// Daily and monthly token totals for the charts, with the totals of recent conversations
+export const fetchUsageHistory = () => apiRequest('/api/usage/history');
+
+// Admin console - the server refuses these for users without the admin role
+export const fetchAdminUsers = () => apiRequest('/api/admin/users');
+
+export const setUserDisabled = (username, disabled) => apiRequest(`/api/admin/users/${encodeURIComponent(username)}`, {
+  method: 'PATCH',
+  body: JSON.stringify({ disabled })
+});
+
+export const resetUserQuota = (username) => apiRequest(`/api/admin/users/${encodeURIComponent(username)}/reset-quota`, {
+  method: 'POST',
+  body: JSON.stringify({})
+});
+
+export const fetchAdminAgents = () => apiRequest('/api/admin/agents');
+
+export const setAgentLimit = (agentId, dailyLimit) => apiRequest(`/api/admin/agents/${agentId}/limit`, {
+  method: 'PUT',
+  body: JSON.stringify({ dailyLimit })
+});
+
+export const fetchPromptVersions = (agentId) => apiRequest(`/api/admin/prompts/${agentId}`);
+
+export const previewPrompt = (agentId, template, variables) => apiRequest(`/api/admin/prompts/${agentId}/preview`, {
+  method: 'POST',
+  body: JSON.stringify({ template, variables })
+});
+
+export const savePromptVersion = (agentId, draft) => apiRequest(`/api/admin/prompts/${agentId}/versions`, {
+  method: 'POST',
+  body: JSON.stringify(draft)
+});
+
+export const activatePromptVersion = (agentId, version) => apiRequest(`/api/admin/prompts/${agentId}/active`, {
+  method: 'PUT',
+  body: JSON.stringify({ version })
+});
+
+// Run one message through two { version, model } variants of an agent's prompt
+export const comparePrompts = (agentId, message, variants) => apiRequest(`/api/admin/prompts/${agentId}/compare`, {
+  method: 'POST',
+  body: JSON.stringify({ message, variants })
+});
+
+export const fetchAdminUsage = (days) => apiRequest(`/api/admin/usage?days=${days}`);
+
+export const fetchFailures = () => apiRequest('/api/admin/failures?limit=100');
+
+// filters: { username, action, from, to } - empty ones are left out
+export const fetchAuditLog = (filters) => {
+  const query = new URLSearchParams(Object.entries(filters).filter(([, value]) => value));
+  return apiRequest(`/api/admin/audit?${query}`);
+};
+
+// Saved conversations - stored on the server per user
+export const fetchConversations = (query) => apiRequest(`/api/conversations${query ? `?q=${encodeURIComponent(query)}` : ''}`);
+
+export const fetchConversation = (id) => apiRequest(`/api/conversations/${id}`);
+
+export const createConversation = (agentId, title) => apiRequest('/api/conversations', {
+  method: 'POST',
+  body: JSON.stringify({ agentId, title })
+});
+
+export const renameConversation = (id, title) => apiRequest(`/api/conversations/${id}`, {
+  method: 'PATCH',
+  body: JSON.stringify({ title })
+});
+
+export const deleteConversation = (id) => apiRequest(`/api/conversations/${id}`, { method: 'DELETE' });
+
+// Pinned messages always stay in the model's context; `index` is the message's position on the server
+export const setMessagePinned = (conversationId, index, pinned) => apiRequest(`/api/conversations/${conversationId}/messages/${index}`, {
+  method: 'PATCH',
+  body: JSON.stringify({ pinned })
+});
+
+// Export formats offered by /api/conversations/:id/export
+export const EXPORT_FORMATS = [
+  { format: 'markdown', label: '📝 Markdown transcript' },
+  { format: 'json', label: '🗂️ JSON with metadata' },
+  { format: 'csv', label: '📊 Estimate breakdown (CSV)', needsEstimate: true },
+  { format: 'html', label: '🖨️ Print view (Save as PDF)' }
+];
+
+export const exportUrl = (conversationId, format) => `/api/conversations/${conversationId}/export?format=${format}`;
+
+// Batch estimation jobs - the CSV or JSON file is the request body, like .eml imports
+export const fetchBatches = () => apiRequest('/api/batches');
+
+export const fetchBatch = (id) => apiRequest(`/api/batches/${id}`);
+
+export const createBatch = (agentId, file) => apiRequest(`/api/batches?agentId=${encodeURIComponent(agentId)}&fileName=${encodeURIComponent(file.name)}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'text/plain' },
+  body: file
+});
+
+// action is cancel, resume, retry (every failed row) or rows/<index>/retry
+export const updateBatch = (id, action) => apiRequest(`/api/batches/${id}/${action}`, { method: 'POST' });
+
+export const deleteBatch = (id) => apiRequest(`/api/batches/${id}`, { method: 'DELETE' });
+
+export const batchExportUrl = (id) => `/api/batches/${id}/export`;
+
+// Today's usage for one agent; agents without calls yet sit at the default limit
+export const getAgentUsage = (usage, agentId) => (
+  usage.agents[agentId] || { used: 0, limit: usage.defaultLimit, remaining: usage.defaultLimit }
+);
+
+export const formatResetTime = (resetAt) => new Date(resetAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+export const formatDateTime = (iso) => (iso ? new Date(iso).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }) : '-');
+
+// Load data for an admin tab or screen; `reload` fetches it again after a change
+export function useAdminData(load, onSessionExpired) {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+
+  const reload = useCallback(() => {
+    load()
+      .then(result => {
+        setData(result);
+        setError('');
+      })
+      .catch(err => {
+        if (err.sessionExpired) onSessionExpired();
+        else setError(err.message);
+      });
+  }, [load, onSessionExpired]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  // Run a change and reload, reporting its error in the tab
+  const run = async (action) => {
+    try {
+      await action();
+      reload();
+    } catch (err) {
+      if (err.sessionExpired) onSessionExpired();
+      else setError(err.message);
+    }
+  };
+
+  return { data, error, reload, run };
+}
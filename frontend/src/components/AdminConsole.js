@@ -0,0 +1,338 @@
+import React, { useState, useCallback } from 'react';
+import {
+  fetchAdminUsers,
+  setUserDisabled,
+  resetUserQuota,
+  fetchAdminAgents,
+  setAgentLimit,
+  fetchAdminUsage,
+  fetchFailures,
+  fetchAuditLog,
+  formatDateTime,
+  useAdminData
+} from '../api';
+import { formatTokens, formatCost } from './UsageChart';
+import AdminPrompts from './AdminPrompts';
+
+function AdminUsers({ currentUser, onSessionExpired }) {
+  const { data, error, run } = useAdminData(fetchAdminUsers, onSessionExpired);
+
+  const toggleDisabled = (user) => {
+    if (!user.disabled && !window.confirm(`Disable ${user.displayName}? Their sessions end immediately.`)) return;
+    run(() => setUserDisabled(user.username, !user.disabled));
+  };
+
+  return (
+    <>
+      {error && <div className="chat-error">⚠️ {error}</div>}
+      {data && (
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>User</th>
+              <th>Role</th>
+              <th>Status</th>
+              <th>Last login</th>
+              <th>Calls today</th>
+              <th>Tokens today</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {data.users.map(user => (
+              <tr key={user.username} className={user.disabled ? 'disabled' : ''}>
+                <td>{user.displayName} <span className="admin-muted">{user.username}</span></td>
+                <td>{user.role}</td>
+                <td>{user.disabled ? '⛔ Disabled' : `✅ Active${user.activeSessions ? ` (${user.activeSessions} sessions)` : ''}`}</td>
+                <td>{formatDateTime(user.lastLoginAt)}</td>
+                <td>{user.callsToday}</td>
+                <td>{formatTokens(user.tokensToday)}</td>
+                <td className="admin-actions">
+                  <button type="button" onClick={() => run(() => resetUserQuota(user.username))} disabled={!user.callsToday}>
+                    Reset quota
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => toggleDisabled(user)}
+                    disabled={user.username === currentUser || user.disabledInFile}
+                    title={user.disabledInFile ? 'Disabled in the user file' : undefined}
+                  >
+                    {user.disabled ? 'Enable' : 'Disable'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </>
+  );
+}
+
+const LIMIT_SOURCES = {
+  admin: 'set here',
+  'quotas-file': 'from quotas.json',
+  agent: 'from the agent definition',
+  default: 'default'
+};
+
+function AdminAgent({ agent, run }) {
+  const [limit, setLimit] = useState(String(agent.limit));
+
+  return (
+    <div className="admin-agent">
+      <div className="admin-agent-header">
+        <h4>{agent.name}</h4>
+        <span className="admin-muted">{agent.id} · {agent.model} · prompt v{agent.promptVersion}{agent.hidden ? ' · hidden' : ''}</span>
+      </div>
+      <form
+        className="admin-limit"
+        onSubmit={(e) => {
+          e.preventDefault();
+          run(() => setAgentLimit(agent.id, Number(limit)));
+        }}
+      >
+        <label>
+          Daily limit
+          <input type="number" min="0" step="1" value={limit} onChange={(e) => setLimit(e.target.value)} required />
+        </label>
+        <button type="submit" disabled={limit === String(agent.limit)}>Save</button>
+        <span className="admin-muted">{LIMIT_SOURCES[agent.source]}</span>
+        {agent.source === 'admin' && (
+          <button type="button" onClick={() => run(() => setAgentLimit(agent.id, null))}>Use configured limit</button>
+        )}
+      </form>
+    </div>
+  );
+}
+
+function AdminAgents({ onSessionExpired }) {
+  const { data, error, run } = useAdminData(fetchAdminAgents, onSessionExpired);
+
+  return (
+    <>
+      {error && <div className="chat-error">⚠️ {error}</div>}
+      <p className="usage-note">Changes apply to the next request, without a restart. Prompts are edited in the Prompts tab.</p>
+      {data?.agents.map(agent => (
+        // Remount after a save so the form shows what the server stored
+        <AdminAgent key={`${agent.id}-${agent.limit}`} agent={agent} run={run} />
+      ))}
+    </>
+  );
+}
+
+function AdminUsage({ onSessionExpired }) {
+  const [days, setDays] = useState(14);
+  const [username, setUsername] = useState('');
+  const load = useCallback(() => fetchAdminUsage(days), [days]);
+  const { data, error } = useAdminData(load, onSessionExpired);
+
+  const rows = (data?.rows || []).filter(row => !username || row.username === username);
+  const agentIds = [...new Set(rows.map(row => row.agentId))].sort();
+  const dates = [...new Set(rows.map(row => row.date))];
+  const sum = (list) => list.reduce((total, row) => ({
+    calls: total.calls + row.calls,
+    tokens: total.tokens + row.promptTokens + row.completionTokens,
+    cost: total.cost + row.cost
+  }), { calls: 0, tokens: 0, cost: 0 });
+  const cell = (list) => {
+    const total = sum(list);
+    return (
+      <td title={`${formatTokens(total.tokens)} tokens · ${formatCost(total.cost, data.currency)}`}>
+        {total.calls || (total.tokens ? 0 : '')}
+        {total.tokens > 0 && <span className="admin-muted"> · {formatTokens(total.tokens)}</span>}
+      </td>
+    );
+  };
+
+  return (
+    <>
+      {error && <div className="chat-error">⚠️ {error}</div>}
+      <div className="admin-filters">
+        <select value={days} onChange={(e) => setDays(Number(e.target.value))} aria-label="Period">
+          {[7, 14, 30, 90].map(count => <option key={count} value={count}>Last {count} days</option>)}
+        </select>
+        <select value={username} onChange={(e) => setUsername(e.target.value)} aria-label="User">
+          <option value="">All users</option>
+          {[...new Set((data?.rows || []).map(row => row.username))].sort().map(name => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+        <span className="admin-muted">Calls · tokens per agent and day; hover for cost</span>
+      </div>
+      {data && (rows.length === 0 ? (
+        <p className="admin-muted">No usage in this period.</p>
+      ) : (
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Day</th>
+              {agentIds.map(id => <th key={id}>{id}</th>)}
+              <th>Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            {dates.map(date => (
+              <tr key={date}>
+                <td>{date}</td>
+                {agentIds.map(id => (
+                  <React.Fragment key={id}>{cell(rows.filter(row => row.date === date && row.agentId === id))}</React.Fragment>
+                ))}
+                {cell(rows.filter(row => row.date === date))}
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr>
+              <td>Total</td>
+              {agentIds.map(id => <React.Fragment key={id}>{cell(rows.filter(row => row.agentId === id))}</React.Fragment>)}
+              {cell(rows)}
+            </tr>
+          </tfoot>
+        </table>
+      ))}
+    </>
+  );
+}
+
+function AdminFailures({ onSessionExpired }) {
+  const { data, error, reload } = useAdminData(fetchFailures, onSessionExpired);
+
+  return (
+    <>
+      {error && <div className="chat-error">⚠️ {error}</div>}
+      <div className="admin-filters">
+        <button type="button" onClick={reload}>↻ Refresh</button>
+      </div>
+      {data && (data.failures.length === 0 ? (
+        <p className="admin-muted">No failed calls recorded.</p>
+      ) : (
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Time</th>
+              <th>User</th>
+              <th>Agent</th>
+              <th>Model</th>
+              <th>Status</th>
+              <th>Upstream error</th>
+              <th>Reference</th>
+            </tr>
+          </thead>
+          <tbody>
+            {data.failures.map(failure => (
+              <tr key={failure.id}>
+                <td>{formatDateTime(failure.at)}</td>
+                <td>{failure.username}</td>
+                <td>{failure.agentId}{failure.specialist && <span className="admin-muted"> → {failure.specialist}</span>}</td>
+                <td className="admin-muted">{failure.model}</td>
+                <td>{failure.status}</td>
+                <td className="admin-error-text">{failure.error}</td>
+                <td className="admin-muted"><code>{failure.requestId}</code></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ))}
+    </>
+  );
+}
+
+// Audit entry fields shown as details - the rest have their own column
+const AUDIT_COLUMNS = ['at', 'action', 'username', 'requestId'];
+
+function AdminAudit({ onSessionExpired }) {
+  const [filters, setFilters] = useState({ username: '', action: '', from: '', to: '' });
+  const load = useCallback(() => fetchAuditLog(filters), [filters]);
+  const { data, error } = useAdminData(load, onSessionExpired);
+
+  const update = (field, value) => setFilters(prev => ({ ...prev, [field]: value }));
+
+  return (
+    <>
+      {error && <div className="chat-error">⚠️ {error}</div>}
+      <form className="admin-filters" onSubmit={(e) => e.preventDefault()}>
+        <input type="text" value={filters.username} onChange={(e) => update('username', e.target.value.trim())} placeholder="Username" aria-label="Username" />
+        <select value={filters.action} onChange={(e) => update('action', e.target.value)} aria-label="Action">
+          <option value="">All actions</option>
+          {data?.actions.map(action => <option key={action} value={action}>{action}</option>)}
+        </select>
+        <label>From <input type="date" value={filters.from} onChange={(e) => update('from', e.target.value)} /></label>
+        <label>To <input type="date" value={filters.to} onChange={(e) => update('to', e.target.value)} /></label>
+      </form>
+      {data && (data.entries.length === 0 ? (
+        <p className="admin-muted">No audit entries match.</p>
+      ) : (
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Time</th>
+              <th>User</th>
+              <th>Action</th>
+              <th>Details</th>
+              <th>Reference</th>
+            </tr>
+          </thead>
+          <tbody>
+            {data.entries.map(entry => (
+              <tr key={`${entry.at}-${entry.requestId}-${entry.action}`}>
+                <td>{formatDateTime(entry.at)}</td>
+                <td>{entry.username || '-'}</td>
+                <td>{entry.action}</td>
+                <td className="admin-muted">
+                  {Object.entries(entry)
+                    .filter(([key]) => !AUDIT_COLUMNS.includes(key))
+                    .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(', ') : value}`)
+                    .join(' · ')}
+                </td>
+                <td className="admin-muted"><code>{entry.requestId}</code></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ))}
+    </>
+  );
+}
+
+const ADMIN_TABS = [
+  { id: 'users', label: '👥 Users' },
+  { id: 'agents', label: '🤖 Agents' },
+  { id: 'prompts', label: '📝 Prompts' },
+  { id: 'usage', label: '📈 Usage' },
+  { id: 'failures', label: '🚨 Failed calls' },
+  { id: 'audit', label: '🧾 Audit log' }
+];
+
+// Admin Console Component - users, limits, prompts, cross-user usage, failed calls and the audit trail
+function AdminConsole({ user, onSessionExpired }) {
+  const [tab, setTab] = useState('users');
+
+  return (
+    <section className="admin-console">
+      <h2>🛠️ Admin Console</h2>
+      <div className="admin-tabs" role="tablist">
+        {ADMIN_TABS.map(({ id, label }) => (
+          <button
+            key={id}
+            type="button"
+            role="tab"
+            aria-selected={tab === id}
+            className={tab === id ? 'active' : ''}
+            onClick={() => setTab(id)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      {tab === 'users' && <AdminUsers currentUser={user.username} onSessionExpired={onSessionExpired} />}
+      {tab === 'agents' && <AdminAgents onSessionExpired={onSessionExpired} />}
+      {tab === 'prompts' && <AdminPrompts onSessionExpired={onSessionExpired} />}
+      {tab === 'usage' && <AdminUsage onSessionExpired={onSessionExpired} />}
+      {tab === 'failures' && <AdminFailures onSessionExpired={onSessionExpired} />}
+      {tab === 'audit' && <AdminAudit onSessionExpired={onSessionExpired} />}
+    </section>
+  );
+}
+
+export default AdminConsole;
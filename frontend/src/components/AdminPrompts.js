@@ -0,0 +1,303 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  fetchModels,
+  fetchAdminAgents,
+  fetchPromptVersions,
+  previewPrompt,
+  savePromptVersion,
+  activatePromptVersion,
+  comparePrompts,
+  formatDateTime,
+  useAdminData
+} from '../api';
+import { formatTokens } from './UsageChart';
+import PromptComparison from './PromptComparison';
+import WordDiff from './WordDiff';
+
+// Variables are edited as [name, value] rows; rows without a name are left out
+const toVariableRows = (variables) => Object.entries(variables || {});
+const fromVariableRows = (rows) => Object.fromEntries(rows.filter(([name]) => name.trim()).map(([name, value]) => [name.trim(), value]));
+
+const PREVIEW_DELAY_MS = 400;
+
+// Edits a new prompt version, starting from `base`, with a live preview of what the model gets
+function PromptEditor({ agentId, base, nextVersion, options, onSave, onSessionExpired }) {
+  const [template, setTemplate] = useState(base.template);
+  const [variables, setVariables] = useState(() => toVariableRows(base.variables));
+  const [note, setNote] = useState('');
+  const [activate, setActivate] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [previewError, setPreviewError] = useState('');
+
+  // Preview once typing pauses; a reply for an older draft is ignored
+  useEffect(() => {
+    let current = true;
+    const timer = setTimeout(() => {
+      previewPrompt(agentId, template, fromVariableRows(variables))
+        .then(result => {
+          if (!current) return;
+          setPreview(result);
+          setPreviewError('');
+        })
+        .catch(err => {
+          if (err.sessionExpired) onSessionExpired();
+          else if (current) setPreviewError(err.message);
+        });
+    }, PREVIEW_DELAY_MS);
+    return () => {
+      current = false;
+      clearTimeout(timer);
+    };
+  }, [agentId, template, variables, onSessionExpired]);
+
+  const updateVariable = (index, column, value) => {
+    setVariables(prev => prev.map((row, i) => (i === index ? Object.assign([...row], { [column]: value }) : row)));
+  };
+
+  const changed = template.trim() !== base.template.trim()
+    || JSON.stringify(fromVariableRows(variables)) !== JSON.stringify(base.variables);
+  const unknown = preview?.placeholders.unknown || [];
+
+  return (
+    <div className="prompt-editor">
+      <div className="admin-agent-header">
+        <h4>New version</h4>
+        <span className="admin-muted">starting from v{base.version}</span>
+      </div>
+      <label className="admin-prompt">
+        Template
+        <textarea value={template} onChange={(e) => setTemplate(e.target.value)} rows={14} spellCheck={false} />
+      </label>
+      <p className="admin-muted">
+        Write {'{{name}}'} for a variable
+        {options.length > 0 && ` or for the option picked in the chat (${options.map(option => `{{${option.id}}}`).join(', ')})`}.
+      </p>
+      <div className="prompt-variables">
+        <span>Variables</span>
+        {variables.map(([name, value], index) => (
+          <div key={index} className="prompt-variable">
+            <input type="text" value={name} onChange={(e) => updateVariable(index, 0, e.target.value)} placeholder="name" aria-label="Variable name" />
+            <input type="text" value={value} onChange={(e) => updateVariable(index, 1, e.target.value)} placeholder="value" aria-label={`Value of ${name || 'the variable'}`} />
+            <button type="button" onClick={() => setVariables(prev => prev.filter((_, i) => i !== index))} aria-label={`Remove ${name || 'the variable'}`}>
+              ✕
+            </button>
+          </div>
+        ))}
+        <div className="admin-actions">
+          <button type="button" onClick={() => setVariables(prev => [...prev, ['', '']])}>+ Add variable</button>
+        </div>
+      </div>
+      <div className="prompt-preview">
+        <div className="prompt-preview-header">
+          Preview
+          {preview && <span className="admin-muted">~{formatTokens(preview.tokens)} tokens · options at their defaults</span>}
+        </div>
+        {previewError && <div className="chat-error">⚠️ {previewError}</div>}
+        {!previewError && unknown.length > 0 && (
+          <div className="chat-error">⚠️ No value for {unknown.map(name => `{{${name}}}`).join(', ')} - add them as variables.</div>
+        )}
+        {!previewError && preview && <pre className="prompt-preview-text">{preview.systemPrompt}</pre>}
+      </div>
+      {changed && (
+        <details className="prompt-changes">
+          <summary>Changes from v{base.version}</summary>
+          <WordDiff before={base.template} after={template} beforeLabel={`v${base.version}`} afterLabel="Draft" />
+        </details>
+      )}
+      <div className="admin-actions">
+        <input type="text" value={note} onChange={(e) => setNote(e.target.value)} placeholder="What changed?" maxLength={200} aria-label="Note" />
+        <label>
+          <input type="checkbox" checked={activate} onChange={(e) => setActivate(e.target.checked)} /> Make active
+        </label>
+        <button
+          type="button"
+          onClick={() => onSave({ template, variables: fromVariableRows(variables), note, activate })}
+          disabled={!changed || !template.trim() || Boolean(previewError) || unknown.length > 0}
+        >
+          Save as v{nextVersion}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Runs one message through two prompt versions and/or models of the agent
+function PromptCompare({ agentId, versions, active, onSessionExpired }) {
+  const [models, setModels] = useState([]);
+  const [variants, setVariants] = useState(() => [
+    { version: active, model: '' },
+    { version: versions[versions.length - 1].version, model: '' }
+  ]);
+  const [message, setMessage] = useState('');
+  const [comparison, setComparison] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchModels()
+      .then(data => setModels(data.models))
+      .catch(err => {
+        if (err.sessionExpired) onSessionExpired();
+      });
+  }, [onSessionExpired]);
+
+  const updateVariant = (index, field, value) => {
+    setVariants(prev => prev.map((variant, i) => (i === index ? { ...variant, [field]: value } : variant)));
+  };
+
+  const compare = async (e) => {
+    e.preventDefault();
+    setRunning(true);
+    setError('');
+    try {
+      setComparison(await comparePrompts(agentId, message, variants.map(({ version, model }) => ({ version, model: model || undefined }))));
+    } catch (err) {
+      if (err.sessionExpired) onSessionExpired();
+      else setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const updateEstimate = (index, estimate) => {
+    setComparison(prev => ({ ...prev, results: prev.results.map((result, i) => (i === index ? { ...result, estimate } : result)) }));
+  };
+
+  return (
+    <div className="prompt-compare">
+      <div className="admin-agent-header">
+        <h4>Compare</h4>
+        <span className="admin-muted">Each side counts as a call against the agent's daily limit</span>
+      </div>
+      <form onSubmit={compare}>
+        <div className="admin-filters">
+          {variants.map((variant, index) => (
+            <span key={index} className="prompt-compare-variant">
+              {index === 0 ? 'A' : 'B'}
+              <select value={variant.version} onChange={(e) => updateVariant(index, 'version', Number(e.target.value))} aria-label={`Version ${index === 0 ? 'A' : 'B'}`}>
+                {versions.map(({ version }) => (
+                  <option key={version} value={version}>v{version}{version === active ? ' (active)' : ''}</option>
+                ))}
+              </select>
+              <select value={variant.model} onChange={(e) => updateVariant(index, 'model', e.target.value)} aria-label={`Model ${index === 0 ? 'A' : 'B'}`}>
+                <option value="">Agent's model</option>
+                {[...new Set(models.map(model => model.providerName))].map(providerName => (
+                  <optgroup key={providerName} label={providerName}>
+                    {models.filter(model => model.providerName === providerName).map(model => (
+                      <option key={model.id} value={model.id}>{model.name}</option>
+                    ))}
+                  </optgroup>
+                ))}
+              </select>
+            </span>
+          ))}
+        </div>
+        <label className="admin-prompt">
+          Message
+          <textarea value={message} onChange={(e) => setMessage(e.target.value)} rows={3} placeholder="A message to send to both" />
+        </label>
+        <div className="admin-actions">
+          <button type="submit" disabled={running || !message.trim()}>{running ? 'Running…' : 'Compare'}</button>
+        </div>
+      </form>
+      {error && <div className="chat-error">⚠️ {error}</div>}
+      {comparison && <PromptComparison results={comparison.results} currency={comparison.currency} onEstimateChange={updateEstimate} />}
+    </div>
+  );
+}
+
+function AgentPrompts({ agentId, onSessionExpired }) {
+  const load = useCallback(() => fetchPromptVersions(agentId), [agentId]);
+  const { data, error, run } = useAdminData(load, onSessionExpired);
+  // The version the editor starts from - the active one until another is picked
+  const [editing, setEditing] = useState(null);
+
+  if (!data) {
+    return error ? <div className="chat-error">⚠️ {error}</div> : null;
+  }
+
+  const base = data.versions.find(version => version.version === (editing ?? data.active));
+  const save = (draft) => run(async () => {
+    const version = await savePromptVersion(agentId, draft);
+    setEditing(version.version);
+  });
+
+  return (
+    <>
+      {error && <div className="chat-error">⚠️ {error}</div>}
+      <table className="admin-table">
+        <thead>
+          <tr>
+            <th>Version</th>
+            <th>Note</th>
+            <th>Variables</th>
+            <th>Created</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {[...data.versions].reverse().map(version => (
+            <tr key={version.version} className={version.version === base.version ? 'selected' : ''}>
+              <td>
+                v{version.version}
+                {version.version === data.active && <span className="admin-muted"> ✅ Active</span>}
+              </td>
+              <td>{version.note || '-'}</td>
+              <td className="admin-muted">{Object.keys(version.variables).join(', ') || '-'}</td>
+              <td>{version.createdBy ? `${formatDateTime(version.createdAt)} by ${version.createdBy}` : 'Agent file'}</td>
+              <td className="admin-actions">
+                <button type="button" onClick={() => setEditing(version.version)} disabled={version.version === base.version}>
+                  Edit from here
+                </button>
+                <button type="button" onClick={() => run(() => activatePromptVersion(agentId, version.version))} disabled={version.version === data.active}>
+                  Activate
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {data.activatedBy && (
+        <p className="usage-note">v{data.active} made active by {data.activatedBy} on {formatDateTime(data.activatedAt)}.</p>
+      )}
+      <PromptEditor
+        // Start over from the chosen version, and after each save
+        key={`${base.version}-${data.versions.length}`}
+        agentId={agentId}
+        base={base}
+        nextVersion={data.versions.length}
+        options={data.options}
+        onSave={save}
+        onSessionExpired={onSessionExpired}
+      />
+      {data.supervisor ? (
+        <p className="usage-note">Supervisors hand messages to other agents - compare the prompts of their specialists instead.</p>
+      ) : (
+        <PromptCompare agentId={agentId} versions={data.versions} active={data.active} onSessionExpired={onSessionExpired} />
+      )}
+    </>
+  );
+}
+
+function AdminPrompts({ onSessionExpired }) {
+  const { data, error } = useAdminData(fetchAdminAgents, onSessionExpired);
+  const [agentId, setAgentId] = useState('');
+  const selected = agentId || data?.agents[0]?.id;
+
+  return (
+    <>
+      {error && <div className="chat-error">⚠️ {error}</div>}
+      {data && (
+        <form className="admin-filters" onSubmit={(e) => e.preventDefault()}>
+          <select value={selected} onChange={(e) => setAgentId(e.target.value)} aria-label="Agent">
+            {data.agents.map(agent => <option key={agent.id} value={agent.id}>{agent.name}</option>)}
+          </select>
+          <span className="admin-muted">Replies are saved with the prompt version that produced them.</span>
+        </form>
+      )}
+      {selected && <AgentPrompts key={selected} agentId={selected} onSessionExpired={onSessionExpired} />}
+    </>
+  );
+}
+
+export default AdminPrompts;
@@ -0,0 +1,37 @@
+import React from 'react';
+
+const KIND_ICONS = { pdf: '📕', docx: '📘', source: '🧾', text: '📄' };
+
+export const formatFileSize = (bytes) => (bytes < 1024 * 1024
+  ? `${Math.max(Math.round(bytes / 1024), 1)} KB`
+  : `${(bytes / 1024 / 1024).toFixed(1)} MB`);
+
+// Files attached to a message, or waiting to be sent when onRemove is given.
+// Attachments that only partly fitted the model's context are marked as excerpts.
+function AttachmentChips({ attachments, onRemove }) {
+  if (!attachments?.length) {
+    return null;
+  }
+
+  return (
+    <ul className="attachment-chips">
+      {attachments.map((attachment, index) => (
+        <li
+          key={attachment.id || `${attachment.name}-${index}`}
+          className="attachment-chip"
+          title={attachment.truncated ? 'Too long to include in full - the most relevant excerpts were sent' : attachment.name}
+        >
+          <span>{KIND_ICONS[attachment.kind] || '📎'}</span>
+          <span className="attachment-name">{attachment.name}</span>
+          <span className="attachment-size">{formatFileSize(attachment.size)}</span>
+          {attachment.truncated && <span className="attachment-excerpts">excerpts</span>}
+          {onRemove && (
+            <button type="button" onClick={() => onRemove(index)} aria-label={`Remove ${attachment.name}`}>×</button>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default AttachmentChips;
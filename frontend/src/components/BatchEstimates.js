@@ -0,0 +1,208 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  fetchBatches,
+  fetchBatch,
+  createBatch,
+  updateBatch,
+  deleteBatch,
+  batchExportUrl,
+  getAgentUsage,
+  formatResetTime,
+  formatDateTime,
+  useAdminData
+} from '../api';
+import BatchRows from './BatchRows';
+
+// Poll a batch job this often while rows are running
+const BATCH_POLL_MS = 2000;
+
+const BATCH_STATUS_LABELS = {
+  running: '🔄 Running',
+  paused: '⏸️ Paused',
+  cancelled: '⏹️ Cancelled',
+  completed: '✅ Completed'
+};
+
+const batchActive = (job) => job.status === 'running' || job.counts.running > 0;
+
+// One batch job: progress, its rows, and cancel / resume / retry / download
+function BatchJob({ jobId, agents, currency, onProgress, onDeleted, onSessionExpired }) {
+  const load = useCallback(() => fetchBatch(jobId), [jobId]);
+  const { data: job, error, reload, run } = useAdminData(load, onSessionExpired);
+
+  // Keep polling until no row is left to run
+  useEffect(() => {
+    if (!job || !batchActive(job)) return undefined;
+    const timer = setTimeout(reload, BATCH_POLL_MS);
+    return () => clearTimeout(timer);
+  }, [job, reload]);
+
+  // The job list and the user's remaining calls follow the job's progress
+  const updatedAt = job?.updatedAt;
+  useEffect(() => {
+    if (updatedAt) onProgress();
+  }, [updatedAt, onProgress]);
+
+  if (!job) {
+    return error ? <div className="chat-error">⚠️ {error}</div> : null;
+  }
+
+  const { counts, total } = job;
+  const share = (count) => `${(count / total) * 100}%`;
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete the batch "${job.fileName}" and its estimates?`)) return;
+    run(async () => {
+      await deleteBatch(jobId);
+      onDeleted();
+    });
+  };
+
+  return (
+    <div className="batch-job">
+      <div className="batch-job-header">
+        <h3>{job.fileName}</h3>
+        <span className="admin-muted">
+          {agents.find(agent => agent.id === job.agentId)?.name || job.agentId} · {formatDateTime(job.createdAt)} · {BATCH_STATUS_LABELS[job.status]}
+        </span>
+      </div>
+      {error && <div className="chat-error">⚠️ {error}</div>}
+      <div className="batch-progress" role="progressbar" aria-valuemin={0} aria-valuemax={total} aria-valuenow={counts.done + counts.failed}>
+        <div className="batch-progress-done" style={{ width: share(counts.done) }} />
+        <div className="batch-progress-failed" style={{ width: share(counts.failed) }} />
+      </div>
+      <p className="admin-muted">
+        {counts.done} of {total} estimated · {counts.failed} failed · {counts.running} running · {counts.pending} queued
+      </p>
+      {job.status === 'paused' && (
+        <div className="chat-error">
+          ⏸️ {job.pause.message}{job.pause.resetAt && ` - resets at ${formatResetTime(job.pause.resetAt)}`}. Resume the batch once there is room again.
+        </div>
+      )}
+      <div className="admin-filters">
+        {(job.status === 'running' || job.status === 'paused') && (
+          <button type="button" onClick={() => run(() => updateBatch(jobId, 'cancel'))}>⏹️ Cancel</button>
+        )}
+        {(job.status === 'paused' || job.status === 'cancelled') && counts.pending > 0 && (
+          <button type="button" onClick={() => run(() => updateBatch(jobId, 'resume'))}>▶️ Resume</button>
+        )}
+        {counts.failed > 0 && (
+          <button type="button" onClick={() => run(() => updateBatch(jobId, 'retry'))}>↻ Retry failed ({counts.failed})</button>
+        )}
+        <a className="batch-download" href={batchExportUrl(jobId)} download>⬇️ Download CSV</a>
+        <button type="button" onClick={handleDelete}>🗑️ Delete</button>
+      </div>
+      <BatchRows
+        rows={job.rows}
+        currency={currency}
+        onRetry={(index) => run(() => updateBatch(jobId, `rows/${index}/retry`))}
+      />
+    </div>
+  );
+}
+
+// Batch estimation - upload a CSV or JSON list of requests and follow the background jobs
+function BatchEstimates({ usage, currency, onUsageChange, onSessionExpired }) {
+  const { data, error, reload, run } = useAdminData(fetchBatches, onSessionExpired);
+  const [agentId, setAgentId] = useState('');
+  const [file, setFile] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const handleProgress = useCallback(() => {
+    reload();
+    onUsageChange();
+  }, [reload, onUsageChange]);
+
+  if (!data) {
+    return error ? <div className="chat-error">⚠️ {error}</div> : null;
+  }
+
+  const batchAgentId = agentId || data.agents[0]?.id || '';
+  const agentUsage = usage && batchAgentId && getAgentUsage(usage, batchAgentId);
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    setUploading(true);
+    await run(async () => {
+      const job = await createBatch(batchAgentId, file);
+      setSelectedId(job.id);
+      setFile(null);
+      fileInputRef.current.value = '';
+    });
+    setUploading(false);
+  };
+
+  return (
+    <section className="batch-estimates">
+      <h2>📦 Batch Estimates</h2>
+      {error && <div className="chat-error">⚠️ {error}</div>}
+      <form className="batch-upload" onSubmit={handleUpload}>
+        <select value={batchAgentId} onChange={(e) => setAgentId(e.target.value)} aria-label="Agent">
+          {data.agents.map(agent => <option key={agent.id} value={agent.id}>{agent.name}</option>)}
+        </select>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".csv,.json,text/csv,application/json"
+          onChange={(e) => setFile(e.target.files[0] || null)}
+          aria-label="Requests file"
+        />
+        <button type="submit" disabled={!file || !batchAgentId || uploading}>
+          {uploading ? 'Uploading...' : 'Start batch'}
+        </button>
+      </form>
+      <p className="admin-muted">
+        A CSV with a header row - a title or summary column and/or a description, plus an optional id or key - or a JSON list
+        of requests, at most {data.limits.maxRows}. Every request is one call to the agent
+        {agentUsage && ` (${agentUsage.remaining} of ${agentUsage.limit} left today)`}; the batch pauses when they run out.
+      </p>
+
+      {data.jobs.length === 0 ? (
+        <p className="admin-muted">No batches yet.</p>
+      ) : (
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>File</th>
+              <th>Started</th>
+              <th>Status</th>
+              <th>Estimated</th>
+              <th>Failed</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {data.jobs.map(job => (
+              <tr key={job.id} className={job.id === selectedId ? 'selected' : ''}>
+                <td>{job.fileName}</td>
+                <td>{formatDateTime(job.createdAt)}</td>
+                <td>{BATCH_STATUS_LABELS[job.status]}</td>
+                <td>{job.counts.done} / {job.total}</td>
+                <td>{job.counts.failed || ''}</td>
+                <td>
+                  <button type="button" onClick={() => setSelectedId(job.id)} disabled={job.id === selectedId}>Open</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {selectedId && (
+        <BatchJob
+          key={selectedId}
+          jobId={selectedId}
+          agents={data.agents}
+          currency={currency}
+          onProgress={handleProgress}
+          onDeleted={() => setSelectedId(null)}
+          onSessionExpired={onSessionExpired}
+        />
+      )}
+    </section>
+  );
+}
+
+export default BatchEstimates;
@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import EstimateCard from './EstimateCard';
+import { formatTokens, formatCost } from './UsageChart';
+
+const STATUS_LABELS = {
+  pending: '⏳ Queued',
+  running: '🔄 Estimating',
+  done: '✅ Done',
+  failed: '❌ Failed'
+};
+
+const totalTokens = (usage) => (usage?.prompt_tokens || 0) + (usage?.completion_tokens || 0);
+
+// The rows of a batch job with their progress; finished rows open to show the estimate
+function BatchRows({ rows, currency, onRetry }) {
+  const [openIndex, setOpenIndex] = useState(null);
+
+  return (
+    <table className="admin-table batch-rows">
+      <thead>
+        <tr>
+          <th>#</th>
+          <th>Ticket</th>
+          <th>Request</th>
+          <th>Status</th>
+          <th>Hours</th>
+          <th>P50 / P80</th>
+          <th>Complexity</th>
+          <th />
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(row => {
+          const { estimate } = row;
+          const open = openIndex === row.index;
+          return (
+            <React.Fragment key={row.index}>
+              <tr className={`batch-row ${row.status}`}>
+                <td>{row.index + 1}</td>
+                <td>{row.ticket}</td>
+                <td className="batch-request">{row.title || row.description}</td>
+                <td>
+                  {STATUS_LABELS[row.status]}
+                  {row.attempts > 1 && <span className="admin-muted"> (attempt {row.attempts})</span>}
+                  {row.error && <div className="admin-error-text">{row.error}</div>}
+                </td>
+                <td>{estimate && `${estimate.totals.minHours}-${estimate.totals.maxHours}`}</td>
+                <td>{estimate?.calibration && `${estimate.calibration.totals.p50Hours} / ${estimate.calibration.totals.p80Hours}`}</td>
+                <td>
+                  {estimate?.complexity?.level && (
+                    <span className={`complexity-badge ${estimate.complexity.level.toLowerCase()}`}>{estimate.complexity.level}</span>
+                  )}
+                </td>
+                <td>
+                  {row.status === 'failed' && (
+                    <button type="button" onClick={() => onRetry(row.index)}>↻ Retry</button>
+                  )}
+                  {estimate && (
+                    <button type="button" onClick={() => setOpenIndex(open ? null : row.index)} aria-expanded={open}>
+                      {open ? 'Hide' : 'Details'}
+                    </button>
+                  )}
+                </td>
+              </tr>
+              {open && (
+                <tr className="batch-row-details">
+                  <td colSpan={8}>
+                    {row.title && row.description && <p className="batch-description">{row.description}</p>}
+                    <EstimateCard estimate={estimate} />
+                    {estimate.risks.length > 0 && (
+                      <>
+                        <h4>Risks</h4>
+                        <ul>
+                          {estimate.risks.map((risk, index) => <li key={index}>{risk}</li>)}
+                        </ul>
+                      </>
+                    )}
+                    <p className="admin-muted">
+                      {row.model} · prompt v{row.promptVersion} · {(row.durationMs / 1000).toFixed(1)} s · {formatTokens(totalTokens(row.usage))} tokens
+                      {row.cost !== undefined && ` · ${formatCost(row.cost, currency)}`}
+                    </p>
+                  </td>
+                </tr>
+              )}
+            </React.Fragment>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
+
+export default BatchRows;
@@ -0,0 +1,116 @@
+import React, { useRef, useState } from 'react';
+
+// Languages offered in the picker; the value is the fence info string (highlight.js name)
+export const CODE_LANGUAGES = [
+  { value: 'java', label: 'Java' },
+  { value: 'yaml', label: 'YAML' },
+  { value: 'xml', label: 'XML' },
+  { value: 'properties', label: 'Properties' },
+  { value: 'sql', label: 'SQL' },
+  { value: 'javascript', label: 'JavaScript' },
+  { value: 'plaintext', label: 'Plain text' }
+];
+
+// Files that can be dropped or pasted into the editor, by extension
+const FILE_LANGUAGES = {
+  java: 'java',
+  yml: 'yaml',
+  yaml: 'yaml',
+  xml: 'xml',
+  properties: 'properties',
+  sql: 'sql',
+  js: 'javascript'
+};
+
+const MAX_FILE_BYTES = 200 * 1024;
+
+const ACCEPTED_EXTENSIONS = Object.keys(FILE_LANGUAGES).map(extension => `.${extension}`).join(', ');
+
+// Monospace code input with line numbers, a language picker and file drop/paste
+function CodeEditor({ code, language, placeholder, disabled, onCodeChange, onLanguageChange, onSubmit }) {
+  const gutterRef = useRef(null);
+  const [fileError, setFileError] = useState('');
+  const [isDragging, setIsDragging] = useState(false);
+  const lineCount = Math.max(code.split('\n').length, 1);
+
+  const loadFile = async (file) => {
+    const extension = file.name.split('.').pop().toLowerCase();
+    if (!FILE_LANGUAGES[extension]) {
+      setFileError(`${file.name} is not a supported file (${ACCEPTED_EXTENSIONS}).`);
+      return;
+    }
+    if (file.size > MAX_FILE_BYTES) {
+      setFileError(`${file.name} is larger than ${MAX_FILE_BYTES / 1024} KB.`);
+      return;
+    }
+    setFileError('');
+    onCodeChange(await file.text());
+    onLanguageChange(FILE_LANGUAGES[extension]);
+  };
+
+  // Files dropped on the editor become its code, not chat attachments
+  const handleDrop = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setIsDragging(false);
+    if (!disabled && e.dataTransfer.files.length) {
+      loadFile(e.dataTransfer.files[0]);
+    }
+  };
+
+  // Pasted files (e.g. copied in a file manager) are loaded; pasted text behaves as usual
+  const handlePaste = (e) => {
+    if (e.clipboardData.files.length) {
+      e.preventDefault();
+      loadFile(e.clipboardData.files[0]);
+    }
+  };
+
+  return (
+    <div className="code-editor">
+      <div className="code-editor-toolbar">
+        <select
+          value={language}
+          onChange={(e) => onLanguageChange(e.target.value)}
+          disabled={disabled}
+          aria-label="Language"
+        >
+          {CODE_LANGUAGES.map(({ value, label }) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <span className="code-editor-hint">Paste code or drop a {ACCEPTED_EXTENSIONS} file</span>
+      </div>
+      <div
+        className={`code-editor-body ${isDragging ? 'dragging' : ''}`}
+        onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+      >
+        <div className="code-editor-gutter" ref={gutterRef} aria-hidden="true">
+          {Array.from({ length: lineCount }, (_, i) => <div key={i}>{i + 1}</div>)}
+        </div>
+        <textarea
+          value={code}
+          onChange={(e) => onCodeChange(e.target.value)}
+          onScroll={(e) => { gutterRef.current.scrollTop = e.target.scrollTop; }}
+          onPaste={handlePaste}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+              e.preventDefault();
+              onSubmit();
+            }
+          }}
+          placeholder={placeholder}
+          disabled={disabled}
+          spellCheck={false}
+          wrap="off"
+          aria-label="Code"
+        />
+      </div>
+      {fileError && <div className="code-editor-error">{fileError}</div>}
+    </div>
+  );
+}
+
+export default CodeEditor;
@@ -0,0 +1,50 @@
+import React from 'react';
+
+// Message sent for code input: the optional question, then the code as one fenced block.
+// The fence is longer than any backtick run in the code so the block cannot end early.
+export const composeCodeMessage = (question, code, language) => {
+  const longestRun = Math.max(2, ...(code.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  const block = `${fence}${language}\n${code.replace(/\n+$/, '')}\n${fence}`;
+  return question ? `${question}\n\n${block}` : block;
+};
+
+// Split a message into its text and first fenced code block; null when it has no code
+export const parseCodeMessage = (content) => {
+  const match = content.match(/^(`{3,})([^\n`]*)\n([\s\S]*?)\n\1[ \t]*$/m);
+  if (!match) {
+    return null;
+  }
+  return {
+    text: content.replace(match[0], '').trim(),
+    language: match[2].trim(),
+    code: match[3]
+  };
+};
+
+export const lineElementId = (messageIndex, line) => `message-${messageIndex}-line-${line}`;
+
+// Submitted code with line numbers; the lines a finding refers to are highlighted
+function CodeView({ code, language, messageIndex, highlight }) {
+  const isHighlighted = (line) => highlight && line >= highlight.start && line <= highlight.end;
+
+  return (
+    <div className="code-view">
+      {language && <div className="code-view-language">{language}</div>}
+      <pre>
+        {code.split('\n').map((text, i) => (
+          <div
+            key={i}
+            id={lineElementId(messageIndex, i + 1)}
+            className={`code-view-line ${isHighlighted(i + 1) ? 'highlighted' : ''}`}
+          >
+            <span className="code-view-number">{i + 1}</span>
+            <span className="code-view-text">{text || ' '}</span>
+          </div>
+        ))}
+      </pre>
+    </div>
+  );
+}
+
+export default CodeView;
@@ -0,0 +1,19 @@
+import React from 'react';
+import MarkdownMessage from './MarkdownMessage';
+
+// Marks where the model's view of the conversation starts: the messages above were folded into
+// a running summary (pinned ones still go to the model in full). Opens to show the summary.
+function ContextSummary({ summary, count }) {
+  return (
+    <details className="context-summary">
+      <summary>
+        🗜️ {count} earlier {count === 1 ? 'message was' : 'messages were'} summarised to fit the model's context
+      </summary>
+      <div className="context-summary-text">
+        <MarkdownMessage content={summary} />
+      </div>
+    </details>
+  );
+}
+
+export default ContextSummary;
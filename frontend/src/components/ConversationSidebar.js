@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { formatTokens } from './UsageChart';
+
+const formatDate = (iso) => new Date(iso).toLocaleDateString([], { day: 'numeric', month: 'short', year: 'numeric' });
+
+// One saved conversation - click to resume, with inline rename and delete
+function ConversationItem({ conversation, agentName, isActive, onOpen, onRename, onDelete }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [title, setTitle] = useState(conversation.title);
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    setIsEditing(false);
+    if (title.trim() && title.trim() !== conversation.title) {
+      onRename(conversation, title.trim());
+    } else {
+      setTitle(conversation.title);
+    }
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete "${conversation.title}"?`)) {
+      onDelete(conversation);
+    }
+  };
+
+  return (
+    <li className={`conversation-item ${isActive ? 'active' : ''}`}>
+      {isEditing ? (
+        <form onSubmit={handleRename}>
+          <input
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            onBlur={handleRename}
+            aria-label="Conversation title"
+            autoFocus
+          />
+        </form>
+      ) : (
+        <button type="button" className="conversation-open" onClick={() => onOpen(conversation)}>
+          <span className="conversation-title">{conversation.title}</span>
+          <span className="conversation-meta">
+            {agentName} · {formatDate(conversation.updatedAt)}
+            {conversation.tokens?.promptTokens + conversation.tokens?.completionTokens > 0 && (
+              ` · ${formatTokens(conversation.tokens.promptTokens + conversation.tokens.completionTokens)} tokens`
+            )}
+          </span>
+          {conversation.snippet && <span className="conversation-snippet">{conversation.snippet}</span>}
+        </button>
+      )}
+      <div className="conversation-actions">
+        <button type="button" onClick={() => setIsEditing(true)} title="Rename" aria-label="Rename">✏️</button>
+        <button type="button" onClick={handleDelete} title="Delete" aria-label="Delete">🗑️</button>
+      </div>
+    </li>
+  );
+}
+
+// Sidebar listing the user's saved conversations with search
+function ConversationSidebar({ conversations, agents, activeId, query, onQueryChange, onNewChat, onOpen, onRename, onDelete }) {
+  const agentNames = Object.fromEntries((agents || []).map(agent => [agent.id, agent.shortName]));
+
+  return (
+    <aside className="conversation-sidebar">
+      <div className="conversation-sidebar-header">
+        <h3>💬 Conversations</h3>
+        <button type="button" className="new-chat-btn" onClick={onNewChat}>+ New</button>
+      </div>
+      <input
+        type="search"
+        className="conversation-search"
+        value={query}
+        onChange={(e) => onQueryChange(e.target.value)}
+        placeholder="Search conversations"
+      />
+      {conversations.length === 0 ? (
+        <p className="conversation-empty">
+          {query ? 'No conversations match your search.' : 'Your conversations are saved here.'}
+        </p>
+      ) : (
+        <ul className="conversation-list">
+          {conversations.map(conversation => (
+            <ConversationItem
+              key={conversation.id}
+              conversation={conversation}
+              agentName={agentNames[conversation.agentId] || conversation.agentId}
+              isActive={conversation.id === activeId}
+              onOpen={onOpen}
+              onRename={onRename}
+              onDelete={onDelete}
+            />
+          ))}
+        </ul>
+      )}
+    </aside>
+  );
+}
+
+export default ConversationSidebar;
@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import WordDiff from './WordDiff';
+
+// Rewritten email with a subject picker, a side-by-side comparison with the draft and .eml export.
+// `draft` is the user's original text; `recipients` ({ to, cc }) come from an imported .eml.
+// onSend, when sending is available, opens the send panel with the chosen subject and recipients.
+function EmailRewriteCard({ email, draft, recipients, onDownload, onSend }) {
+  const subjects = [email.subject, ...email.alternatives].filter(Boolean);
+  const [subject, setSubject] = useState(subjects[0] || '');
+  const [view, setView] = useState('rewrite');
+  const [to, setTo] = useState(recipients?.to || '');
+  const [cc, setCc] = useState(recipients?.cc || '');
+  const [status, setStatus] = useState('');
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(`Subject: ${subject}\n\n${email.body}`);
+      setStatus('✓ Copied');
+    } catch {
+      setStatus('Copy failed');
+    }
+    setTimeout(() => setStatus(''), 1500);
+  };
+
+  const handleDownload = async () => {
+    try {
+      await onDownload({ to, cc, subject, body: email.body });
+    } catch (err) {
+      setStatus(err.message);
+    }
+  };
+
+  return (
+    <div className="email-card">
+      {subjects.length > 0 && (
+        <fieldset className="email-subjects">
+          <legend>Subject</legend>
+          {subjects.map(option => (
+            <label key={option}>
+              <input
+                type="radio"
+                checked={subject === option}
+                onChange={() => setSubject(option)}
+              />
+              {option}
+            </label>
+          ))}
+        </fieldset>
+      )}
+
+      <div className="email-view-toggle" role="tablist">
+        <button type="button" role="tab" aria-selected={view === 'rewrite'} className={view === 'rewrite' ? 'active' : ''} onClick={() => setView('rewrite')}>
+          Rewrite
+        </button>
+        {draft && (
+          <button type="button" role="tab" aria-selected={view === 'compare'} className={view === 'compare' ? 'active' : ''} onClick={() => setView('compare')}>
+            Compare with draft
+          </button>
+        )}
+      </div>
+
+      {view === 'compare' && draft ? (
+        <WordDiff before={draft} after={email.body} beforeLabel="Your draft" afterLabel="Rewrite" />
+      ) : (
+        <div className="email-body">{email.body}</div>
+      )}
+
+      {email.changes.length > 0 && (
+        <div className="email-changes">
+          <div className="email-changes-title">Key changes</div>
+          <ul>
+            {email.changes.map(change => <li key={change}>{change}</li>)}
+          </ul>
+        </div>
+      )}
+
+      <div className="email-actions">
+        <input type="text" value={to} onChange={(e) => setTo(e.target.value)} placeholder="To" aria-label="To" />
+        <input type="text" value={cc} onChange={(e) => setCc(e.target.value)} placeholder="Cc" aria-label="Cc" />
+        <button type="button" onClick={handleCopy}>Copy</button>
+        <button type="button" onClick={handleDownload}>⬇️ .eml</button>
+        {onSend && (
+          <button type="button" onClick={() => onSend({ to, cc, subject, body: email.body })}>✉️ Send…</button>
+        )}
+        {status && <span className="email-status">{status}</span>}
+      </div>
+    </div>
+  );
+}
+
+export default EmailRewriteCard;
@@ -0,0 +1,156 @@
+import React from 'react';
+
+const sumHours = (phases) => phases.reduce((totals, phase) => ({
+  minHours: totals.minHours + (Number(phase.minHours) || 0),
+  maxHours: totals.maxHours + (Number(phase.maxHours) || 0)
+}), { minHours: 0, maxHours: 0 });
+
+// As on the server (server/calibration.js): the middle of the phase's range times the factor
+const calibratedHours = (phase, factor) => Math.round((((Number(phase.minHours) || 0) + (Number(phase.maxHours) || 0)) / 2) * factor);
+
+// 1.6 -> "+60%"
+const formatVariance = (variance) => `${variance >= 1 ? '+' : ''}${Math.round((variance - 1) * 100)}%`;
+
+const formatSample = (sample, projects) => (sample.component
+  ? `${sample.component} (${sample.projectId}) ${formatVariance(sample.variance)}`
+  : `${projects.find(project => project.id === sample.projectId)?.name || sample.projectId} overall ${formatVariance(sample.variance)}`);
+
+// Which past projects the P50/P80 figures come from, and how
+function CalibrationDetails({ calibration }) {
+  const { taskTypes, complexity, projects, phases, source } = calibration;
+
+  return (
+    <details className="estimate-calibration">
+      <summary>📊 Calibrated against {projects.length} past {projects.length === 1 ? 'project' : 'projects'}</summary>
+      <p>
+        P50 and P80 multiply the middle of each phase's range by the median and 80th-percentile ratio of actual to
+        planned effort in <code>{source}</code>.{' '}
+        {taskTypes.length
+          ? `The task mentions ${taskTypes.map(type => type.label.toLowerCase()).join(' and ')}, so the other phases use those components.`
+          : `No component type was recognised in the task, so the other phases use ${complexity ? `${complexity.toLowerCase()}-complexity ` : ''}projects as a whole.`}
+      </p>
+      <table className="estimate-table">
+        <thead>
+          <tr>
+            <th>Phase</th>
+            <th>P50 / P80</th>
+            <th>Based on</th>
+          </tr>
+        </thead>
+        <tbody>
+          {phases.map(phase => (
+            <tr key={phase.name}>
+              <td>{phase.name}</td>
+              <td>×{phase.p50Factor} / ×{phase.p80Factor}</td>
+              <td className="estimate-notes">{phase.samples.map(sample => formatSample(sample, projects)).join(', ')}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <ul>
+        {projects.map(project => (
+          <li key={project.id}>
+            <strong>{project.name}</strong> ({project.id}, {project.complexity} complexity) - {formatVariance(project.variance)} overall
+            {project.components.length > 0 && `; ${project.components
+              .map(component => `${component.name} ${formatVariance(component.variance)}${component.notes ? ` (${component.notes})` : ''}`)
+              .join(', ')}`}
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+}
+
+// Phase breakdown for a structured BAU estimate, editable when onChange is given; totals follow the edits.
+// Calibrated estimates add P50 and P80 columns, which follow the edits too.
+function EstimateCard({ estimate, onChange }) {
+  const totals = sumHours(estimate.phases);
+  const calibration = estimate.calibration;
+  const calibrated = calibration && estimate.phases.map((phase, index) => ({
+    p50: calibratedHours(phase, calibration.phases[index].p50Factor),
+    p80: calibratedHours(phase, calibration.phases[index].p80Factor)
+  }));
+
+  const updatePhase = (index, field, value) => {
+    const hours = value === '' ? '' : Math.max(Number(value), 0);
+    const phases = estimate.phases.map((phase, i) => (i === index ? { ...phase, [field]: hours } : phase));
+    onChange({ ...estimate, phases, totals: sumHours(phases), edited: true });
+  };
+
+  const hoursField = (phase, index, field, label) => (onChange ? (
+    <input
+      type="number"
+      min="0"
+      value={phase[field]}
+      onChange={(e) => updatePhase(index, field, e.target.value)}
+      aria-label={`${phase.name} ${label} hours`}
+    />
+  ) : phase[field]);
+
+  return (
+    <div className="estimate-card">
+      <div className="estimate-card-header">
+        <span>🧮 Estimate</span>
+        {estimate.complexity?.level && (
+          <span className={`complexity-badge ${estimate.complexity.level.toLowerCase()}`}>
+            {estimate.complexity.level} complexity
+          </span>
+        )}
+      </div>
+      <table className="estimate-table">
+        <thead>
+          <tr>
+            <th>Phase</th>
+            <th>Min (h)</th>
+            <th>Max (h)</th>
+            {calibration && (
+              <>
+                <th title="Half of similar past work took at most this long">P50 (h)</th>
+                <th title="Four in five similar past pieces of work took at most this long">P80 (h)</th>
+              </>
+            )}
+            <th>Notes</th>
+          </tr>
+        </thead>
+        <tbody>
+          {estimate.phases.map((phase, index) => (
+            <tr key={phase.name}>
+              <td>{phase.name}</td>
+              <td>{hoursField(phase, index, 'minHours', 'minimum')}</td>
+              <td>{hoursField(phase, index, 'maxHours', 'maximum')}</td>
+              {calibration && (
+                <>
+                  <td>{calibrated[index].p50}</td>
+                  <td>{calibrated[index].p80}</td>
+                </>
+              )}
+              <td className="estimate-notes">{phase.notes}</td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr>
+            <td>Total</td>
+            <td>{totals.minHours}</td>
+            <td>{totals.maxHours}</td>
+            {calibration && (
+              <>
+                <td>{calibrated.reduce((sum, phase) => sum + phase.p50, 0)}</td>
+                <td>{calibrated.reduce((sum, phase) => sum + phase.p80, 0)}</td>
+              </>
+            )}
+            <td />
+          </tr>
+        </tfoot>
+      </table>
+      {estimate.totalsCorrected && !estimate.edited && (
+        <p className="estimate-note">
+          ℹ️ Totals recalculated from the phases (the model reported {estimate.modelTotals.minHours}-{estimate.modelTotals.maxHours} hours).
+        </p>
+      )}
+      {calibration && <CalibrationDetails calibration={calibration} />}
+    </div>
+  );
+}
+
+export default EstimateCard;
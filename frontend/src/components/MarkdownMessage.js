@@ -0,0 +1,142 @@
+import React, { useMemo, useRef, useState } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import rehypeSanitize from 'rehype-sanitize';
+import rehypeHighlight from 'rehype-highlight';
+import 'highlight.js/styles/github.css';
+
+// Sanitise before highlighting so only highlight.js adds classes to the output
+const REMARK_PLUGINS = [remarkGfm];
+const REHYPE_PLUGINS = [rehypeSanitize, rehypeHighlight];
+
+// Copy button that briefly confirms success
+function CopyButton({ getText, label = 'Copy' }) {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(getText());
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch {
+      setCopied(false);
+    }
+  };
+
+  return (
+    <button type="button" className="copy-btn" onClick={handleCopy}>
+      {copied ? '✓ Copied' : label}
+    </button>
+  );
+}
+
+// Fenced code block with a copy button
+function CodeBlock({ children, node, ...props }) {
+  const preRef = useRef(null);
+
+  return (
+    <div className="md-block">
+      <CopyButton getText={() => preRef.current?.innerText || ''} />
+      <pre ref={preRef} {...props}>{children}</pre>
+    </div>
+  );
+}
+
+// Table copied as tab-separated rows so it pastes into spreadsheets and documents as a grid
+function Table({ children, node, ...props }) {
+  const tableRef = useRef(null);
+
+  const toTsv = () => Array.from(tableRef.current?.rows || [])
+    .map(row => Array.from(row.cells).map(cell => cell.innerText.trim()).join('\t'))
+    .join('\n');
+
+  return (
+    <div className="md-block md-table-wrapper">
+      <CopyButton getText={toTsv} label="Copy table" />
+      <table ref={tableRef} {...props}>{children}</table>
+    </div>
+  );
+}
+
+// Line references in code findings: L12, L12-L18, line 12, lines 12-18
+const LINE_REFERENCE = /\bL(\d+)(?:\s*[-–]\s*L?(\d+))?\b|\b[Ll]ines?\s+(\d+)(?:\s*(?:-|–|to)\s*(\d+))?\b/g;
+
+// Split a text node into text and #L<start>-L<end> links for each line reference
+function linkLineReferences(value) {
+  const nodes = [];
+  let last = 0;
+  for (const match of value.matchAll(LINE_REFERENCE)) {
+    const start = Number(match[1] || match[3]);
+    const end = Math.max(Number(match[2] || match[4] || start), start);
+    nodes.push(
+      { type: 'text', value: value.slice(last, match.index) },
+      {
+        type: 'element',
+        tagName: 'a',
+        properties: { href: `#L${start}-L${end}`, className: ['line-reference'] },
+        children: [{ type: 'text', value: match[0] }]
+      }
+    );
+    last = match.index + match[0].length;
+  }
+  nodes.push({ type: 'text', value: value.slice(last) });
+  return nodes.filter(node => node.type !== 'text' || node.value);
+}
+
+// Rehype plugin linking line references outside code and existing links
+function rehypeLineReferences() {
+  const visit = (node) => {
+    if (!node.children || ['code', 'pre', 'a'].includes(node.tagName)) return;
+    node.children = node.children.flatMap(child => {
+      if (child.type === 'text') return linkLineReferences(child.value);
+      visit(child);
+      return [child];
+    });
+  };
+  return visit;
+}
+
+function Link({ children, node, onLineReference, ...props }) {
+  const reference = props.href?.match(/^#L(\d+)-L(\d+)$/);
+  if (reference && onLineReference) {
+    const handleClick = (e) => {
+      e.preventDefault();
+      onLineReference(Number(reference[1]), Number(reference[2]));
+    };
+    return <a {...props} onClick={handleClick}>{children}</a>;
+  }
+  return <a {...props} target="_blank" rel="noopener noreferrer">{children}</a>;
+}
+
+const COMPONENTS = { pre: CodeBlock, table: Table, a: Link };
+
+/**
+ * Renders assistant markdown (GFM tables, lists, fenced code) without raw HTML.
+ * With onLineReference(start, end), line references such as L12-L18 become links to the submitted code.
+ */
+function MarkdownMessage({ content, onLineReference }) {
+  const rehypePlugins = useMemo(
+    () => (onLineReference ? [...REHYPE_PLUGINS, rehypeLineReferences] : REHYPE_PLUGINS),
+    [onLineReference]
+  );
+  const components = useMemo(
+    () => (onLineReference
+      ? { ...COMPONENTS, a: (props) => <Link {...props} onLineReference={onLineReference} /> }
+      : COMPONENTS),
+    [onLineReference]
+  );
+
+  return (
+    <div className="markdown-body">
+      <ReactMarkdown
+        remarkPlugins={REMARK_PLUGINS}
+        rehypePlugins={rehypePlugins}
+        components={components}
+      >
+        {content}
+      </ReactMarkdown>
+    </div>
+  );
+}
+
+export default MarkdownMessage;
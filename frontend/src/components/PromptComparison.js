@@ -0,0 +1,42 @@
+import React from 'react';
+import MarkdownMessage from './MarkdownMessage';
+import EstimateCard from './EstimateCard';
+import SourceList from './SourceList';
+import { formatTokens, formatCost } from './UsageChart';
+
+const totalTokens = (usage) => (usage?.prompt_tokens || 0) + (usage?.completion_tokens || 0);
+
+// Replies to one message from two prompt versions or models, side by side
+function PromptComparison({ results, currency, onEstimateChange }) {
+  return (
+    <div className="prompt-comparison">
+      {results.map((result, index) => (
+        <div key={index} className="prompt-comparison-column">
+          <div className="prompt-comparison-header">
+            <strong>v{result.version}</strong>
+            <span className="admin-muted">{result.model}</span>
+            {!result.error && (
+              <span className="admin-muted">
+                {(result.durationMs / 1000).toFixed(1)} s · {formatTokens(totalTokens(result.usage))} tokens
+                {result.cost !== undefined && ` · ${formatCost(result.cost, currency)}`}
+              </span>
+            )}
+          </div>
+          {result.error ? (
+            <div className="message-stopped">⚠️ {result.error}</div>
+          ) : (
+            <>
+              <MarkdownMessage content={result.content} />
+              {result.estimate && (
+                <EstimateCard estimate={result.estimate} onChange={(estimate) => onEstimateChange(index, estimate)} />
+              )}
+              <SourceList sources={result.sources} />
+            </>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default PromptComparison;
@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+
+// Address and confirm an email sent from the conversation through the server's SMTP settings.
+// `draft` is { to, cc, subject, body, note, attachments } with attachments as export formats; the
+// server writes subject and body from the reply, so they are shown but not edited - a note can go above.
+// `formats` lists the exports that can be attached ({ format, label }).
+function SendEmailPanel({ draft, formats, from, onSend, onCancel }) {
+  const [email, setEmail] = useState(draft);
+  const [step, setStep] = useState('compose');
+  const [isSending, setIsSending] = useState(false);
+  const [error, setError] = useState('');
+
+  const update = (field, value) => setEmail(prev => ({ ...prev, [field]: value }));
+
+  const toggleAttachment = (format) => update('attachments', email.attachments.includes(format)
+    ? email.attachments.filter(item => item !== format)
+    : [...email.attachments, format]);
+
+  const handleSend = async () => {
+    setIsSending(true);
+    setError('');
+    try {
+      await onSend(email);
+    } catch (err) {
+      setError(err.message);
+      setStep('compose');
+      setIsSending(false);
+    }
+  };
+
+  const attachmentLabels = formats
+    .filter(({ format }) => email.attachments.includes(format))
+    .map(({ label }) => label);
+
+  if (step === 'confirm') {
+    return (
+      <div className="send-email-panel">
+        <p className="send-email-confirm">
+          Send <strong>{email.subject}</strong> to {email.to}{email.cc && <>, cc {email.cc}</>}
+          {attachmentLabels.length > 0 && <> with {attachmentLabels.join(', ')}</>}?
+        </p>
+        <div className="send-email-actions">
+          <button type="button" className="send-email-primary" onClick={handleSend} disabled={isSending}>
+            {isSending ? 'Sending...' : 'Confirm and send'}
+          </button>
+          <button type="button" onClick={() => setStep('compose')} disabled={isSending}>Back</button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <form
+      className="send-email-panel"
+      onSubmit={(e) => {
+        e.preventDefault();
+        setStep('confirm');
+      }}
+    >
+      {from && <div className="send-email-from">From {from}</div>}
+      <input type="text" value={email.to} onChange={(e) => update('to', e.target.value)} placeholder="To" aria-label="To" required />
+      <input type="text" value={email.cc} onChange={(e) => update('cc', e.target.value)} placeholder="Cc" aria-label="Cc" />
+      <div className="send-email-subject">Subject: <strong>{email.subject}</strong></div>
+      <textarea value={email.note} onChange={(e) => update('note', e.target.value)} rows={3} maxLength={2000} placeholder="Add a note above the reply (optional)" aria-label="Note" />
+      <div className="send-email-preview">{email.body}</div>
+      {formats.length > 0 && (
+        <div className="send-email-attachments">
+          Attach:
+          {formats.map(({ format, label }) => (
+            <label key={format}>
+              <input
+                type="checkbox"
+                checked={email.attachments.includes(format)}
+                onChange={() => toggleAttachment(format)}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+      )}
+      {error && <div className="send-email-error">⚠️ {error}</div>}
+      <div className="send-email-actions">
+        <button type="submit" className="send-email-primary">Review</button>
+        <button type="button" onClick={onCancel}>Cancel</button>
+      </div>
+    </form>
+  );
+}
+
+export default SendEmailPanel;
@@ -0,0 +1,30 @@
+import React from 'react';
+import MarkdownMessage from './MarkdownMessage';
+
+// Knowledge-base excerpts that were given to the model, numbered as cited in the reply
+function SourceList({ sources }) {
+  if (!sources?.length) {
+    return null;
+  }
+
+  return (
+    <div className="source-list">
+      <div className="source-list-title">📚 Sources</div>
+      {sources.map((source, index) => (
+        <details key={`${source.file}-${source.section}-${source.part || 0}`} className="source-item">
+          <summary>
+            <span className="source-number">[{index + 1}]</span>
+            <span className="source-file">{source.file}</span>
+            {source.section && <span className="source-section"> — {source.section}</span>}
+            {source.part && <span className="source-section"> (part {source.part})</span>}
+          </summary>
+          <div className="source-text">
+            <MarkdownMessage content={source.text} />
+          </div>
+        </details>
+      ))}
+    </div>
+  );
+}
+
+export default SourceList;
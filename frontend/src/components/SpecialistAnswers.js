@@ -0,0 +1,55 @@
+import React from 'react';
+import MarkdownMessage from './MarkdownMessage';
+import SourceList from './SourceList';
+import EstimateCard from './EstimateCard';
+
+// Status of a routed specialist: still working, answered or failed
+const chipStatus = (answer) => {
+  if (!answer) return { className: 'pending', icon: '⏳' };
+  return answer.error ? { className: 'failed', icon: '⚠️' } : { className: 'done', icon: '✓' };
+};
+
+// Which specialists handled a supervisor reply; with several, each answer can be expanded
+function SpecialistAnswers({ route, answers = [], onEstimateChange }) {
+  const routed = route?.specialists || answers.map(({ id, label }) => ({ id, label }));
+  if (!routed.length) {
+    return null;
+  }
+
+  const answerFor = (id) => answers.find(answer => answer.id === id);
+
+  return (
+    <div className="specialist-answers">
+      <div className="specialist-chips" title={route?.reason}>
+        <span className="specialist-chips-label">Handled by</span>
+        {routed.map(specialist => {
+          const status = chipStatus(answerFor(specialist.id));
+          return (
+            <span key={specialist.id} className={`specialist-chip ${status.className}`}>
+              {status.icon} {specialist.label}
+            </span>
+          );
+        })}
+      </div>
+      {/* A single specialist's answer is the reply itself */}
+      {routed.length > 1 && answers.map((answer, index) => (
+        <details key={answer.id} className="specialist-answer">
+          <summary>From {answer.label}</summary>
+          {answer.error ? (
+            <div className="message-stopped">⚠️ {answer.error}</div>
+          ) : (
+            <>
+              <MarkdownMessage content={answer.content} />
+              {answer.estimate && (
+                <EstimateCard estimate={answer.estimate} onChange={(estimate) => onEstimateChange?.(index, estimate)} />
+              )}
+              <SourceList sources={answer.sources} />
+            </>
+          )}
+        </details>
+      ))}
+    </div>
+  );
+}
+
+export default SpecialistAnswers;
@@ -0,0 +1,40 @@
+import React from 'react';
+
+export const formatTokens = (tokens) => tokens.toLocaleString();
+
+// Costs are small - show enough digits for a single call, e.g. $0.00029
+export const formatCost = (cost, currency = 'USD') => new Intl.NumberFormat(undefined, {
+  style: 'currency',
+  currency,
+  maximumSignificantDigits: cost > 0 && cost < 1 ? 2 : 6
+}).format(cost);
+
+// Bar chart of prompt and completion tokens, one stacked bar per period.
+// `items` are { label, promptTokens, completionTokens, cost }; hovering a bar shows its details.
+function UsageChart({ title, items, currency }) {
+  const max = Math.max(...items.map(item => item.promptTokens + item.completionTokens), 1);
+
+  return (
+    <figure className="usage-chart">
+      <figcaption>{title}</figcaption>
+      <div className="usage-chart-bars">
+        {items.map(item => (
+          <div
+            key={item.label}
+            className="usage-chart-bar"
+            title={`${item.label}\nPrompt: ${formatTokens(item.promptTokens)} tokens\nCompletion: ${formatTokens(item.completionTokens)} tokens\nCost: ${formatCost(item.cost, currency)}`}
+          >
+            <div className="usage-chart-completion" style={{ height: `${(item.completionTokens / max) * 100}%` }} />
+            <div className="usage-chart-prompt" style={{ height: `${(item.promptTokens / max) * 100}%` }} />
+          </div>
+        ))}
+      </div>
+      <div className="usage-chart-axis">
+        <span>{items[0]?.label}</span>
+        <span>{items[items.length - 1]?.label}</span>
+      </div>
+    </figure>
+  );
+}
+
+export default UsageChart;
@@ -0,0 +1,84 @@
+import React from 'react';
+
+// Longer texts are not compared - the LCS table grows with the product of their lengths
+const MAX_CELLS = 4000000;
+
+/**
+ * Word-level diff of two texts as [{ type: 'same' | 'removed' | 'added', text }],
+ * from the longest common subsequence of their words and whitespace.
+ * Returns null when the texts are too long to compare.
+ */
+export function diffWords(before, after) {
+  const a = before.split(/(\s+)/).filter(Boolean);
+  const b = after.split(/(\s+)/).filter(Boolean);
+  if ((a.length + 1) * (b.length + 1) > MAX_CELLS) {
+    return null;
+  }
+
+  // table[i][j] = length of the common subsequence of a[i..] and b[j..]
+  const table = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last?.type === type) {
+      last.text += text;
+    } else {
+      parts.push({ type, text });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('same', a[i]);
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  a.slice(i).forEach(word => push('removed', word));
+  b.slice(j).forEach(word => push('added', word));
+  return parts;
+}
+
+// Original and rewritten text side by side, with removed and added words marked
+function WordDiff({ before, after, beforeLabel = 'Original', afterLabel = 'Rewrite' }) {
+  const parts = diffWords(before, after);
+
+  if (!parts) {
+    return <p className="word-diff-note">These texts are too long to compare word by word.</p>;
+  }
+
+  return (
+    <div className="word-diff">
+      <div className="word-diff-column">
+        <div className="word-diff-label">{beforeLabel}</div>
+        <div className="word-diff-text">
+          {parts.filter(part => part.type !== 'added').map((part, i) => (
+            part.type === 'removed' ? <del key={i}>{part.text}</del> : <span key={i}>{part.text}</span>
+          ))}
+        </div>
+      </div>
+      <div className="word-diff-column">
+        <div className="word-diff-label">{afterLabel}</div>
+        <div className="word-diff-text">
+          {parts.filter(part => part.type !== 'removed').map((part, i) => (
+            part.type === 'added' ? <ins key={i}>{part.text}</ins> : <span key={i}>{part.text}</span>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default WordDiff;